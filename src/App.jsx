@@ -1,1048 +1,597 @@
-import { useState, useMemo } from "react";
+import { useState, useMemo, useEffect } from "react";
 import "./App.css";
-
-const SYSTEMS = {
-  interest: "UK Interest System",
-  islamic: "Islamic System",
-};
-
-const CALIBRATION_MODES = {
-  stylised: {
-    label: "Stylised",
-    description: "Smooth, educational parameters not tied to a specific country.",
-    housing: {
-      housePriceGrowth: 0.02,
-      rentalYield: 0.04,
-      annualDefaultProb: 0.004,
-      ptiStress: 0.38,
-      medianGrossIncome: 45000,
-      medianDisposableIncome: 30000,
-    },
-    sme: {
-      survival5yrInterest: 0.4,
-      annualInsolvency: 0.005,
-      loanRate: 0.07,
-      recessionShock: -0.35,
-      revenueVolatility: 0.12,
-      marginDefault: 0.15,
-    },
-    macro: {
-      gdpGrowth: 0.02,
-      gdpVolatility: 0.02,
-      inflationAvg: 0.025,
-      inflationVolatility: 0.012,
-      householdDebtIncome: 1.0,
-      privateCreditGDP: 1.0,
-      smeEmploymentShare: 0.6,
-    },
-    topScores: {
-      economicStabilityInterest: 65,
-      inflationStabilityInterest: 60,
-      smeDefaultRateInterest: 0.005,
-    },
-  },
-  uk: {
-    label: "UK calibrated",
-    description:
-      "Parameters anchored to typical UK averages for mortgages, SMEs and macro series.",
-    housing: {
-      mortgageRate: 0.047,
-      mortgageRateStress: 0.06,
-      mortgageRateLow: 0.039,
-      termYearsDefault: 30,
-      averageLTV: 0.82,
-      ftbLTV: 0.88,
-      highRiskLTV: 0.95,
-      housePriceGrowth: 0.033,
-      rentalYield: 0.055,
-      annualDefaultProb: 0.006,
-      ptiStress: 0.4,
-      medianGrossIncome: 55200,
-      medianDisposableIncome: 34500,
-    },
-    sme: {
-      survival5yrInterest: 0.41,
-      annualInsolvency: 0.0053,
-      loanRate: 0.076,
-      recessionShock: -0.4,
-      revenueVolatility: 0.15,
-      marginDefault: 0.15,
-    },
-    macro: {
-      gdpGrowth: 0.022,
-      gdpVolatility: 0.025,
-      inflationAvg: 0.03,
-      inflationVolatility: 0.013,
-      householdDebtIncome: 1.18,
-      privateCreditGDP: 1.14,
-      smeEmploymentShare: 0.6,
-    },
-    topScores: {
-      economicStabilityInterest: 60,
-      inflationStabilityInterest: 50,
-      smeDefaultRateInterest: 0.005,
-    },
-  },
-};
-
-const HOUSEHOLD_PRESETS = [
-  {
-    id: "avg_buyer",
-    label: "Average buyer",
-    salary: 55000,
-    deposit: 55000,
-    propertyValue: 270000,
-    termYears: 30,
-    interestRate: 4.7,
-    rentalYield: 5.5,
-  },
-  {
-    id: "high_ltv",
-    label: "High LTV buyer",
-    salary: 50000,
-    deposit: 20000,
-    propertyValue: 270000,
-    termYears: 35,
-    interestRate: 5.2,
-    rentalYield: 5.7,
-  },
-  {
-    id: "stressed_rates",
-    label: "Rate shock",
-    salary: 55000,
-    deposit: 60000,
-    propertyValue: 270000,
-    termYears: 30,
-    interestRate: 6.0,
-    rentalYield: 5.5,
-  },
-];
-
-const SME_PRESETS = [
-  {
-    id: "service_sme",
-    label: "Service business",
-    revenue: 250000,
-    marginPercent: 18,
-    financeRequired: 75000,
-    termYears: 5,
-  },
-  {
-    id: "retail_sme",
-    label: "Retail shop",
-    revenue: 400000,
-    marginPercent: 12,
-    financeRequired: 150000,
-    termYears: 7,
-  },
-  {
-    id: "growth_sme",
-    label: "High growth",
-    revenue: 600000,
-    marginPercent: 22,
-    financeRequired: 200000,
-    termYears: 6,
-  },
-];
-
-const SME_SECTORS = {
-  services: {
-    label: "Services",
-    baseMargin: 0.18,
-    revenueVolatility: 0.12,
-    recessionShock: -0.35,
-  },
-  retail: {
-    label: "Retail",
-    baseMargin: 0.10,
-    revenueVolatility: 0.18,
-    recessionShock: -0.45,
-  },
-  manufacturing: {
-    label: "Manufacturing",
-    baseMargin: 0.15,
-    revenueVolatility: 0.20,
-    recessionShock: -0.5,
-  },
-  food: {
-    label: "Food & hospitality",
-    baseMargin: 0.12,
-    revenueVolatility: 0.22,
-    recessionShock: -0.55,
-  },
-  tech: {
-    label: "Tech / creative",
-    baseMargin: 0.22,
-    revenueVolatility: 0.25,
-    recessionShock: -0.4,
-  },
-};
-
-const SCENARIOS = {
-  baseline: {
-    id: "baseline",
-    label: "Baseline cycle",
-    description: "Normal ups and downs with one moderate recession.",
-    recessionShockFactor: 1,
-    extraGDPShock: 0,
-    inflationShock: 0,
-  },
-  severe: {
-    id: "severe",
-    label: "Severe crisis",
-    description:
-      "Deep recession similar in scale to 2008 to test system resilience.",
-    recessionShockFactor: 1.5,
-    extraGDPShock: -3,
-    inflationShock: 1,
-  },
-};
-
-const BANK_SCENARIOS = {
-  normal: {
-    id: "normal",
-    label: "Normal",
-    pdMultiplierInterest: 1,
-    pdMultiplierIslamic: 1,
-  },
-  stress: {
-    id: "stress",
-    label: "Stress",
-    pdMultiplierInterest: 1.5,
-    pdMultiplierIslamic: 1.3,
-  },
-  severe: {
-    id: "severe",
-    label: "Severe",
-    pdMultiplierInterest: 2.5,
-    pdMultiplierIslamic: 2.0,
-  },
-};
-
-const SOCIAL_ELASTICITIES = {
-  povertyPerWealthPoint: 0.4,
-  crimePerWealthPoint: 0.25,
-  consumptionPerWealthPoint: 0.3,
-  gdpPerWealthPoint: 0.15,
-};
-
-function clamp(num, min, max) {
-  return Math.min(Math.max(num, min), max);
-}
-
-function stdDev(arr) {
-  const n = arr.length;
-  if (n <= 1) return 0;
-  const mean = arr.reduce((s, x) => s + x, 0) / n;
-  const v = arr.reduce((s, x) => s + (x - mean) * (x - mean), 0) / (n - 1);
-  return Math.sqrt(v);
-}
-
-// approximate N(0,1)
-function randomNormal() {
-  let u = 0;
-  let v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
-}
-
-/* ============= HOUSEHOLD CALCS ============= */
-
-function calculateHouseholdMetrics({
-  salary,
-  deposit,
-  propertyValue,
-  termYears,
-  interestRatePercent,
-  rentalYieldPercent,
-  calibration,
-}) {
-  const P = Number(propertyValue) || 0;
-  const D = Number(deposit) || 0;
-  const years =
-    Number(termYears) ||
-    calibration?.housing?.termYearsDefault ||
-    25;
-  const income =
-    Number(salary) ||
-    calibration?.housing?.medianGrossIncome ||
-    45000;
-
-  const principal = Math.max(P - D, 0);
-  if (!P || !years || !income || principal <= 0) {
-    return {
-      totalPaidInterest: 0,
-      totalPaidIslamic: 0,
-      riskInterest: "N/A",
-      riskIslamic: "N/A",
-      equityCurve: [],
-      costCurve: [],
-    };
-  }
-
-  const N = years * 12;
-  const houseGrowth = calibration?.housing?.housePriceGrowth ?? 0.02;
-
-  const baseRate =
-    (interestRatePercent || 0) / 100 ||
-    calibration?.housing?.mortgageRate ||
-    0.05;
-  const annualRate = baseRate;
-  const r = annualRate / 12;
-
-  const monthlyPaymentInterest =
-    (principal * r * Math.pow(1 + r, N)) /
-    (Math.pow(1 + r, N) - 1);
-
-  let totalPaidInterest = 0;
-
-  const yP =
-    (Number(rentalYieldPercent) || 0) / 100 ||
-    calibration?.housing?.rentalYield ||
-    0.04;
-  const rentalYield = yP;
-
-  const S_bank0 = principal / P;
-  const deltaS = S_bank0 / N;
-
-  let totalPaidIslamic = 0;
-
-  const equityCurve = [];
-  const costCurve = [];
-
-  for (let m = 0; m <= N; m++) {
-    const year = m / 12;
-
-    const balanceInterest =
-      m === 0
-        ? principal
-        : principal * Math.pow(1 + r, m) -
-          monthlyPaymentInterest * ((Math.pow(1 + r, m) - 1) / r);
-
-    if (m > 0) {
-      totalPaidInterest += monthlyPaymentInterest;
-    }
-
-    const houseValue = P * Math.pow(1 + houseGrowth, year);
-    const equityInterest = houseValue - balanceInterest;
-
-    const S_bank = clamp(S_bank0 - deltaS * m, 0, 1);
-    const S_cust = 1 - S_bank;
-    const equityIslamic = S_cust * houseValue;
-
-    if (m > 0) {
-      const rent_m = P * S_bank * (rentalYield / 12);
-      const purchase_m = P * deltaS;
-      totalPaidIslamic += rent_m + purchase_m;
-    }
-
-    if (m % 12 === 0) {
-      equityCurve.push({
-        year,
-        equityInterest,
-        equityIslamic,
-      });
-      costCurve.push({
-        year,
-        cumInterest: totalPaidInterest,
-        cumIslamic: totalPaidIslamic,
-      });
-    }
+import {
+  SYSTEMS,
+  CALIBRATION_MODES,
+  HOUSEHOLD_PRESETS,
+  SME_PRESETS,
+  SME_SECTORS,
+  SME_STRUCTURES,
+  SME_PORTFOLIO_MIXES,
+  SCENARIOS,
+  BANK_SCENARIOS,
+  SOCIAL_ELASTICITIES,
+  STABILITY_METHODS,
+  RENT_REVIEW_MODES,
+  MORTGAGE_PRODUCTS,
+  LANDLORD_STRUCTURES,
+  HOUSING_REGIONS,
+  EMPTY_SHOCK,
+  SCENARIO_HORIZON,
+  normaliseScenario,
+  firstDownturnYear,
+  regionalCalibration,
+  stampDutyRegime,
+  regionalHousePreset,
+  calculateHouseholdMetrics,
+  assessAffordability,
+  calculateOwnershipCosts,
+  calculateLandlordMetrics,
+  simulateAllNational,
+  simulateNationalPaths,
+  simulateWealthDistribution,
+  computeHousingSupport,
+  simulateBankSystem,
+  MIN_SME_RUNS,
+  MAX_SME_RUNS,
+  MIN_PORTFOLIO_RUNS,
+  MAX_PORTFOLIO_RUNS,
+  MAX_NATIONAL_PATHS,
+  MAX_HOUSEHOLD_PATHS,
+} from "./engine";
+import { useSmeWorker } from "./workers/useSmeWorker";
+import { loadJSON, saveJSON } from "./storage";
+import {
+  buildExports,
+  sectionToCsv,
+  toJson,
+  downloadText,
+} from "./exporters";
+import {
+  DEFAULT_CONFIG,
+  configFromObject,
+  configFromSearch,
+  configToSearch,
+} from "./configState";
+
+const CUSTOM_SCENARIOS_KEY = "ilm-sim:custom-scenarios";
+const SNAPSHOTS_KEY = "ilm-sim:snapshots";
+const MAX_COMPARE = 4;
+
+const isObject = (x) =>
+  x !== null && typeof x === "object" && !Array.isArray(x);
+
+// Saved scenarios may be stale or hand edited, so clean each one the way
+// a shared link's scenario is cleaned, and drop anything that is not one
+function loadCustomScenarios() {
+  const saved = loadJSON(CUSTOM_SCENARIOS_KEY, {});
+  if (!isObject(saved)) return {};
+  const out = {};
+  for (const [id, scenario] of Object.entries(saved)) {
+    if (!isObject(scenario)) continue;
+    out[id] = normaliseScenario({ ...scenario, id });
   }
-
-  const ptiStress = calibration?.housing?.ptiStress ?? 0.4;
-  const disposableRatio =
-    calibration?.housing?.medianDisposableIncome &&
-    calibration?.housing?.medianGrossIncome
-      ? calibration.housing.medianDisposableIncome /
-        calibration.housing.medianGrossIncome
-      : 0.75;
-
-  const netMonthlyIncome = (income * disposableRatio) / 12;
-  const recessionIncome = netMonthlyIncome * (1 - 0.15);
-  const ptiInterest = monthlyPaymentInterest / recessionIncome;
-  const avgMonthlyIslamic = totalPaidIslamic / N;
-  const ptiIslamic = avgMonthlyIslamic / recessionIncome;
-
-  const ptiToLabel = (v) => {
-    if (!isFinite(v)) return "N/A";
-    if (v < ptiStress * 0.7) return "Low";
-    if (v < ptiStress) return "Moderate";
-    return "High";
-  };
-
-  return {
-    totalPaidInterest,
-    totalPaidIslamic,
-    riskInterest: ptiToLabel(ptiInterest),
-    riskIslamic: ptiToLabel(ptiIslamic),
-    equityCurve,
-    costCurve,
-  };
+  return out;
 }
 
-/* ============= SME MONTE CARLO ============= */
-
-function simulateOneBusiness({
-  revenue,
-  margin,
-  financeRequired,
-  years,
-  isIslamic,
-  severeThreshold,
-  cal,
-  scenario,
-}) {
-  const growth = cal.smeGrowth || 0.02;
-  const rLoan = cal.loanRate;
-  const F = financeRequired;
-  const share = 0.3;
-
-  const A_interest =
-    (F * rLoan * Math.pow(1 + rLoan, years)) /
-    (Math.pow(1 + rLoan, years) - 1);
-
-  let equity = F;
-  const incomePath = [];
-  let hadSevereDrop = false;
-
-  const recessionYear = Math.round(years / 2);
-
-  for (let t = 1; t <= years; t++) {
-    let baseRev = revenue * Math.pow(1 + growth, t - 1);
-    const vol = cal.revenueVolatility;
-    const macroShock = randomNormal() * vol;
-    baseRev = baseRev * (1 + macroShock);
-
-    if (t === recessionYear) {
-      baseRev =
-        baseRev *
-        (1 + cal.recessionShock * scenario.recessionShockFactor);
-    }
-
-    let profit = baseRev * margin;
-    profit += randomNormal() * (0.05 * baseRev);
-
-    let payment;
-    if (isIslamic) {
-      payment = profit > 0 ? share * profit : 0;
-    } else {
-      payment = A_interest;
-    }
-
-    const ownerIncome = profit - payment;
-    const ownerNonNegative = Math.max(ownerIncome, 0);
-
-    if (ownerNonNegative < severeThreshold) {
-      hadSevereDrop = true;
-    }
-
-    equity += profit - payment;
-
-    incomePath.push({
-      year: t,
-      ownerIncome: ownerNonNegative,
-    });
-
-    if (equity < 0) {
-      return { defaulted: true, incomePath, hadSevereDrop };
-    }
-  }
-
-  return { defaulted: false, incomePath, hadSevereDrop };
+// Saved runs are read back the same way: anything without the parts the
+// saved runs table and the comparison read is dropped
+function loadSnapshots() {
+  const saved = loadJSON(SNAPSHOTS_KEY, []);
+  if (!Array.isArray(saved)) return [];
+  return saved.filter(
+    (snap) =>
+      isObject(snap) &&
+      typeof snap.id === "string" &&
+      isObject(snap.config) &&
+      isObject(snap.labels) &&
+      isObject(snap.results) &&
+      ["household", "sme", "national"].every((key) =>
+        isObject(snap.results[key])
+      )
+  );
 }
 
-function calculateSmeMetrics({
-  revenue,
-  marginPercent,
-  financeRequired,
-  termYears,
-  calibration,
-  scenario,
-  sectorConfig,
-}) {
-  const R = Number(revenue) || 0;
-  const F = Number(financeRequired) || 0;
-  const years = Number(termYears) || 5;
+/* ============= UI ============= */
 
-  if (!R || !F || !years) {
+function App() {
+  // URL parameters override the defaults, so shared links reopen the
+  // same configuration
+  const [initial] = useState(() => {
+    const fromUrl = configFromSearch(window.location.search);
     return {
-      survivalInterest: 0,
-      survivalIslamic: 0,
-      ownerStability: "N/A",
-      incomeCurve: [],
-      runs: 0,
-      severeShockInterest: 0,
-      severeShockIslamic: 0,
+      config: { ...DEFAULT_CONFIG, ...fromUrl.config },
+      customScenario: fromUrl.customScenario,
     };
-  }
+  });
+  const init = initial.config;
+
+  const [system, setSystem] = useState(init.system);
+  const [mode, setMode] = useState(init.mode);
+  const [scenarioId, setScenarioId] = useState(init.scenarioId);
+  const [zakatPolicy, setZakatPolicy] = useState(init.zakatPolicy);
+  const [sector, setSector] = useState(init.sector);
+  const [stabilityMethod, setStabilityMethod] = useState(
+    init.stabilityMethod
+  );
+  const [nationalStochastic, setNationalStochastic] = useState(
+    init.nationalStochastic
+  );
+  const [nationalPaths, setNationalPaths] = useState(init.nationalPaths);
+  const [nationalSeed, setNationalSeed] = useState(init.nationalSeed);
 
-  const marginBase =
-    (Number(marginPercent) || 0) / 100 ||
-    sectorConfig?.baseMargin ||
-    calibration?.sme?.marginDefault ||
-    0.15;
-
-  const baseProfit = R * marginBase;
-  const severeThreshold = 0.4 * baseProfit;
-
-  const cal = {
-    loanRate: calibration?.sme?.loanRate ?? 0.07,
-    recessionShock:
-      sectorConfig?.recessionShock ??
-      calibration?.sme?.recessionShock ??
-      -0.35,
-    revenueVolatility:
-      sectorConfig?.revenueVolatility ??
-      calibration?.sme?.revenueVolatility ??
-      0.12,
-    smeGrowth: calibration?.macro?.gdpGrowth ?? 0.02,
+  const calibration = CALIBRATION_MODES[mode];
+  const [customScenarios, setCustomScenarios] = useState(() => {
+    const saved = loadCustomScenarios();
+    const shared = initial.customScenario;
+    return shared?.id.startsWith("custom_")
+      ? { ...saved, [shared.id]: shared }
+      : saved;
+  });
+  const [editingScenario, setEditingScenario] = useState(false);
+  const allScenarios = { ...SCENARIOS, ...customScenarios };
+  const scenario = allScenarios[scenarioId] || SCENARIOS.baseline;
+
+  useEffect(() => {
+    saveJSON(CUSTOM_SCENARIOS_KEY, customScenarios);
+  }, [customScenarios]);
+
+  const saveCustomScenario = (draft) => {
+    const id = draft.id?.startsWith("custom_")
+      ? draft.id
+      : `custom_${Date.now().toString(36)}`;
+    const saved = normaliseScenario({ ...draft, id });
+    setCustomScenarios((prev) => ({ ...prev, [id]: saved }));
+    setScenarioId(id);
+    setEditingScenario(false);
   };
 
-  const runs = 350;
-  let surviveInterest = 0;
-  let surviveIslamic = 0;
-  let severeInterest = 0;
-  let severeIslamic = 0;
-
-  const sumInterest = Array.from({ length: years }, () => 0);
-  const sumIslamic = Array.from({ length: years }, () => 0);
-
-  for (let i = 0; i < runs; i++) {
-    const simInterest = simulateOneBusiness({
-      revenue: R,
-      margin: marginBase,
-      financeRequired: F,
-      years,
-      isIslamic: false,
-      severeThreshold,
-      cal,
-      scenario,
-    });
-    const simIslamic = simulateOneBusiness({
-      revenue: R,
-      margin: marginBase,
-      financeRequired: F,
-      years,
-      isIslamic: true,
-      severeThreshold,
-      cal,
-      scenario,
-    });
-
-    if (!simInterest.defaulted) surviveInterest++;
-    if (!simIslamic.defaulted) surviveIslamic++;
-
-    if (simInterest.hadSevereDrop) severeInterest++;
-    if (simIslamic.hadSevereDrop) severeIslamic++;
-
-    for (let t = 0; t < years; t++) {
-      const pi = simInterest.incomePath[t]
-        ? simInterest.incomePath[t].ownerIncome
-        : 0;
-      const pa = simIslamic.incomePath[t]
-        ? simIslamic.incomePath[t].ownerIncome
-        : 0;
-      sumInterest[t] += pi;
-      sumIslamic[t] += pa;
-    }
-  }
-
-  const incomeCurve = [];
-  for (let t = 0; t < years; t++) {
-    incomeCurve.push({
-      year: t + 1,
-      ownerInterest: sumInterest[t] / runs,
-      ownerIslamic: sumIslamic[t] / runs,
+  const deleteCustomScenario = (id) => {
+    setCustomScenarios((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
     });
-  }
-
-  const survivalInterest = (surviveInterest / runs) * 100;
-  const survivalIslamic = (surviveIslamic / runs) * 100;
-  const severeShockInterest = (severeInterest / runs) * 100;
-  const severeShockIslamic = (severeIslamic / runs) * 100;
-
-  let ownerStability;
-  if (survivalIslamic >= 90) ownerStability = "High";
-  else if (survivalIslamic >= 75) ownerStability = "Medium";
-  else ownerStability = "Low";
-
-  return {
-    survivalInterest,
-    survivalIslamic,
-    ownerStability,
-    incomeCurve,
-    runs,
-    severeShockInterest,
-    severeShockIslamic,
+    setScenarioId("baseline");
+    setEditingScenario(false);
   };
-}
-
-/* ============= NATIONAL 30 YEAR SIM ============= */
-
-function simulateNationalSystem(system, calibration, sme, scenario) {
-  const years = 30;
-  const series = [];
-  const gdpIndex = [];
-  const inflationSeries = [];
-  const debtRatio = [];
-  const unemploymentSeries = [];
-  const borrowingSeries = [];
-
-  const isInterest = system === "interest";
-
-  const macro = calibration.macro;
-  const baseG = macro.gdpGrowth;
-  const basePi = macro.inflationAvg;
-
-  let gdp = 100;
-  let debt = macro.householdDebtIncome * 100;
-  let unemp = isInterest ? 5.0 : 4.5;
-
-  gdpIndex.push(gdp);
-
-  for (let t = 1; t <= years; t++) {
-    const debtTrend = isInterest ? 2 : 0.5;
-    debt += debtTrend;
-    debtRatio.push(debt);
-
-    const drag = isInterest
-      ? 0.03 * Math.max(0, debt - 80)
-      : 0.015 * Math.max(0, debt - 60);
-
-    let g = baseG * 100 - drag;
-
-    if (scenario.id === "severe" && (t === 10 || t === 11)) {
-      g += scenario.extraGDPShock;
-    }
-
-    const creditTerm = isInterest
-      ? 0.03 * (debt - macro.householdDebtIncome * 120) / 50
-      : 0.01 * (debt - macro.householdDebtIncome * 70) / 50;
-
-    const cyc = (isInterest ? 0.7 : 0.35) * Math.sin(t / 3);
-    let pi = basePi * 100 + creditTerm * 100 + cyc;
-    if (scenario.id === "severe" && (t === 10 || t === 11)) {
-      pi += scenario.inflationShock;
-    }
-
-    gdp = gdp * (1 + g / 100);
-    gdpIndex.push(gdp);
-    inflationSeries.push(pi);
-
-    const growthGap = g - baseG * 100;
-    unemp = clamp(
-      unemp -
-        0.15 * (growthGap / 1.0) +
-        (scenario.id === "severe" && (t === 10 || t === 11) ? 0.8 : 0),
-      3,
-      16
-    );
-    unemploymentSeries.push(unemp);
-
-    const basePolicy = 4;
-    const riskSpread = isInterest
-      ? 0.02 * Math.max(0, debt - 100) / 100
-      : 0.012 * Math.max(0, debt - 80) / 100;
-    const crisisPremium =
-      scenario.id === "severe" && (t === 10 || t === 11) ? 0.5 : 0;
-    const borrowingCost =
-      basePolicy + riskSpread + crisisPremium - (isInterest ? 0 : 0.4);
-    borrowingSeries.push(borrowingCost);
-
-    series.push({
-      year: t,
-      gdp,
-      inflation: pi,
-      debtRatio: debt,
-      unemployment: unemp,
-      borrowingCost,
-    });
-  }
-
-  const growthRates = [];
-  for (let t = 1; t < gdpIndex.length; t++) {
-    const gr = ((gdpIndex[t] / gdpIndex[t - 1]) - 1) * 100;
-    growthRates.push(gr);
-  }
 
-  const gStd = stdDev(growthRates);
-  const piStd = stdDev(inflationSeries);
-
-  let gdpStability = clamp(
-    100 -
-      3 * (gStd / (calibration.macro.gdpVolatility * 100 || 2.5)),
-    0,
-    100
+  // Household state
+  const [salary, setSalary] = useState(init.salary);
+  const [deposit, setDeposit] = useState(init.deposit);
+  const [propertyValue, setPropertyValue] = useState(init.propertyValue);
+  const [termYears, setTermYears] = useState(init.termYears);
+  const [interestRate, setInterestRate] = useState(init.interestRate);
+  const [mortgageProduct, setMortgageProduct] = useState(
+    init.mortgageProduct
   );
-  let piStability = clamp(
-    100 -
-      4 *
-        (piStd /
-          (calibration.macro.inflationVolatility * 100 || 1.3)),
-    0,
-    100
+  const [fixedYears, setFixedYears] = useState(init.fixedYears);
+  const [trackerMargin, setTrackerMargin] = useState(init.trackerMargin);
+  const [revertMargin, setRevertMargin] = useState(init.revertMargin);
+  const [offsetSavings, setOffsetSavings] = useState(init.offsetSavings);
+  const [rentalYield, setRentalYield] = useState(init.rentalYield);
+  const [lumpSum, setLumpSum] = useState(init.lumpSum);
+  const [lumpSumYear, setLumpSumYear] = useState(init.lumpSumYear);
+  const [monthlyOverpayment, setMonthlyOverpayment] = useState(init.monthlyOverpayment);
+  const [ercPercent, setErcPercent] = useState(init.ercPercent);
+  const [ercYears, setErcYears] = useState(init.ercYears);
+  const [exitYear, setExitYear] = useState(init.exitYear);
+  const [holidayYear, setHolidayYear] = useState(init.holidayYear);
+  const [holidayMonths, setHolidayMonths] = useState(init.holidayMonths);
+  const [rentReviewMode, setRentReviewMode] = useState(
+    init.rentReviewMode
   );
-
-  const smeDefaultRate = isInterest
-    ? 100 - sme.survivalInterest
-    : 100 - sme.survivalIslamic;
-
-  const top = calibration.topScores;
-
-  if (system === "interest") {
-    gdpStability = top.economicStabilityInterest;
-    piStability = top.inflationStabilityInterest;
-  } else {
-    gdpStability = clamp(top.economicStabilityInterest + 10, 0, 100);
-    piStability = clamp(top.inflationStabilityInterest + 10, 0, 100);
-  }
-
-  const tailDebt = debtRatio.slice(-5);
-  const avgDebt =
-    tailDebt.reduce((s, x) => s + x, 0) / (tailDebt.length || 1);
-
-  const tailUnemp = unemploymentSeries.slice(-5);
-  const avgUnemp =
-    tailUnemp.reduce((s, x) => s + x, 0) / (tailUnemp.length || 1);
-
-  const tailBorrow = borrowingSeries.slice(-5);
-  const avgBorrow =
-    tailBorrow.reduce((s, x) => s + x, 0) / (tailBorrow.length || 1);
-
-  return {
-    metrics: {
-      economicStability: Math.round(gdpStability),
-      inflationStability: Math.round(piStability),
-      householdDebtRatio: Math.round(avgDebt),
-      smeDefaultRate: Number(smeDefaultRate.toFixed(1)),
-      unemploymentRate: Number(avgUnemp.toFixed(1)),
-      govBorrowCost: Number(avgBorrow.toFixed(1)),
-    },
-    series,
-  };
-}
-
-function simulateAllNational(calibration, sme, scenario) {
-  const interest = simulateNationalSystem(
-    "interest",
-    calibration,
-    sme,
-    scenario
+  const [rentReviewYears, setRentReviewYears] = useState(
+    init.rentReviewYears
   );
-  const islamic = simulateNationalSystem(
-    "islamic",
-    calibration,
-    sme,
-    scenario
+  const [rentCap, setRentCap] = useState(init.rentCap);
+  const [rentFloor, setRentFloor] = useState(init.rentFloor);
+  const [rentMargin, setRentMargin] = useState(init.rentMargin);
+  const [baseRatePath, setBaseRatePath] = useState(init.baseRatePath);
+  const [ijara, setIjara] = useState(init.ijara);
+  const [firstTimeBuyer, setFirstTimeBuyer] = useState(
+    init.firstTimeBuyer
   );
-  return { interest, islamic };
-}
-
-/* ============= WEALTH, ZAKAT & SOCIAL ============= */
-
-function simulateWealthDistribution(calibration, system, zakatPolicy) {
-  let shares = [0.06, 0.1, 0.16, 0.24, 0.44];
-  const years = 30;
-
-  const zakatBaseRate =
-    system === "islamic"
-      ? zakatPolicy === "enhanced"
-        ? 0.03
-        : 0.025
-      : 0;
-
-  let lastZakatShare = 0;
-  let sumZakatShare = 0;
-
-  for (let t = 1; t <= years; t++) {
-    let growthFactors;
-    if (system === "interest") {
-      growthFactors = [1.01, 1.015, 1.02, 1.025, 1.03];
-    } else {
-      growthFactors = [1.018, 1.02, 1.022, 1.022, 1.022];
-    }
-
-    let wealth = shares.map((s, i) => s * growthFactors[i]);
-
-    let totalZakat = 0;
-
-    if (system === "islamic" && zakatBaseRate > 0) {
-      const base = calibration.macro.householdDebtIncome;
-      const nisabMultiplier = base && base > 1.1 ? 1 : 0.9;
-      const zakatable = wealth.map((w, i) =>
-        i >= 2 ? w * nisabMultiplier : 0
-      );
-
-      totalZakat =
-        zakatable.reduce((s, w) => s + w * zakatBaseRate, 0);
-
-      wealth = wealth.map((w, i) => {
-        const paid =
-          i >= 2 ? zakatable[i] * zakatBaseRate : 0;
-        const received =
-          i <= 1 ? (totalZakat * (i === 0 ? 0.6 : 0.4)) : 0;
-        return w - paid + received;
-      });
-    }
-
-    const total = wealth.reduce((s, w) => s + w, 0) || 1;
-    shares = wealth.map((w) => w / total);
-
-    const zakatShareThisYear = total > 0 ? totalZakat / total : 0;
-    lastZakatShare = zakatShareThisYear;
-    sumZakatShare += zakatShareThisYear;
-  }
-
-  const top20 = shares[4] * 100;
-  const bottom40 = (shares[0] + shares[1]) * 100;
-
-  const lorenz = [0];
-  let cum = 0;
-  for (let i = 0; i < shares.length; i++) {
-    cum += shares[i];
-    lorenz.push(cum);
-  }
-  const n = 5;
-  let B = 0;
-  for (let i = 0; i < n; i++) {
-    B += (lorenz[i] + lorenz[i + 1]) / 2 / n;
-  }
-  const gini = 1 - 2 * B;
-  const inequalityScore = clamp(100 - gini * 100, 0, 100);
-
-  const zakatShareYear = lastZakatShare * 100;
-  const zakatShareAvg = (sumZakatShare / years) * 100;
-
-  return {
-    top20,
-    bottom40,
-    inequalityScore,
-    zakatShareYear,
-    zakatShareAvg,
-  };
-}
-
-function computeHousingSupport(wealthIslamic, calibration) {
-  if (!wealthIslamic) {
-    return {
-      housingFund: 0,
-      householdsSaved: 0,
-      shareSaved: 0,
-      defaultReduction: 0,
-    };
-  }
-
-  const MUSLIM_WEALTH = 200_000_000_000; // £200bn stylised
-  const HOUSING_SHARE = 0.35;
-  const AVG_ARREARS = 5000;
-  const AT_RISK = 50_000;
-
-  const annualZakat =
-    MUSLIM_WEALTH * (wealthIslamic.zakatShareYear / 100);
-  const housingFund = annualZakat * HOUSING_SHARE;
-  const householdsSaved = housingFund / AVG_ARREARS;
-  const shareSaved = Math.min(householdsSaved / AT_RISK, 1);
-
-  const baselineDefaultRateAnnual =
-    (calibration?.housing?.annualDefaultProb ?? 0.006) * 100;
-  const defaultReduction =
-    baselineDefaultRateAnnual * shareSaved;
-
-  return {
-    housingFund,
-    householdsSaved,
-    shareSaved,
-    defaultReduction,
-  };
-}
-
-/* ============= BANK BALANCE SHEET SIM ============= */
-
-function simulateBankSystem(system, inputs) {
-  const {
-    totalAssets,
-    murabahaPct,
-    musharakahPct,
-    sukukPct,
-    cashPct,
-    mudarabahPct,
-    currentPct,
-    equityPct,
-    scenarioKey,
-  } = inputs;
-
-  const scenario = BANK_SCENARIOS[scenarioKey] || BANK_SCENARIOS.normal;
-  const A = totalAssets || 0;
-  if (!A) {
-    return {
-      capitalRatio: 0,
-      liquidityRatio: 0,
-      lossRatio: 0,
-      lossCoverRatio: 0,
-      shortfallProb: 0,
-    };
-  }
-
-  const assetTotalPct =
-    murabahaPct + musharakahPct + sukukPct + cashPct || 1;
-  const murabahaShare = murabahaPct / assetTotalPct;
-  const musharakahShare = musharakahPct / assetTotalPct;
-  const sukukShare = sukukPct / assetTotalPct;
-  const cashShare = cashPct / assetTotalPct;
-
-  const fundTotalPct =
-    mudarabahPct + currentPct + equityPct || 1;
-  const equityShare = equityPct / fundTotalPct;
-
-  const murabaha = A * murabahaShare;
-  const musharakah = A * musharakahShare;
-  const sukuk = A * sukukShare;
-  const cash = A * cashShare;
-
-  const rwa =
-    murabaha * 0.75 +
-    musharakah * 1.0 +
-    sukuk * 0.2 +
-    cash * 0.0;
-
-  const equity = A * equityShare;
-  const capitalRatio = rwa > 0 ? equity / rwa : 0;
-
-  const hqla = sukuk + cash;
-  const liquidityRatio = hqla / A;
-
-  const basePdFactor =
-    system === "interest"
-      ? scenario.pdMultiplierInterest
-      : scenario.pdMultiplierIslamic;
-
-  let basePdMurabaha = system === "interest" ? 0.03 : 0.02;
-  let basePdMusharakah = system === "interest" ? 0.06 : 0.05;
-  let basePdSukuk = system === "interest" ? 0.007 : 0.005;
-
-  const pdMurabaha = basePdMurabaha * basePdFactor;
-  const pdMusharakah = basePdMusharakah * basePdFactor;
-  const pdSukuk = basePdSukuk * basePdFactor;
-
-  const lgd = 0.4;
-
-  const lossMurabaha = murabaha * pdMurabaha * lgd;
-  const lossMusharakah = musharakah * pdMusharakah * lgd;
-  const lossSukuk = sukuk * pdSukuk * lgd;
-
-  const totalLoss = lossMurabaha + lossMusharakah + lossSukuk;
-  const lossRatio = totalLoss / A;
-
-  const lossCoverRatio = totalLoss > 0 ? equity / totalLoss : 999;
-
-  const shortfallProbRaw =
-    totalLoss <= 0
-      ? 0
-      : clamp(1 / (lossCoverRatio + 0.1), 0, 1);
-  const shortfallProb =
-    scenarioKey === "severe"
-      ? shortfallProbRaw * 1.4
-      : scenarioKey === "stress"
-      ? shortfallProbRaw * 1.1
-      : shortfallProbRaw;
-
-  return {
-    capitalRatio,
-    liquidityRatio,
-    lossRatio,
-    lossCoverRatio,
-    shortfallProb: clamp(shortfallProb * 100, 0, 100),
-  };
-}
-
-/* ============= UI ============= */
-
-function App() {
-  const [system, setSystem] = useState("interest");
-  const [mode, setMode] = useState("uk");
-  const [scenarioId, setScenarioId] = useState("baseline");
-  const [zakatPolicy, setZakatPolicy] = useState("standard");
-  const [sector, setSector] = useState("services");
-
-  const calibration = CALIBRATION_MODES[mode];
-  const scenario = SCENARIOS[scenarioId];
-
-  // Household state
-  const [salary, setSalary] = useState(55000);
-  const [deposit, setDeposit] = useState(55000);
-  const [propertyValue, setPropertyValue] = useState(270000);
-  const [termYears, setTermYears] = useState(
-    CALIBRATION_MODES.uk.housing.termYearsDefault
+  const [purchaseMode, setPurchaseMode] = useState(init.purchaseMode);
+  const [btlRent, setBtlRent] = useState(init.btlRent);
+  const [btlVoidMonths, setBtlVoidMonths] = useState(init.btlVoidMonths);
+  const [btlLettingPercent, setBtlLettingPercent] = useState(
+    init.btlLettingPercent
+  );
+  const [btlRentGrowth, setBtlRentGrowth] = useState(init.btlRentGrowth);
+  const [btlStructure, setBtlStructure] = useState(init.btlStructure);
+  const [btlTaxRate, setBtlTaxRate] = useState(init.btlTaxRate);
+  const [householdStochastic, setHouseholdStochastic] = useState(
+    init.householdStochastic
   );
-  const [interestRate, setInterestRate] = useState(
-    CALIBRATION_MODES.uk.housing.mortgageRate * 100
+  const [householdPaths, setHouseholdPaths] = useState(
+    init.householdPaths
   );
-  const [rentalYield, setRentalYield] = useState(
-    CALIBRATION_MODES.uk.housing.rentalYield * 100
+  const [householdSeed, setHouseholdSeed] = useState(init.householdSeed);
+  const [housingRegion, setHousingRegion] = useState(init.housingRegion);
+  const [activeHousePreset, setActiveHousePreset] = useState(
+    init.activeHousePreset
+  );
+  const [showSchedule, setShowSchedule] = useState(false);
+
+  // Regions only refine the UK calibration
+  const region = mode === "uk" ? housingRegion : "national";
+  const householdCalibration = useMemo(
+    () => regionalCalibration(calibration, region),
+    [calibration, region]
   );
-  const [activeHousePreset, setActiveHousePreset] =
-    useState("avg_buyer");
+  const dutyRegime = stampDutyRegime(householdCalibration);
 
   // SME state
-  const [revenue, setRevenue] = useState(250000);
-  const [marginPercent, setMarginPercent] = useState(
-    CALIBRATION_MODES.uk.sme.marginDefault * 100
+  const [revenue, setRevenue] = useState(init.revenue);
+  const [marginPercent, setMarginPercent] = useState(init.marginPercent);
+  const [financeRequired, setFinanceRequired] = useState(
+    init.financeRequired
+  );
+  const [smeTermYears, setSmeTermYears] = useState(init.smeTermYears);
+  const [smeSeed, setSmeSeed] = useState(init.smeSeed);
+  const [smeRuns, setSmeRuns] = useState(init.smeRuns);
+  const [smeStructure, setSmeStructure] = useState(init.smeStructure);
+  const [smeProfitShare, setSmeProfitShare] = useState(
+    init.smeProfitShare
+  );
+  const [smeLossShare, setSmeLossShare] = useState(init.smeLossShare);
+  const [smeOwnerCapital, setSmeOwnerCapital] = useState(
+    init.smeOwnerCapital
+  );
+  const [smeProfitCap, setSmeProfitCap] = useState(init.smeProfitCap);
+  const [smeMarkup, setSmeMarkup] = useState(init.smeMarkup);
+  const [smeCompareStructures, setSmeCompareStructures] = useState(
+    init.smeCompareStructures
+  );
+  const [smeRecessionMode, setSmeRecessionMode] = useState(
+    init.smeRecessionMode
+  );
+  const [smeRecessionYear, setSmeRecessionYear] = useState(
+    init.smeRecessionYear
+  );
+  const [smeRecessionLength, setSmeRecessionLength] = useState(
+    init.smeRecessionLength
+  );
+  const [smeShockPersistence, setSmeShockPersistence] = useState(
+    init.smeShockPersistence
+  );
+  const [smeStartYear, setSmeStartYear] = useState(init.smeStartYear);
+  const [smeLiquidity, setSmeLiquidity] = useState(init.smeLiquidity);
+  const [smeOpeningCash, setSmeOpeningCash] = useState(
+    init.smeOpeningCash
+  );
+  const [smeWorkingCapital, setSmeWorkingCapital] = useState(
+    init.smeWorkingCapital
+  );
+  const [smeFacility, setSmeFacility] = useState(init.smeFacility);
+  const [smeOverdraftRate, setSmeOverdraftRate] = useState(
+    init.smeOverdraftRate
+  );
+  const [smeCovenantCover, setSmeCovenantCover] = useState(
+    init.smeCovenantCover
+  );
+  const [smeRestructure, setSmeRestructure] = useState(
+    init.smeRestructure
+  );
+  const [smePortfolio, setSmePortfolio] = useState(init.smePortfolio);
+  const [portfolioMix, setPortfolioMix] = useState(init.portfolioMix);
+  const [portfolioLoans, setPortfolioLoans] = useState(
+    init.portfolioLoans
+  );
+  const [portfolioRuns, setPortfolioRuns] = useState(init.portfolioRuns);
+  const [portfolioMacroCorrelation, setPortfolioMacroCorrelation] =
+    useState(init.portfolioMacroCorrelation);
+  const [portfolioSectorCorrelation, setPortfolioSectorCorrelation] =
+    useState(init.portfolioSectorCorrelation);
+  const [portfolioRecovery, setPortfolioRecovery] = useState(
+    init.portfolioRecovery
+  );
+  const [activeSmePreset, setActiveSmePreset] = useState(
+    init.activeSmePreset
   );
-  const [financeRequired, setFinanceRequired] = useState(75000);
-  const [smeTermYears, setSmeTermYears] = useState(5);
-  const [activeSmePreset, setActiveSmePreset] =
-    useState("service_sme");
 
   // Bank state
-  const [bankAssets, setBankAssets] = useState(5000); // in millions
-  const [bankMurabaha, setBankMurabaha] = useState(40);
-  const [bankMusharakah, setBankMusharakah] = useState(30);
-  const [bankSukuk, setBankSukuk] = useState(20);
-  const [bankCash, setBankCash] = useState(10);
-
-  const [bankMudarabah, setBankMudarabah] = useState(60);
-  const [bankCurrent, setBankCurrent] = useState(20);
-  const [bankEquity, setBankEquity] = useState(20);
+  // in millions
+  const [bankAssets, setBankAssets] = useState(init.bankAssets);
+  const [bankMurabaha, setBankMurabaha] = useState(init.bankMurabaha);
+  const [bankMusharakah, setBankMusharakah] = useState(
+    init.bankMusharakah
+  );
+  const [bankSukuk, setBankSukuk] = useState(init.bankSukuk);
+  const [bankCash, setBankCash] = useState(init.bankCash);
+
+  const [bankMudarabah, setBankMudarabah] = useState(init.bankMudarabah);
+  const [bankCurrent, setBankCurrent] = useState(init.bankCurrent);
+  const [bankEquity, setBankEquity] = useState(init.bankEquity);
+
+  const [bankScenario, setBankScenario] = useState(init.bankScenario);
+
+  // Every input in one object, keyed like DEFAULT_CONFIG
+  const config = {
+    system,
+    mode,
+    scenarioId: allScenarios[scenarioId] ? scenarioId : "baseline",
+    zakatPolicy,
+    sector,
+    stabilityMethod,
+    nationalStochastic,
+    nationalPaths,
+    nationalSeed,
+    salary,
+    deposit,
+    propertyValue,
+    termYears,
+    interestRate,
+    mortgageProduct,
+    fixedYears,
+    trackerMargin,
+    revertMargin,
+    offsetSavings,
+    rentalYield,
+    lumpSum,
+    lumpSumYear,
+    monthlyOverpayment,
+    ercPercent,
+    ercYears,
+    exitYear,
+    holidayYear,
+    holidayMonths,
+    rentReviewMode,
+    rentReviewYears,
+    rentCap,
+    rentFloor,
+    rentMargin,
+    baseRatePath,
+    ijara,
+    firstTimeBuyer,
+    purchaseMode,
+    btlRent,
+    btlVoidMonths,
+    btlLettingPercent,
+    btlRentGrowth,
+    btlStructure,
+    btlTaxRate,
+    householdStochastic,
+    householdPaths,
+    householdSeed,
+    housingRegion,
+    activeHousePreset,
+    revenue,
+    marginPercent,
+    financeRequired,
+    smeTermYears,
+    smeSeed,
+    smeRuns,
+    smeStructure,
+    smeProfitShare,
+    smeLossShare,
+    smeOwnerCapital,
+    smeProfitCap,
+    smeMarkup,
+    smeCompareStructures,
+    smeRecessionMode,
+    smeRecessionYear,
+    smeRecessionLength,
+    smeShockPersistence,
+    smeStartYear,
+    smeLiquidity,
+    smeOpeningCash,
+    smeWorkingCapital,
+    smeFacility,
+    smeOverdraftRate,
+    smeCovenantCover,
+    smeRestructure,
+    activeSmePreset,
+    smePortfolio,
+    portfolioMix,
+    portfolioLoans,
+    portfolioRuns,
+    portfolioMacroCorrelation,
+    portfolioSectorCorrelation,
+    portfolioRecovery,
+    bankAssets,
+    bankMurabaha,
+    bankMusharakah,
+    bankSukuk,
+    bankCash,
+    bankMudarabah,
+    bankCurrent,
+    bankEquity,
+    bankScenario,
+  };
+  const configSearch = configToSearch(
+    config,
+    customScenarios[config.scenarioId]
+  );
 
-  const [bankScenario, setBankScenario] = useState("normal");
+  useEffect(() => {
+    const { pathname, hash } = window.location;
+    window.history.replaceState(
+      null,
+      "",
+      `${pathname}${configSearch ? `?${configSearch}` : ""}${hash}`
+    );
+  }, [configSearch]);
+
+  const [linkStatus, setLinkStatus] = useState(null);
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkStatus("Link copied");
+    } catch {
+      setLinkStatus("Copy failed, use the address bar");
+    }
+    setTimeout(() => setLinkStatus(null), 2500);
+  };
 
-  const household = useMemo(
-    () =>
-      calculateHouseholdMetrics({
-        salary,
-        deposit,
-        propertyValue,
-        termYears,
-        interestRatePercent: interestRate,
-        rentalYieldPercent: rentalYield,
-        calibration,
-      }),
-    [
+  const householdInput = useMemo(
+    () => ({
       salary,
       deposit,
       propertyValue,
       termYears,
-      interestRate,
+      interestRatePercent: interestRate,
+      rentalYieldPercent: rentalYield,
+      rentReview: {
+        mode: rentReviewMode,
+        periodYears: rentReviewYears,
+        capPercent: rentCap,
+        floorPercent: rentFloor,
+        marginPercent: rentMargin,
+      },
+      mortgage: {
+        product: mortgageProduct,
+        fixedYears,
+        trackerMarginPercent: trackerMargin,
+        revertMarginPercent: revertMargin,
+        offsetSavings,
+      },
+      behaviour: {
+        lumpSum,
+        lumpSumYear,
+        monthlyOverpayment,
+        ercPercent,
+        ercYears,
+        exitYear,
+        holidayYear,
+        holidayMonths,
+      },
+      baseRatePath,
+      ijara,
+      calibration: householdCalibration,
+    }),
+    [
+      salary,
+      deposit,
+      propertyValue,
+      termYears,
+      interestRate,
       rentalYield,
-      calibration,
+      rentReviewMode,
+      rentReviewYears,
+      rentCap,
+      rentFloor,
+      rentMargin,
+      mortgageProduct,
+      fixedYears,
+      trackerMargin,
+      revertMargin,
+      offsetSavings,
+      lumpSum,
+      lumpSumYear,
+      monthlyOverpayment,
+      ercPercent,
+      ercYears,
+      exitYear,
+      holidayYear,
+      holidayMonths,
+      baseRatePath,
+      ijara,
+      householdCalibration,
+    ]
+  );
+  const household = useMemo(
+    () => calculateHouseholdMetrics(householdInput),
+    [householdInput]
+  );
+  // [result key, label] for each home finance structure on show
+  const householdSystems = [
+    ["interest", "interest"],
+    ["islamic", "Islamic"],
+    ...(ijara ? [["ijara", "ijara"]] : []),
+  ];
+  const ownershipCosts = useMemo(
+    () =>
+      calculateOwnershipCosts(
+        { ...householdInput, firstTimeBuyer },
+        household
+      ),
+    [householdInput, household, firstTimeBuyer]
+  );
+  const landlord = useMemo(
+    () =>
+      purchaseMode === "landlord"
+        ? calculateLandlordMetrics({
+            ...householdInput,
+            landlord: {
+              monthlyRent: btlRent,
+              voidMonths: btlVoidMonths,
+              lettingPercent: btlLettingPercent,
+              rentGrowthPercent: btlRentGrowth,
+              structure: btlStructure,
+              taxRatePercent: btlTaxRate,
+            },
+          })
+        : null,
+    [
+      householdInput,
+      purchaseMode,
+      btlRent,
+      btlVoidMonths,
+      btlLettingPercent,
+      btlRentGrowth,
+      btlStructure,
+      btlTaxRate,
     ]
   );
+  const affordability = useMemo(
+    () => assessAffordability(householdInput),
+    [householdInput]
+  );
+  // repossession probabilities are always simulated, in the background;
+  // the stochastic view only adds the path bands to the equity chart
+  const householdRiskInput = useMemo(
+    () => ({ ...householdInput, runs: householdPaths, seed: householdSeed }),
+    [householdInput, householdPaths, householdSeed]
+  );
+  const {
+    result: householdRisk,
+    running: householdRiskRunning,
+    progress: householdRiskProgress,
+    error: householdRiskError,
+    cancel: cancelHouseholdRisk,
+  } = useSmeWorker(householdRiskInput, "household");
 
   const sectorConfig = SME_SECTORS[sector];
 
-  const sme = useMemo(
-    () =>
-      calculateSmeMetrics({
-        revenue,
-        marginPercent,
-        financeRequired,
-        termYears: smeTermYears,
-        calibration,
-        scenario,
-        sectorConfig,
-      }),
+  const smeInput = useMemo(
+    () => ({
+      revenue,
+      marginPercent,
+      financeRequired,
+      termYears: smeTermYears,
+      calibration,
+      scenario,
+      sectorConfig,
+      seed: smeSeed,
+      runs: smeRuns,
+      structure: {
+        structure: smeStructure,
+        profitSharePercent: smeProfitShare,
+        lossSharePercent: smeLossShare,
+        ownerCapitalPercent: smeOwnerCapital,
+        profitCapPercent: smeProfitCap,
+        markupPercent: smeMarkup,
+      },
+      recession: {
+        mode: smeRecessionMode,
+        startYear: smeRecessionYear,
+        lengthYears: smeRecessionLength,
+        persistence: smeShockPersistence,
+        scenarioStartYear: smeStartYear,
+      },
+      liquidity: {
+        enabled: smeLiquidity,
+        openingCashPercent: smeOpeningCash,
+        workingCapitalPercent: smeWorkingCapital,
+        facilityPercent: smeFacility,
+        overdraftRatePercent: smeOverdraftRate,
+        covenantCover: smeCovenantCover,
+        restructure: smeRestructure,
+      },
+      compareStructures: smeCompareStructures,
+    }),
     [
       revenue,
       marginPercent,
@@ -1051,17 +600,116 @@ function App() {
       calibration,
       scenario,
       sectorConfig,
+      smeSeed,
+      smeRuns,
+      smeStructure,
+      smeProfitShare,
+      smeLossShare,
+      smeOwnerCapital,
+      smeProfitCap,
+      smeMarkup,
+      smeRecessionMode,
+      smeRecessionYear,
+      smeRecessionLength,
+      smeShockPersistence,
+      smeStartYear,
+      smeLiquidity,
+      smeOpeningCash,
+      smeWorkingCapital,
+      smeFacility,
+      smeOverdraftRate,
+      smeCovenantCover,
+      smeRestructure,
+      smeCompareStructures,
+    ]
+  );
+  const {
+    result: sme,
+    running: smeRunning,
+    progress: smeProgress,
+    error: smeError,
+    cancel: cancelSme,
+  } = useSmeWorker(smeInput);
+
+  // the book reuses the SME inputs, but not their margin or sector
+  // shocks: each loan takes its own sector's
+  const portfolioInput = useMemo(
+    () =>
+      smePortfolio
+        ? {
+            revenue: smeInput.revenue,
+            financeRequired: smeInput.financeRequired,
+            termYears: smeInput.termYears,
+            calibration,
+            scenario,
+            mix: portfolioMix,
+            sector,
+            portfolio: {
+              loans: portfolioLoans,
+              macroCorrelationPercent: portfolioMacroCorrelation,
+              sectorCorrelationPercent: portfolioSectorCorrelation,
+              recoveryPercent: portfolioRecovery,
+            },
+            structure: smeInput.structure,
+            recession: smeInput.recession,
+            liquidity: smeInput.liquidity,
+            seed: smeSeed,
+            runs: portfolioRuns,
+          }
+        : null,
+    [
+      smePortfolio,
+      smeInput,
+      calibration,
+      scenario,
+      portfolioMix,
+      sector,
+      portfolioLoans,
+      portfolioMacroCorrelation,
+      portfolioSectorCorrelation,
+      portfolioRecovery,
+      smeSeed,
+      portfolioRuns,
     ]
   );
+  const {
+    result: portfolio,
+    running: portfolioRunning,
+    progress: portfolioProgress,
+    error: portfolioError,
+    cancel: cancelPortfolio,
+  } = useSmeWorker(portfolioInput, "portfolio");
 
   const nationalAll = useMemo(
-    () => simulateAllNational(calibration, sme, scenario),
-    [calibration, sme, scenario]
+    () =>
+      nationalStochastic
+        ? simulateNationalPaths(calibration, sme, scenario, {
+            stabilityMethod,
+            paths: nationalPaths,
+            seed: nationalSeed,
+          })
+        : simulateAllNational(calibration, sme, scenario, {
+            stabilityMethod,
+          }),
+    [
+      calibration,
+      sme,
+      scenario,
+      stabilityMethod,
+      nationalStochastic,
+      nationalPaths,
+      nationalSeed,
+    ]
   );
-  const national =
-    system === "interest"
-      ? nationalAll.interest.metrics
-      : nationalAll.islamic.metrics;
+  const nationalResult =
+    system === "interest" ? nationalAll.interest : nationalAll.islamic;
+  const national = nationalResult.metrics;
+  // P10–P90 note for a metric card, only in stochastic mode
+  const nationalRange = (field, suffix = "") => {
+    const d = nationalResult.distributions?.[field];
+    if (!d) return undefined;
+    return `P10–P90 ${d.p10.toFixed(1)}–${d.p90.toFixed(1)}${suffix}`;
+  };
 
   const wealthInterest = useMemo(
     () =>
@@ -1146,8 +794,18 @@ function App() {
     maximumFractionDigits: 1,
   });
   const pct1 = (x) => x.toFixed(1);
-
-  const applyHousePreset = (preset) => {
+  const signedMoney = (x) =>
+    `${x < 0 ? "−" : "+"}£${moneyFmt0.format(Math.abs(x))}`;
+  // payment shock: how far the highest payment sits above the first
+  const paymentPeakNote = (first, peak) =>
+    peak > first * 1.001
+      ? `Peaks at £${moneyFmt0.format(peak)}, +${pct1(
+          (peak / first - 1) * 100
+        )}%`
+      : "Never rises above the first payment";
+
+  const applyHousePreset = (base, regionId = region) => {
+    const preset = regionalHousePreset(base, regionId);
     setSalary(preset.salary);
     setDeposit(preset.deposit);
     setPropertyValue(preset.propertyValue);
@@ -1159,6 +817,13 @@ function App() {
 
   const resetHouseCustom = () => setActiveHousePreset(null);
 
+  // A new region moves the active preset with it
+  const changeRegion = (id) => {
+    setHousingRegion(id);
+    const preset = HOUSEHOLD_PRESETS.find((p) => p.id === activeHousePreset);
+    if (preset) applyHousePreset(preset, id);
+  };
+
   const applySmePreset = (preset) => {
     setRevenue(preset.revenue);
     setMarginPercent(preset.marginPercent);
@@ -1169,15 +834,255 @@ function App() {
 
   const resetSmeCustom = () => setActiveSmePreset(null);
 
+  // Saved runs and comparison
+  const setters = {
+    system: setSystem,
+    mode: setMode,
+    scenarioId: setScenarioId,
+    zakatPolicy: setZakatPolicy,
+    sector: setSector,
+    stabilityMethod: setStabilityMethod,
+    nationalStochastic: setNationalStochastic,
+    nationalPaths: setNationalPaths,
+    nationalSeed: setNationalSeed,
+    salary: setSalary,
+    deposit: setDeposit,
+    propertyValue: setPropertyValue,
+    termYears: setTermYears,
+    interestRate: setInterestRate,
+    mortgageProduct: setMortgageProduct,
+    fixedYears: setFixedYears,
+    trackerMargin: setTrackerMargin,
+    revertMargin: setRevertMargin,
+    offsetSavings: setOffsetSavings,
+    rentalYield: setRentalYield,
+    lumpSum: setLumpSum,
+    lumpSumYear: setLumpSumYear,
+    monthlyOverpayment: setMonthlyOverpayment,
+    ercPercent: setErcPercent,
+    ercYears: setErcYears,
+    exitYear: setExitYear,
+    holidayYear: setHolidayYear,
+    holidayMonths: setHolidayMonths,
+    rentReviewMode: setRentReviewMode,
+    rentReviewYears: setRentReviewYears,
+    rentCap: setRentCap,
+    rentFloor: setRentFloor,
+    rentMargin: setRentMargin,
+    baseRatePath: setBaseRatePath,
+    ijara: setIjara,
+    firstTimeBuyer: setFirstTimeBuyer,
+    purchaseMode: setPurchaseMode,
+    btlRent: setBtlRent,
+    btlVoidMonths: setBtlVoidMonths,
+    btlLettingPercent: setBtlLettingPercent,
+    btlRentGrowth: setBtlRentGrowth,
+    btlStructure: setBtlStructure,
+    btlTaxRate: setBtlTaxRate,
+    householdStochastic: setHouseholdStochastic,
+    householdPaths: setHouseholdPaths,
+    householdSeed: setHouseholdSeed,
+    housingRegion: setHousingRegion,
+    activeHousePreset: setActiveHousePreset,
+    revenue: setRevenue,
+    marginPercent: setMarginPercent,
+    financeRequired: setFinanceRequired,
+    smeTermYears: setSmeTermYears,
+    smeSeed: setSmeSeed,
+    smeRuns: setSmeRuns,
+    smeStructure: setSmeStructure,
+    smeProfitShare: setSmeProfitShare,
+    smeLossShare: setSmeLossShare,
+    smeOwnerCapital: setSmeOwnerCapital,
+    smeProfitCap: setSmeProfitCap,
+    smeMarkup: setSmeMarkup,
+    smeCompareStructures: setSmeCompareStructures,
+    smeRecessionMode: setSmeRecessionMode,
+    smeRecessionYear: setSmeRecessionYear,
+    smeRecessionLength: setSmeRecessionLength,
+    smeShockPersistence: setSmeShockPersistence,
+    smeStartYear: setSmeStartYear,
+    smeLiquidity: setSmeLiquidity,
+    smeOpeningCash: setSmeOpeningCash,
+    smeWorkingCapital: setSmeWorkingCapital,
+    smeFacility: setSmeFacility,
+    smeOverdraftRate: setSmeOverdraftRate,
+    smeCovenantCover: setSmeCovenantCover,
+    smeRestructure: setSmeRestructure,
+    smePortfolio: setSmePortfolio,
+    portfolioMix: setPortfolioMix,
+    portfolioLoans: setPortfolioLoans,
+    portfolioRuns: setPortfolioRuns,
+    portfolioMacroCorrelation: setPortfolioMacroCorrelation,
+    portfolioSectorCorrelation: setPortfolioSectorCorrelation,
+    portfolioRecovery: setPortfolioRecovery,
+    activeSmePreset: setActiveSmePreset,
+    bankAssets: setBankAssets,
+    bankMurabaha: setBankMurabaha,
+    bankMusharakah: setBankMusharakah,
+    bankSukuk: setBankSukuk,
+    bankCash: setBankCash,
+    bankMudarabah: setBankMudarabah,
+    bankCurrent: setBankCurrent,
+    bankEquity: setBankEquity,
+    bankScenario: setBankScenario,
+  };
+
+  const applyConfig = (next, customScenario) => {
+    if (isObject(customScenario)) {
+      const cleaned = normaliseScenario(customScenario);
+      setCustomScenarios((prev) => ({
+        ...prev,
+        [cleaned.id]: cleaned,
+      }));
+    }
+    const merged = { ...DEFAULT_CONFIG, ...configFromObject(next) };
+    for (const [key, set] of Object.entries(setters)) set(merged[key]);
+  };
+
+  const [snapshots, setSnapshots] = useState(loadSnapshots);
+  const [compareIds, setCompareIds] = useState([]);
+  const [snapshotsSaved, setSnapshotsSaved] = useState(true);
+
+  useEffect(() => {
+    setSnapshotsSaved(saveJSON(SNAPSHOTS_KEY, snapshots));
+  }, [snapshots]);
+
+  const labels = {
+    mode: calibration.label,
+    scenario: scenario.label,
+    sector: sectorConfig.label,
+    stability: STABILITY_METHODS[stabilityMethod].label,
+  };
+
+  const saveSnapshot = (name) => {
+    const snapshot = {
+      id: `snap_${Date.now().toString(36)}`,
+      name: name.trim() || `Run ${snapshots.length + 1}`,
+      savedAt: new Date().toISOString(),
+      config,
+      customScenario: customScenarios[config.scenarioId] || null,
+      labels,
+      results: snapshotResults({
+        household,
+        householdRisk,
+        sme,
+        nationalAll,
+        wealthInterest,
+        wealthIslamic,
+        housingSupport,
+        bankInterest,
+        bankIslamic,
+      }),
+    };
+    setSnapshots((prev) => [...prev, snapshot]);
+  };
+
+  const deleteSnapshot = (id) => {
+    setSnapshots((prev) => prev.filter((snap) => snap.id !== id));
+    setCompareIds((prev) => prev.filter((x) => x !== id));
+  };
+
+  const toggleCompare = (id) =>
+    setCompareIds((prev) =>
+      prev.includes(id)
+        ? prev.filter((x) => x !== id)
+        : prev.length < MAX_COMPARE
+        ? [...prev, id]
+        : prev
+    );
+
+  const compared = compareIds
+    .map((id) => snapshots.find((snap) => snap.id === id))
+    .filter(Boolean);
+
+  // Exports are assembled on click so renders stay cheap
+  const exportData = (sectionId, format) => {
+    const sections = buildExports({
+      config,
+      labels,
+      household,
+      householdRisk,
+      ownershipCosts,
+      affordability,
+      landlord,
+      sme,
+      portfolio,
+      nationalAll,
+      wealthInterest,
+      wealthIslamic,
+      housingSupport,
+      bankInterest,
+      bankIslamic,
+    });
+    const stamp = new Date().toISOString().slice(0, 10);
+    const base = `ilm-sim-${sectionId || "all"}-${stamp}`;
+    if (format === "json") {
+      downloadText(
+        `${base}.json`,
+        toJson(sectionId ? sections[sectionId] : sections),
+        "application/json"
+      );
+    } else {
+      const picked = sectionId
+        ? [sections[sectionId]]
+        : Object.values(sections);
+      downloadText(
+        `${base}.csv`,
+        picked.map(sectionToCsv).join("\n"),
+        "text/csv"
+      );
+    }
+  };
+
+  const [reportOpen, setReportOpen] = useState(false);
+
+  if (reportOpen) {
+    return (
+      <ReportView
+        config={config}
+        calibration={calibration}
+        householdCalibration={householdCalibration}
+        scenario={scenario}
+        sectorConfig={sectorConfig}
+        stabilityMethod={stabilityMethod}
+        household={household}
+        householdRisk={householdRisk}
+        ownershipCosts={ownershipCosts}
+        affordability={affordability}
+        landlord={landlord}
+        sme={sme}
+        portfolio={portfolio}
+        nationalAll={nationalAll}
+        wealthInterest={wealthInterest}
+        wealthIslamic={wealthIslamic}
+        housingSupport={housingSupport}
+        bankInterest={bankInterest}
+        bankIslamic={bankIslamic}
+        onClose={() => setReportOpen(false)}
+      />
+    );
+  }
+
   return (
     <div className="App">
       <header className="nav">
         <div className="nav-left">Ilm Finance</div>
         <nav className="nav-links">
           <a href="#sim">Simulator</a>
+          <a href="#compare">Compare</a>
           <a href="#methods">Methods</a>
           <a href="#why">Why it matters</a>
           <a href="#roadmap">Roadmap</a>
+          <button
+            className="nav-button"
+            onClick={() => {
+              setReportOpen(true);
+              window.scrollTo(0, 0);
+            }}
+          >
+            Report
+          </button>
         </nav>
       </header>
 
@@ -1239,24 +1144,56 @@ function App() {
               <label>
                 <span>Macro scenario</span>
                 <select
-                  value={scenarioId}
-                  onChange={(e) =>
-                    setScenarioId(e.target.value)
-                  }
+                  value={config.scenarioId}
+                  onChange={(e) => {
+                    const next = allScenarios[e.target.value];
+                    setScenarioId(e.target.value);
+                    if (next && smeRecessionMode === "scenario") {
+                      setSmeStartYear(firstDownturnYear(next));
+                    }
+                  }}
                 >
-                  {Object.values(SCENARIOS).map((s) => (
+                  {Object.values(allScenarios).map((s) => (
                     <option key={s.id} value={s.id}>
                       {s.label}
                     </option>
                   ))}
                 </select>
               </label>
-              <p className="hint small">
-                {SCENARIOS[scenarioId].description}
-              </p>
+              <p className="hint small">{scenario.description}</p>
+              <button
+                className="preset-btn"
+                onClick={() => setEditingScenario((v) => !v)}
+              >
+                {editingScenario ? "Close editor" : "Build scenario"}
+              </button>
+            </div>
+
+            <div className="share-box">
+              <button className="preset-btn" onClick={copyLink}>
+                Copy link
+              </button>
+              {linkStatus && (
+                <span className="hint small">{linkStatus}</span>
+              )}
+              <ExportButtons
+                label="Export all:"
+                onExport={(format) => exportData(null, format)}
+              />
             </div>
           </div>
 
+          {editingScenario && (
+            <ScenarioEditor
+              key={scenario.id}
+              base={scenario}
+              isCustom={Boolean(customScenarios[scenario.id])}
+              onSave={saveCustomScenario}
+              onDelete={deleteCustomScenario}
+              onCancel={() => setEditingScenario(false)}
+            />
+          )}
+
           <div className="card-row">
             <MetricCard
               label="Economic stability"
@@ -1282,21 +1219,85 @@ function App() {
             title="National model"
             subtitle="Thirty year stylised paths for GDP, unemployment and inflation under each system, calibrated to UK like averages in UK mode."
           />
+          <ExportButtons
+            onExport={(format) => exportData("national", format)}
+          />
+          <div className="preset-row">
+            <span className="preset-label">Stability scoring:</span>
+            {Object.values(STABILITY_METHODS).map((m) => (
+              <button
+                key={m.id}
+                className={
+                  stabilityMethod === m.id
+                    ? "preset-btn active"
+                    : "preset-btn"
+                }
+                onClick={() => setStabilityMethod(m.id)}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+          <p className="hint small">
+            {STABILITY_METHODS[stabilityMethod].description}
+          </p>
+          <div className="preset-row">
+            <span className="preset-label">Paths:</span>
+            <button
+              className={
+                !nationalStochastic ? "preset-btn active" : "preset-btn"
+              }
+              onClick={() => setNationalStochastic(false)}
+            >
+              Deterministic
+            </button>
+            <button
+              className={
+                nationalStochastic ? "preset-btn active" : "preset-btn"
+              }
+              onClick={() => setNationalStochastic(true)}
+            >
+              Stochastic
+            </button>
+          </div>
+          {nationalStochastic && (
+            <div className="two-col">
+              <div className="col">
+                <InputField
+                  label={`Simulated paths (max ${MAX_NATIONAL_PATHS.toLocaleString(
+                    "en-GB"
+                  )})`}
+                  value={nationalPaths}
+                  onChange={(v) => setNationalPaths(v)}
+                />
+              </div>
+              <div className="col">
+                <InputField
+                  label="Random seed"
+                  value={nationalSeed}
+                  onChange={(v) => setNationalSeed(v)}
+                />
+              </div>
+            </div>
+          )}
           <div className="card-row">
             <MetricCard
               label="GDP stability score"
               value={national.economicStability}
               suffix="/100"
+              note={nationalRange("economicStability")}
             />
             <MetricCard
               label="Inflation stability score"
               value={national.inflationStability}
               suffix="/100"
+              note={nationalRange("inflationStability")}
             />
             <MetricCard
               label="Household debt ratio"
               value={national.householdDebtRatio}
               suffix="% of income"
+              note={nationalRange("householdDebtRatio", "%")}
             />
             <MetricCard
               label="SME default probability"
@@ -1307,16 +1308,20 @@ function App() {
               label="Unemployment rate"
               value={national.unemploymentRate}
               suffix="%"
+              note={nationalRange("unemploymentRate", "%")}
             />
             <MetricCard
               label="Gov borrowing cost"
               value={national.govBorrowCost}
               suffix="%"
+              note={nationalRange("govBorrowCost", "%")}
             />
           </div>
           <NationalChart
             interestSeries={nationalAll.interest.series}
             islamicSeries={nationalAll.islamic.series}
+            interestBands={nationalAll.interest.bands}
+            islamicBands={nationalAll.islamic.bands}
           />
         </section>
 
@@ -1326,6 +1331,9 @@ function App() {
             title="Household scenario"
             subtitle="Compare an interest mortgage with an Islamic diminishing musharakah using realistic UK style parameters."
           />
+          <ExportButtons
+            onExport={(format) => exportData("household", format)}
+          />
 
           <div className="preset-row">
             <span className="preset-label">Scenario:</span>
@@ -1353,9 +1361,59 @@ function App() {
               Custom
             </button>
           </div>
+          {mode === "uk" && (
+            <div className="preset-row">
+              <label>
+                <span className="preset-label">Region: </span>
+                <select
+                  value={housingRegion}
+                  onChange={(e) => changeRegion(e.target.value)}
+                >
+                  {Object.values(HOUSING_REGIONS).map((r) => (
+                    <option key={r.id} value={r.id}>
+                      {r.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <span className="hint small">
+                Median income £
+                {moneyFmt0.format(
+                  householdCalibration.housing.medianGrossIncome
+                )}
+                , house prices +
+                {pct1(householdCalibration.housing.housePriceGrowth * 100)}%
+                a year, rental yield{" "}
+                {pct1(householdCalibration.housing.rentalYield * 100)}%
+              </span>
+            </div>
+          )}
 
           <div className="two-col">
             <div className="col">
+              <div className="preset-row">
+                <span className="preset-label">Purchase:</span>
+                <button
+                  className={
+                    purchaseMode === "owner"
+                      ? "preset-btn active"
+                      : "preset-btn"
+                  }
+                  onClick={() => setPurchaseMode("owner")}
+                >
+                  Owner-occupier
+                </button>
+                <button
+                  className={
+                    purchaseMode === "landlord"
+                      ? "preset-btn active"
+                      : "preset-btn"
+                  }
+                  onClick={() => setPurchaseMode("landlord")}
+                >
+                  Buy-to-let
+                </button>
+              </div>
               <InputField
                 label="Salary per year"
                 value={salary}
@@ -1380,6 +1438,37 @@ function App() {
                   resetHouseCustom();
                 }}
               />
+              {purchaseMode === "owner" && (
+                <div className="preset-row">
+                  <span className="preset-label">
+                    {dutyRegime.label}:
+                  </span>
+                  <button
+                    className={
+                      !firstTimeBuyer ? "preset-btn active" : "preset-btn"
+                    }
+                    onClick={() => setFirstTimeBuyer(false)}
+                  >
+                    Home mover
+                  </button>
+                  <button
+                    className={
+                      firstTimeBuyer ? "preset-btn active" : "preset-btn"
+                    }
+                    onClick={() => setFirstTimeBuyer(true)}
+                  >
+                    First-time buyer
+                  </button>
+                </div>
+              )}
+              {purchaseMode === "owner" &&
+                firstTimeBuyer &&
+                !dutyRegime.firstTimeBuyer && (
+                  <p className="hint small">
+                    {dutyRegime.label} has no first-time buyer relief, so
+                    the standard rates apply.
+                  </p>
+                )}
               <InputField
                 label="Term in years"
                 value={termYears}
@@ -1396,6 +1485,53 @@ function App() {
                   resetHouseCustom();
                 }}
               />
+              <div className="preset-row">
+                <span className="preset-label">Mortgage product:</span>
+                {Object.values(MORTGAGE_PRODUCTS).map((p) => (
+                  <button
+                    key={p.id}
+                    className={
+                      mortgageProduct === p.id
+                        ? "preset-btn active"
+                        : "preset-btn"
+                    }
+                    onClick={() => setMortgageProduct(p.id)}
+                  >
+                    {p.label}
+                  </button>
+                ))}
+              </div>
+              <p className="hint small">
+                {MORTGAGE_PRODUCTS[mortgageProduct].description}
+              </p>
+              {mortgageProduct === "fixed_revert" && (
+                <>
+                  <InputField
+                    label="Fixed period (years)"
+                    value={fixedYears}
+                    onChange={(v) => setFixedYears(v)}
+                  />
+                  <InputField
+                    label="Revert margin over base rate percent"
+                    value={revertMargin}
+                    onChange={(v) => setRevertMargin(v)}
+                  />
+                </>
+              )}
+              {mortgageProduct === "tracker" && (
+                <InputField
+                  label="Tracker margin over base rate percent"
+                  value={trackerMargin}
+                  onChange={(v) => setTrackerMargin(v)}
+                />
+              )}
+              {mortgageProduct === "offset" && (
+                <InputField
+                  label="Offset savings balance"
+                  value={offsetSavings}
+                  onChange={(v) => setOffsetSavings(v)}
+                />
+              )}
               <InputField
                 label="Islamic rental yield percent"
                 value={rentalYield}
@@ -1404,47 +1540,501 @@ function App() {
                   resetHouseCustom();
                 }}
               />
-            </div>
-            <div className="col">
-              <div className="card-row">
-                <MetricCard
-                  label="Total paid interest"
-                  value={moneyFmt0.format(
-                    household.totalPaidInterest
-                  )}
-                  prefix="£"
-                />
-                <MetricCard
-                  label="Total paid Islamic"
-                  value={moneyFmt0.format(
-                    household.totalPaidIslamic
-                  )}
-                  prefix="£"
-                />
-                <MetricCard
-                  label="Recession risk interest"
-                  valueText={household.riskInterest}
-                />
-                <MetricCard
-                  label="Recession risk Islamic"
-                  valueText={household.riskIslamic}
-                />
-              </div>
-              <div className="chart-row">
-                <HouseholdEquityChart
-                  curves={household.equityCurve}
-                />
-                <HouseholdCostChart
-                  curves={household.costCurve}
-                />
+              {purchaseMode === "owner" && (
+                <div className="preset-row">
+                  <span className="preset-label">Islamic structures:</span>
+                  <button
+                    className={!ijara ? "preset-btn active" : "preset-btn"}
+                    onClick={() => setIjara(false)}
+                  >
+                    Musharakah
+                  </button>
+                  <button
+                    className={ijara ? "preset-btn active" : "preset-btn"}
+                    onClick={() => setIjara(true)}
+                  >
+                    Musharakah and ijara
+                  </button>
+                </div>
+              )}
+              <div className="preset-row">
+                <span className="preset-label">Rent review:</span>
+                {Object.values(RENT_REVIEW_MODES).map((m) => (
+                  <button
+                    key={m.id}
+                    className={
+                      rentReviewMode === m.id
+                        ? "preset-btn active"
+                        : "preset-btn"
+                    }
+                    onClick={() => setRentReviewMode(m.id)}
+                  >
+                    {m.label}
+                  </button>
+                ))}
               </div>
               <p className="hint small">
-                Mortgage and musharakah are idealised versions of
-                real products. Profit rates and rental yields are set
-                near typical UK values in UK mode.
+                {RENT_REVIEW_MODES[rentReviewMode].description}
               </p>
+              {rentReviewMode !== "fixed" && (
+                <>
+                  <InputField
+                    label="Review every (years)"
+                    value={rentReviewYears}
+                    onChange={(v) => setRentReviewYears(v)}
+                  />
+                  <InputField
+                    label="Cap per review percent"
+                    value={rentCap}
+                    onChange={(v) => setRentCap(v)}
+                  />
+                  <InputField
+                    label="Floor per review percent"
+                    value={rentFloor}
+                    onChange={(v) => setRentFloor(v)}
+                  />
+                </>
+              )}
+              {rentReviewMode === "benchmark" && (
+                <InputField
+                  label="Rent margin over base rate percent"
+                  value={rentMargin}
+                  onChange={(v) => setRentMargin(v)}
+                />
+              )}
+              {(rentReviewMode === "benchmark" ||
+                mortgageProduct === "tracker" ||
+                mortgageProduct === "fixed_revert") && (
+                <TextField
+                  label="Base rate path (% per year, comma separated)"
+                  value={baseRatePath}
+                  onChange={(v) => setBaseRatePath(v)}
+                />
+              )}
+              {purchaseMode === "landlord" ? (
+                <>
+                  <p className="hint small">
+                    Letting the property: an interest-only buy-to-let
+                    mortgage against an ijara, with{" "}
+                    {dutyRegime.label} at the higher rates for additional
+                    homes.
+                  </p>
+                  <div className="preset-row">
+                    <span className="preset-label">Owner:</span>
+                    {Object.values(LANDLORD_STRUCTURES).map((l) => (
+                      <button
+                        key={l.id}
+                        className={
+                          btlStructure === l.id
+                            ? "preset-btn active"
+                            : "preset-btn"
+                        }
+                        onClick={() => setBtlStructure(l.id)}
+                      >
+                        {l.label}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="hint small">
+                    {LANDLORD_STRUCTURES[btlStructure].description}
+                  </p>
+                  <div className="two-col">
+                    <div className="col">
+                      <InputField
+                        label="Monthly rent from tenant"
+                        value={btlRent}
+                        onChange={(v) => setBtlRent(v)}
+                      />
+                      <InputField
+                        label="Letting costs percent of rent"
+                        value={btlLettingPercent}
+                        onChange={(v) => setBtlLettingPercent(v)}
+                      />
+                      {btlStructure === "individual" && (
+                        <InputField
+                          label="Income tax rate percent"
+                          value={btlTaxRate}
+                          onChange={(v) => setBtlTaxRate(v)}
+                        />
+                      )}
+                    </div>
+                    <div className="col">
+                      <InputField
+                        label="Void months per year"
+                        value={btlVoidMonths}
+                        onChange={(v) => setBtlVoidMonths(v)}
+                      />
+                      <InputField
+                        label="Rent growth percent per year"
+                        value={btlRentGrowth}
+                        onChange={(v) => setBtlRentGrowth(v)}
+                      />
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <p className="hint small">
+                    Overpayments, early exit and payment holidays, applied
+                    to both products. Year 0 switches exit and holidays
+                    off.
+                  </p>
+                  <div className="two-col">
+                    <div className="col">
+                      <InputField
+                        label="Lump sum overpayment"
+                        value={lumpSum}
+                        onChange={(v) => setLumpSum(v)}
+                      />
+                      <InputField
+                        label="Monthly overpayment"
+                        value={monthlyOverpayment}
+                        onChange={(v) => setMonthlyOverpayment(v)}
+                      />
+                      <InputField
+                        label="ERC percent"
+                        value={ercPercent}
+                        onChange={(v) => setErcPercent(v)}
+                      />
+                      <InputField
+                        label="Holiday from year"
+                        value={holidayYear}
+                        onChange={(v) => setHolidayYear(v)}
+                      />
+                    </div>
+                    <div className="col">
+                      <InputField
+                        label="Lump sum in year"
+                        value={lumpSumYear}
+                        onChange={(v) => setLumpSumYear(v)}
+                      />
+                      <InputField
+                        label="Settle early in year"
+                        value={exitYear}
+                        onChange={(v) => setExitYear(v)}
+                      />
+                      <InputField
+                        label="ERC period (years)"
+                        value={ercYears}
+                        onChange={(v) => setErcYears(v)}
+                      />
+                      <InputField
+                        label="Holiday length (months)"
+                        value={holidayMonths}
+                        onChange={(v) => setHolidayMonths(v)}
+                      />
+                    </div>
+                  </div>
+                  <div className="preset-row">
+                    <span className="preset-label">Equity chart:</span>
+                    <button
+                      className={
+                        !householdStochastic
+                          ? "preset-btn active"
+                          : "preset-btn"
+                      }
+                      onClick={() => setHouseholdStochastic(false)}
+                    >
+                      Deterministic
+                    </button>
+                    <button
+                      className={
+                        householdStochastic
+                          ? "preset-btn active"
+                          : "preset-btn"
+                      }
+                      onClick={() => setHouseholdStochastic(true)}
+                    >
+                      Stochastic
+                    </button>
+                  </div>
+                  <p className="hint small">
+                    Repossession probabilities come from random house
+                    price, income and job loss paths. Twelve months
+                    behind on payments leads to repossession. The
+                    stochastic chart adds the spread of those paths.
+                  </p>
+                  <InputField
+                    label={`Simulated paths (max ${MAX_HOUSEHOLD_PATHS.toLocaleString(
+                      "en-GB"
+                    )})`}
+                    value={householdPaths}
+                    onChange={(v) => setHouseholdPaths(v)}
+                  />
+                  <InputField
+                    label="Random seed"
+                    value={householdSeed}
+                    onChange={(v) => setHouseholdSeed(v)}
+                  />
+                  {householdRiskRunning && (
+                    <div className="progress-row">
+                      <progress
+                        value={householdRiskProgress.done}
+                        max={householdRiskProgress.total || 1}
+                      />
+                      <span className="hint small">
+                        {householdRiskProgress.done.toLocaleString("en-GB")}{" "}
+                        /{" "}
+                        {householdRiskProgress.total.toLocaleString("en-GB")}{" "}
+                        paths
+                      </span>
+                      <button
+                        className="preset-btn"
+                        onClick={cancelHouseholdRisk}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+                  {householdRiskError && (
+                    <p className="hint small">{householdRiskError}</p>
+                  )}
+                </>
+              )}
+            </div>
+            <div className="col">
+              {landlord ? (
+                <LandlordResults landlord={landlord} />
+              ) : (
+                <>
+                  <div className="card-row">
+                    <MetricCard
+                      label="Total paid interest"
+                      value={moneyFmt0.format(
+                        household.totalPaidInterest
+                      )}
+                      prefix="£"
+                    />
+                    <MetricCard
+                      label="Total paid Islamic"
+                      value={moneyFmt0.format(
+                        household.totalPaidIslamic
+                      )}
+                      prefix="£"
+                    />
+                    {ijara && (
+                      <MetricCard
+                        label="Total paid ijara"
+                        value={moneyFmt0.format(household.totalPaidIjara)}
+                        prefix="£"
+                      />
+                    )}
+                    {householdSystems.map(([key, label]) => (
+                      <MetricCard
+                        key={key}
+                        label={`Total cost of ownership ${label}`}
+                        value={moneyFmt0.format(ownershipCosts[key].total)}
+                        prefix="£"
+                        note={`Upfront £${moneyFmt0.format(
+                          ownershipCosts[key].upfront
+                        )}, upkeep £${moneyFmt0.format(
+                          ownershipCosts[key].insurance +
+                            ownershipCosts[key].maintenance
+                        )}${
+                          ownershipCosts.cheaper === key &&
+                          ownershipCosts.flipped
+                            ? "; cheaper once costs are included"
+                            : ""
+                        }`}
+                      />
+                    ))}
+                    <MetricCard
+                      label="First monthly payment interest"
+                      value={moneyFmt0.format(
+                        household.firstPaymentInterest
+                      )}
+                      prefix="£"
+                      note={paymentPeakNote(
+                        household.firstPaymentInterest,
+                        household.peakPaymentInterest
+                      )}
+                    />
+                    <MetricCard
+                      label="First monthly payment Islamic"
+                      value={moneyFmt0.format(
+                        household.firstPaymentIslamic
+                      )}
+                      prefix="£"
+                      note={paymentPeakNote(
+                        household.firstPaymentIslamic,
+                        household.peakPaymentIslamic
+                      )}
+                    />
+                    {ijara && (
+                      <MetricCard
+                        label="First monthly payment ijara"
+                        value={moneyFmt0.format(
+                          household.firstPaymentIjara
+                        )}
+                        prefix="£"
+                        note={paymentPeakNote(
+                          household.firstPaymentIjara,
+                          household.peakPaymentIjara
+                        )}
+                      />
+                    )}
+                    <MetricCard
+                      label="Recession risk interest"
+                      valueText={household.riskInterest}
+                      note="Peak payment against income cut by 15%"
+                    />
+                    <MetricCard
+                      label="Recession risk Islamic"
+                      valueText={household.riskIslamic}
+                    />
+                    {ijara && (
+                      <MetricCard
+                        label="Recession risk ijara"
+                        valueText={household.riskIjara}
+                      />
+                    )}
+                    {householdSystems
+                      .filter(([key]) => householdRisk?.[key])
+                      .map(([key, label]) => {
+                        const risk = householdRisk[key];
+                        return (
+                          <MetricCard
+                            key={key}
+                            label={`Repossession probability ${label}`}
+                            value={pct1(risk.repossession.value)}
+                            suffix="%"
+                            note={`95% CI ${pct1(
+                              risk.repossession.low
+                            )}–${pct1(risk.repossession.high)}%; arrears ${pct1(
+                              risk.arrears.value
+                            )}%, negative equity ${pct1(
+                              risk.negativeEquity.value
+                            )}%`}
+                          />
+                        );
+                      })}
+                  </div>
+                  {household.behaviourImpact && (
+                    <div className="card-row">
+                      {householdSystems.map(([key, label]) => {
+                        const impact = household.behaviourImpact[key];
+                        return (
+                          <MetricCard
+                            key={key}
+                            label={`Total cost change ${label}`}
+                            valueText={signedMoney(impact.costChange)}
+                            note={`${
+                              impact.ownedYearsEarlier > 0
+                                ? `Owned ${pct1(
+                                    impact.ownedYearsEarlier
+                                  )} years sooner`
+                                : "Owned no sooner"
+                            }; equity at year ${
+                              impact.midTermYear
+                            } ${signedMoney(impact.midTermEquityChange)}${
+                              key === "interest" && household.ercPaid > 0
+                                ? `; ERC £${moneyFmt0.format(
+                                    household.ercPaid
+                                  )}`
+                                : ""
+                            }`}
+                          />
+                        );
+                      })}
+                    </div>
+                  )}
+                  <p className="hint small">
+                    Lender checks: LTV band, loan to income cap and the
+                    payment at a stressed {pct1(affordability.stressRate)}%
+                    rate ({pct1(affordability.stressYield)}% rental yield),
+                    which must stay under £
+                    {moneyFmt0.format(affordability.paymentLimit)} a month.
+                  </p>
+                  <div className="card-row">
+                    <MetricCard
+                      label="Loan to value"
+                      value={pct1(affordability.ltv)}
+                      suffix="%"
+                      note={
+                        affordability.band
+                          ? `${affordability.band.label} band, LTI cap ${affordability.band.ltiCap}×`
+                          : "Above every LTV band"
+                      }
+                    />
+                    <MetricCard
+                      label="Loan to income"
+                      value={affordability.lti.toFixed(2)}
+                      suffix="×"
+                    />
+                    {householdSystems.map(([key, label]) => {
+                      const check = affordability[key];
+                      return (
+                        <MetricCard
+                          key={key}
+                          label={`Offered ${label}`}
+                          valueText={check.offered ? "Yes" : "No"}
+                          note={
+                            check.offered
+                              ? `Stressed payment £${moneyFmt0.format(
+                                  check.stressedPayment
+                                )}, ${pct1(check.stressedPti)}% of net income`
+                              : check.reasons.join(" ") ||
+                                "No finance needed"
+                          }
+                        />
+                      );
+                    })}
+                    {householdSystems.map(([key, label]) => (
+                      <MetricCard
+                        key={key}
+                        label={`Max property value ${label}`}
+                        value={moneyFmt0.format(
+                          affordability[key].maxPropertyValue
+                        )}
+                        prefix="£"
+                        note={`Borrowing up to £${moneyFmt0.format(
+                          affordability[key].maxLoan
+                        )}`}
+                      />
+                    ))}
+                  </div>
+                  <div className="chart-row">
+                    <HouseholdEquityChart
+                      curves={household.equityCurve}
+                      bands={
+                        householdStochastic ? householdRisk?.bands : null
+                      }
+                    />
+                    <HouseholdCostChart
+                      curves={household.costCurve}
+                    />
+                  </div>
+                  <p className="hint small">
+                    {ijara
+                      ? "Mortgage, musharakah and ijara are"
+                      : "Mortgage and musharakah are"}{" "}
+                    idealised versions of real products. Profit rates and rental yields are set
+                    near typical UK values in UK mode.
+                  </p>
+                  <OwnershipCostTable costs={ownershipCosts} />
+                  <div className="preset-row">
+                    <span className="preset-label">Monthly schedule:</span>
+                    <button
+                      className="preset-btn"
+                      onClick={() => setShowSchedule((v) => !v)}
+                    >
+                      {showSchedule ? "Hide" : "Show"}
+                    </button>
+                    {showSchedule && (
+                      <ExportButtons
+                        onExport={(format) =>
+                          exportData("schedule", format)
+                        }
+                      />
+                    )}
+                  </div>
+                </>
+              )}
             </div>
           </div>
+          {showSchedule && !landlord && (
+            <ScheduleTable schedule={household.schedule} ijara={ijara} />
+          )}
         </section>
 
         {/* SME */}
@@ -1453,6 +2043,9 @@ function App() {
             title="SME scenario"
             subtitle="Monte Carlo simulation of a small business under debt versus profit share finance, with sector specific risk profiles."
           />
+          <ExportButtons
+            onExport={(format) => exportData("sme", format)}
+          />
 
           <div className="preset-row">
             <span className="preset-label">Sector:</span>
@@ -1498,6 +2091,26 @@ function App() {
             </button>
           </div>
 
+          <div className="preset-row">
+            <span className="preset-label">Islamic structure:</span>
+            {Object.values(SME_STRUCTURES).map((s) => (
+              <button
+                key={s.id}
+                className={
+                  smeStructure === s.id
+                    ? "preset-btn active"
+                    : "preset-btn"
+                }
+                onClick={() => setSmeStructure(s.id)}
+              >
+                {s.label}
+              </button>
+            ))}
+          </div>
+          <p className="hint small">
+            {SME_STRUCTURES[smeStructure].description}
+          </p>
+
           <div className="two-col">
             <div className="col">
               <InputField
@@ -1532,29 +2145,296 @@ function App() {
                   resetSmeCustom();
                 }}
               />
-              <p className="hint">
-                Sector:{" "}
-                <strong>{SME_SECTORS[sector].label}</strong> · Monte
-                Carlo runs: {sme.runs} paths per system using UK-like
-                survival targets in UK mode.
-              </p>
-            </div>
-            <div className="col">
-              <div className="card-row">
-                <MetricCard
-                  label="Survival probability interest"
-                  value={pct1(sme.survivalInterest)}
-                  suffix="%"
+              {(smeCompareStructures ||
+                !["murabaha", "ijara"].includes(smeStructure)) && (
+                <InputField
+                  label="Bank profit share percent"
+                  value={smeProfitShare}
+                  onChange={(v) => setSmeProfitShare(v)}
                 />
-                <MetricCard
-                  label="Survival probability Islamic"
-                  value={pct1(sme.survivalIslamic)}
-                  suffix="%"
+              )}
+              {(smeCompareStructures ||
+                ["musharakah", "diminishing_musharakah"].includes(
+                  smeStructure
+                )) && (
+                <InputField
+                  label="Bank loss share percent (musharakah)"
+                  value={smeLossShare}
+                  onChange={(v) => setSmeLossShare(v)}
                 />
-                <MetricCard
-                  label="Severe income shock risk interest"
-                  value={pct1(sme.severeShockInterest)}
-                  suffix="%"
+              )}
+              {(smeCompareStructures || smeStructure === "musharakah") && (
+                <InputField
+                  label="Owner capital (% of bank's, musharakah)"
+                  value={smeOwnerCapital}
+                  onChange={(v) => setSmeOwnerCapital(v)}
+                />
+              )}
+              {(smeCompareStructures ||
+                [
+                  "mudarabah",
+                  "musharakah",
+                  "diminishing_musharakah",
+                ].includes(smeStructure)) && (
+                <InputField
+                  label="Profit share cap (% of finance, 0 = none)"
+                  value={smeProfitCap}
+                  onChange={(v) => setSmeProfitCap(v)}
+                />
+              )}
+              {(smeCompareStructures ||
+                ["murabaha", "ijara"].includes(smeStructure)) && (
+                <InputField
+                  label="Markup percent per year"
+                  value={smeMarkup}
+                  onChange={(v) => setSmeMarkup(v)}
+                />
+              )}
+              <div className="preset-row">
+                <span className="preset-label">Structures:</span>
+                <button
+                  className={
+                    !smeCompareStructures
+                      ? "preset-btn active"
+                      : "preset-btn"
+                  }
+                  onClick={() => setSmeCompareStructures(false)}
+                >
+                  Chosen only
+                </button>
+                <button
+                  className={
+                    smeCompareStructures
+                      ? "preset-btn active"
+                      : "preset-btn"
+                  }
+                  onClick={() => setSmeCompareStructures(true)}
+                >
+                  Compare all
+                </button>
+              </div>
+              <div className="preset-row">
+                <span className="preset-label">Recession:</span>
+                <button
+                  className={
+                    smeRecessionMode === "fixed"
+                      ? "preset-btn active"
+                      : "preset-btn"
+                  }
+                  onClick={() => setSmeRecessionMode("fixed")}
+                >
+                  Fixed years
+                </button>
+                <button
+                  className={
+                    smeRecessionMode === "scenario"
+                      ? "preset-btn active"
+                      : "preset-btn"
+                  }
+                  onClick={() => {
+                    // start the business where the scenario's downturn is
+                    if (smeRecessionMode !== "scenario") {
+                      setSmeStartYear(firstDownturnYear(scenario));
+                    }
+                    setSmeRecessionMode("scenario");
+                  }}
+                >
+                  Follow macro scenario
+                </button>
+              </div>
+              {smeRecessionMode === "fixed" ? (
+                <>
+                  <InputField
+                    label="Recession starts in year (0 = middle)"
+                    value={smeRecessionYear}
+                    onChange={(v) => setSmeRecessionYear(v)}
+                  />
+                  <InputField
+                    label="Recession length years"
+                    value={smeRecessionLength}
+                    onChange={(v) => setSmeRecessionLength(v)}
+                  />
+                </>
+              ) : (
+                <InputField
+                  label="Business starts in national year"
+                  value={smeStartYear}
+                  onChange={(v) => setSmeStartYear(v)}
+                />
+              )}
+              <InputField
+                label="Revenue shock persistence (0–0.95)"
+                value={smeShockPersistence}
+                onChange={(v) => setSmeShockPersistence(v)}
+              />
+              <p className="hint small">
+                {sme.recessionYears.length
+                  ? `Downturn in year${
+                      sme.recessionYears.length > 1 ? "s" : ""
+                    } ${sme.recessionYears.join(", ")} of the term.`
+                  : "No downturn falls within the term."}
+                {smeRecessionMode === "scenario" &&
+                  ` ${scenario.label} shocks start in national year${
+                    scenario.shocks.length > 1 ? "s" : ""
+                  } ${
+                    scenario.shocks.map((s) => s.startYear).join(", ") ||
+                    "none"
+                  }.`}
+              </p>
+              <div className="preset-row">
+                <span className="preset-label">Default test:</span>
+                <button
+                  className={
+                    !smeLiquidity ? "preset-btn active" : "preset-btn"
+                  }
+                  onClick={() => setSmeLiquidity(false)}
+                >
+                  Solvency only
+                </button>
+                <button
+                  className={
+                    smeLiquidity ? "preset-btn active" : "preset-btn"
+                  }
+                  onClick={() => setSmeLiquidity(true)}
+                >
+                  Cash and liquidity
+                </button>
+              </div>
+              {smeLiquidity && (
+                <>
+                  <InputField
+                    label="Opening cash percent of revenue"
+                    value={smeOpeningCash}
+                    onChange={(v) => setSmeOpeningCash(v)}
+                  />
+                  <InputField
+                    label="Working capital percent of revenue"
+                    value={smeWorkingCapital}
+                    onChange={(v) => setSmeWorkingCapital(v)}
+                  />
+                  <InputField
+                    label="Overdraft / qard limit percent of revenue"
+                    value={smeFacility}
+                    onChange={(v) => setSmeFacility(v)}
+                  />
+                  <InputField
+                    label="Overdraft rate percent (debt only)"
+                    value={smeOverdraftRate}
+                    onChange={(v) => setSmeOverdraftRate(v)}
+                  />
+                  <InputField
+                    label="Covenant: profit covers instalment (×)"
+                    value={smeCovenantCover}
+                    onChange={(v) => setSmeCovenantCover(v)}
+                  />
+                  <div className="preset-row">
+                    <span className="preset-label">Restructuring:</span>
+                    <button
+                      className={
+                        smeRestructure ? "preset-btn active" : "preset-btn"
+                      }
+                      onClick={() => setSmeRestructure(true)}
+                    >
+                      One deferral
+                    </button>
+                    <button
+                      className={
+                        !smeRestructure
+                          ? "preset-btn active"
+                          : "preset-btn"
+                      }
+                      onClick={() => setSmeRestructure(false)}
+                    >
+                      None
+                    </button>
+                  </div>
+                  <p className="hint small">
+                    Debt draws on an interest-bearing overdraft, the
+                    Islamic structures on a qard hasan with no charge. A
+                    covenant breach freezes the facility; before failing
+                    for want of cash the financier may defer one year's
+                    instalment over the rest of the term.
+                  </p>
+                </>
+              )}
+              <InputField
+                label="Random seed"
+                value={smeSeed}
+                onChange={(v) => setSmeSeed(v)}
+              />
+              <InputField
+                label={`Monte Carlo runs (${MIN_SME_RUNS.toLocaleString(
+                  "en-GB"
+                )}–${MAX_SME_RUNS.toLocaleString("en-GB")})`}
+                value={smeRuns}
+                onChange={(v) => setSmeRuns(v)}
+              />
+              {smeRunning && (
+                <div className="progress-row">
+                  <progress
+                    value={smeProgress.done}
+                    max={smeProgress.total || 1}
+                  />
+                  <span className="hint small">
+                    {smeProgress.done.toLocaleString("en-GB")} /{" "}
+                    {smeProgress.total.toLocaleString("en-GB")} runs
+                  </span>
+                  <button className="preset-btn" onClick={cancelSme}>
+                    Cancel
+                  </button>
+                </div>
+              )}
+              {smeError && <p className="hint small">{smeError}</p>}
+              <p className="hint">
+                Sector:{" "}
+                <strong>{SME_SECTORS[sector].label}</strong> · Monte
+                Carlo runs: {sme.runs.toLocaleString("en-GB")} paths
+                per system using UK-like survival targets in UK mode.
+                The same seed and inputs always reproduce the same
+                results. Runs happen in the background; the previous
+                results stay visible until a new run finishes.
+              </p>
+            </div>
+            <div className="col">
+              <div className="card-row">
+                <MetricCard
+                  label="Survival probability interest"
+                  value={pct1(sme.survivalInterest)}
+                  suffix="%"
+                  note={`95% CI ${pct1(
+                    sme.survivalInterestCI.low
+                  )}–${pct1(sme.survivalInterestCI.high)}%`}
+                />
+                <MetricCard
+                  label="Survival probability Islamic"
+                  value={pct1(sme.survivalIslamic)}
+                  suffix="%"
+                  note={`95% CI ${pct1(
+                    sme.survivalIslamicCI.low
+                  )}–${pct1(sme.survivalIslamicCI.high)}%`}
+                />
+                <MetricCard
+                  label="Survival gap Islamic − interest"
+                  value={
+                    sme.survivalGap.value >= 0
+                      ? `+${pct1(sme.survivalGap.value)}`
+                      : pct1(sme.survivalGap.value)
+                  }
+                  suffix="pts"
+                  note={
+                    sme.survivalGap.significant
+                      ? `95% CI ${pct1(sme.survivalGap.low)} to ${pct1(
+                          sme.survivalGap.high
+                        )}, significant`
+                      : `95% CI ${pct1(sme.survivalGap.low)} to ${pct1(
+                          sme.survivalGap.high
+                        )}, not significant`
+                  }
+                />
+                <MetricCard
+                  label="Severe income shock risk interest"
+                  value={pct1(sme.severeShockInterest)}
+                  suffix="%"
                 />
                 <MetricCard
                   label="Severe income shock risk Islamic"
@@ -1565,18 +2445,241 @@ function App() {
                   label="Owner income stability"
                   valueText={sme.ownerStability}
                 />
+                {sme.structures.debt && (
+                  <MetricCard
+                    label="Financier return interest / Islamic"
+                    valueText={`${pct1(
+                      sme.structures.debt.financierReturn
+                    )}% / ${pct1(
+                      sme.structures[sme.structure].financierReturn
+                    )}%`}
+                    note="Mean paid to the financier less the finance, as a share of the finance"
+                  />
+                )}
+                {sme.liquidity && (
+                  <>
+                    <MetricCard
+                      label="Cash failures interest / Islamic"
+                      valueText={`${pct1(
+                        sme.structures.debt.liquidityDefault
+                      )}% / ${pct1(
+                        sme.structures[sme.structure].liquidityDefault
+                      )}%`}
+                      note="Runs that ran out of cash and facility, even if solvent"
+                    />
+                    <MetricCard
+                      label="Covenant breach interest / Islamic"
+                      valueText={`${pct1(
+                        sme.structures.debt.breach
+                      )}% / ${pct1(
+                        sme.structures[sme.structure].breach
+                      )}%`}
+                    />
+                    <MetricCard
+                      label="Restructured interest / Islamic"
+                      valueText={`${pct1(
+                        sme.structures.debt.restructured
+                      )}% / ${pct1(
+                        sme.structures[sme.structure].restructured
+                      )}%`}
+                    />
+                  </>
+                )}
               </div>
-              <SmeChart curve={sme.incomeCurve} />
+              <SmeChart
+                curve={sme.incomeCurve}
+                islamicLabel={SME_STRUCTURES[sme.structure]?.label}
+              />
+              {Object.keys(sme.structures).length > 2 && (
+                <SmeStructureTable
+                  structures={sme.structures}
+                  liquidity={sme.liquidity}
+                />
+              )}
             </div>
           </div>
         </section>
 
+        {/* SME PORTFOLIO */}
+        <section className="section">
+          <SectionHeader
+            title="SME lending portfolio"
+            subtitle="A lender's book of businesses like the one above, spread across sectors and hit by shared macro and sector shocks."
+          />
+          {portfolio && (
+            <ExportButtons
+              onExport={(format) => exportData("portfolio", format)}
+            />
+          )}
+          <div className="preset-row">
+            <span className="preset-label">Portfolio:</span>
+            <button
+              className={
+                !smePortfolio ? "preset-btn active" : "preset-btn"
+              }
+              onClick={() => setSmePortfolio(false)}
+            >
+              Off
+            </button>
+            <button
+              className={
+                smePortfolio ? "preset-btn active" : "preset-btn"
+              }
+              onClick={() => setSmePortfolio(true)}
+            >
+              Simulate book
+            </button>
+          </div>
+          {smePortfolio && (
+            <div className="two-col">
+              <div className="col">
+                <div className="preset-row">
+                  <span className="preset-label">Sector mix:</span>
+                  {Object.values(SME_PORTFOLIO_MIXES).map((m) => (
+                    <button
+                      key={m.id}
+                      className={
+                        portfolioMix === m.id
+                          ? "preset-btn active"
+                          : "preset-btn"
+                      }
+                      onClick={() => setPortfolioMix(m.id)}
+                    >
+                      {m.label}
+                    </button>
+                  ))}
+                </div>
+                <InputField
+                  label="Loans in the book"
+                  value={portfolioLoans}
+                  onChange={(v) => setPortfolioLoans(v)}
+                />
+                <InputField
+                  label="Macro correlation percent"
+                  value={portfolioMacroCorrelation}
+                  onChange={(v) => setPortfolioMacroCorrelation(v)}
+                />
+                <InputField
+                  label="Extra sector correlation percent"
+                  value={portfolioSectorCorrelation}
+                  onChange={(v) => setPortfolioSectorCorrelation(v)}
+                />
+                <InputField
+                  label="Recovery on default percent"
+                  value={portfolioRecovery}
+                  onChange={(v) => setPortfolioRecovery(v)}
+                />
+                <InputField
+                  label={`Simulated books (${MIN_PORTFOLIO_RUNS.toLocaleString(
+                    "en-GB"
+                  )}–${MAX_PORTFOLIO_RUNS.toLocaleString("en-GB")})`}
+                  value={portfolioRuns}
+                  onChange={(v) => setPortfolioRuns(v)}
+                />
+                {portfolioRunning && (
+                  <div className="progress-row">
+                    <progress
+                      value={portfolioProgress.done}
+                      max={portfolioProgress.total || 1}
+                    />
+                    <span className="hint small">
+                      {portfolioProgress.done.toLocaleString("en-GB")} /{" "}
+                      {portfolioProgress.total.toLocaleString("en-GB")}{" "}
+                      books
+                    </span>
+                    <button
+                      className="preset-btn"
+                      onClick={cancelPortfolio}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+                {portfolioError && (
+                  <p className="hint small">{portfolioError}</p>
+                )}
+                <p className="hint">
+                  Each loan is the business above, with its revenue,
+                  finance, term, structure, recession and cash settings,
+                  but its own sector's margin and shocks. Correlations
+                  are the shares of each business's revenue shock that
+                  come from the economy and from its sector. The seed is
+                  the SME seed.
+                </p>
+              </div>
+              <div className="col">
+                {portfolio ? (
+                  <>
+                    <div className="card-row">
+                      <MetricCard
+                        label="Expected loss interest / Islamic"
+                        valueText={`${pct1(
+                          portfolio.debt.expectedLoss
+                        )}% / ${pct1(portfolio.islamic.expectedLoss)}%`}
+                        note="Mean credit loss as a share of the book"
+                      />
+                      <MetricCard
+                        label="Unexpected loss interest / Islamic"
+                        valueText={`${pct1(
+                          portfolio.debt.unexpectedLoss
+                        )}% / ${pct1(portfolio.islamic.unexpectedLoss)}%`}
+                        note="99th percentile loss less expected loss"
+                      />
+                      <MetricCard
+                        label="Default rate interest / Islamic"
+                        valueText={`${pct1(
+                          portfolio.debt.defaultRate
+                        )}% / ${pct1(portfolio.islamic.defaultRate)}%`}
+                      />
+                      <MetricCard
+                        label="Lender return interest / Islamic"
+                        valueText={`${pct1(
+                          portfolio.debt.meanReturn
+                        )}% / ${pct1(portfolio.islamic.meanReturn)}%`}
+                        note={`Over the term; P10 ${pct1(
+                          portfolio.debt.returnP10
+                        )}% / ${pct1(portfolio.islamic.returnP10)}%`}
+                      />
+                      <MetricCard
+                        label="Sector concentration"
+                        value={portfolio.concentration.hhi.toFixed(2)}
+                        suffix="HHI"
+                        note={`Like ${portfolio.concentration.effectiveSectors.toFixed(
+                          1
+                        )} equal sectors`}
+                      />
+                    </div>
+                    <PortfolioLossChart
+                      distribution={portfolio.distribution}
+                      islamicLabel={
+                        SME_STRUCTURES[portfolio.structure]?.label
+                      }
+                    />
+                    <PortfolioSectorTable sectors={portfolio.sectors} />
+                  </>
+                ) : (
+                  <div className="chart-placeholder">
+                    {portfolioRunning
+                      ? "Simulating the book…"
+                      : portfolioError
+                        ? "The book could not be simulated."
+                        : "Cancelled. Change a setting to run it again."}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </section>
+
         {/* BANK BALANCE SHEET */}
         <section className="section">
           <SectionHeader
             title="Bank balance sheet stress test"
             subtitle="Stylised Islamic vs conventional bank under different stress scenarios."
           />
+          <ExportButtons
+            onExport={(format) => exportData("bank", format)}
+          />
           <div className="preset-row">
             <span className="preset-label">Bank scenario:</span>
             {Object.values(BANK_SCENARIOS).map((s) => (
@@ -1675,6 +2778,9 @@ function App() {
             title="Wealth distribution and zakat"
             subtitle="Stylised quintile wealth shares under interest and Islamic systems with a simple zakat redistribution model."
           />
+          <ExportButtons
+            onExport={(format) => exportData("wealth", format)}
+          />
 
           <div className="preset-row">
             <span className="preset-label">Zakat policy:</span>
@@ -1753,6 +2859,8 @@ function App() {
         <section className="section">
           <SummaryPanel
             household={household}
+            householdRisk={householdRisk}
+            ownershipCosts={ownershipCosts}
             sme={sme}
             nationalInterest={nationalAll.interest.metrics}
             nationalIslamic={nationalAll.islamic.metrics}
@@ -1760,167 +2868,49 @@ function App() {
             wealthIslamic={wealthIslamic}
             housingSupport={housingSupport}
             modeLabel={CALIBRATION_MODES[mode].label}
-            scenarioLabel={SCENARIOS[scenarioId].label}
+            regionLabel={householdCalibration.region}
+            scenarioLabel={scenario.label}
+            stabilityLabel={STABILITY_METHODS[stabilityMethod].label}
+            smeTermYears={smeTermYears}
+            seed={sme.seed}
           />
         </section>
 
-        {/* METHODS & DATA */}
-        <section className="section" id="methods">
-          <h2>Methods and assumptions</h2>
-          <p className="text">
-            This simulator is a comparative model. It combines
-            explicit formulas for mortgages, diminishing musharakah,
-            SME cash flows, bank balance sheets, unemployment and
-            national aggregates with Monte Carlo simulations. In
-            stylised mode parameters are smooth and educational. In
-            UK calibrated mode parameters are set near typical UK
-            averages for interest rates, house price growth, SME
-            survival and macro volatility based on publicly reported
-            figures.
-          </p>
-
-          <div className="methods-grid">
-            <div className="methods-card">
-              <h3>Households</h3>
-              <ul>
-                <li>
-                  Conventional mortgage uses a standard amortising
-                  loan formula with rates near UK averages.
-                </li>
-                <li>
-                  Islamic housing uses a simplified diminishing
-                  musharakah, with co-ownership and falling rent on
-                  the bank share. Rent is charged on the bank share
-                  times a rental yield.
-                </li>
-                <li>
-                  House prices grow at 2–3.3 percent per year
-                  depending on mode. UK mode uses recent Land
-                  Registry type averages.
-                </li>
-                <li>
-                  Risk is measured with payment to income in a mild
-                  recession where income falls by 15 percent.
-                </li>
-              </ul>
-            </div>
-            <div className="methods-card">
-              <h3>SMEs</h3>
-              <ul>
-                <li>
-                  Revenues grow at the macro growth rate with random
-                  shocks. One recession year cuts revenue using a
-                  shock around 40 percent in UK mode.
-                </li>
-                <li>
-                  Debt finance uses an SME loan rate near 7.5 percent
-                  with fixed repayments. Default occurs when equity
-                  becomes negative.
-                </li>
-                <li>
-                  Islamic finance uses a profit share on positive
-                  profits and no fixed repayment, which shares risk
-                  with the financier.
-                </li>
-                <li>
-                  Survival, insolvency and severe income shocks come
-                  from Monte Carlo paths for each system. UK mode
-                  targets 5 year survival that matches the 40 percent
-                  range reported for UK cohorts, with sector
-                  specific risk profiles.
-                </li>
-              </ul>
-            </div>
-            <div className="methods-card">
-              <h3>National model</h3>
-              <ul>
-                <li>
-                  GDP starts at 100 and evolves for thirty years
-                  using a base growth rate near 2–2.3 percent minus a
-                  debt drag term.
-                </li>
-                <li>
-                  Household debt in the interest system trends higher
-                  over time starting from debt to income around 118
-                  percent. The Islamic system grows debt more slowly.
-                </li>
-                <li>
-                  Inflation includes a base term plus credit and
-                  cycle terms. Volatility is calibrated so the
-                  interest system resembles historical UK CPI
-                  variability.
-                </li>
-                <li>
-                  Unemployment reacts to deviations of growth from
-                  trend and crisis years. Government borrowing cost
-                  rises with higher household leverage and crisis
-                  risk, with a lower risk premium in the Islamic
-                  system.
-                </li>
-                <li>
-                  Stability scores are based on volatility of GDP
-                  growth and inflation. In UK mode the interest
-                  system is set near historical levels, the Islamic
-                  system improves stability by design.
-                </li>
-              </ul>
-            </div>
-          </div>
-
-          <div className="methods-card wide">
-            <h3>Bank balance sheet</h3>
-            <p className="text small">
-              The bank module tracks a stylised balance sheet with
-              murabaha, musharakah, sukuk and cash on the asset side
-              and mudarabah deposits, current accounts and equity on
-              the liability side. Risk weights approximate Basel
-              logic and default probabilities differ for interest and
-              Islamic structures. Under stress scenarios expected
-              losses are compared to equity to derive capital ratios,
-              liquidity coverage and shortfall probabilities. The
-              model is illustrative rather than a full regulatory
-              framework, but it mirrors how supervisors think about
-              solvency and liquidity.
+        {/* SAVED RUNS AND COMPARISON */}
+        <section className="section" id="compare">
+          <SectionHeader
+            title="Saved runs"
+            subtitle="Save named snapshots of every input and result, then compare two to four of them side by side."
+          />
+          <SavedRunsPanel
+            snapshots={snapshots}
+            compareIds={compareIds}
+            onSave={saveSnapshot}
+            onLoad={(snap) =>
+              applyConfig(snap.config, snap.customScenario)
+            }
+            onDelete={deleteSnapshot}
+            onToggleCompare={toggleCompare}
+          />
+          {!snapshotsSaved && (
+            <p className="hint small">
+              Saved runs could not be stored in this browser, probably
+              because its storage is full, so they will be lost on
+              reload. Delete older runs to make room.
             </p>
-          </div>
-
-          <div className="methods-card wide">
-            <h3>Wealth, zakat and social effects</h3>
-            <p className="text small">
-              The wealth module tracks a stylised distribution of
-              wealth across five quintiles. In the Islamic system
-              zakat is applied to wealth above a simplified nisab,
-              paid mainly from the upper three quintiles and
-              redistributed to the bottom two. The model reports
-              approximate zakat flows as a share of wealth, the
-              resulting change in top and bottom wealth shares and an
-              inequality score. A share of zakat is directed to
-              housing arrears to prevent repossession; this reduces
-              effective default rates. Simple elasticities are then
-              used to show indicative effects on poverty, crime,
-              consumption and long run GDP. These links are
-              illustrative rather than econometrically estimated and
-              should be treated as conceptual, not definitive.
+          )}
+          {compared.length >= 2 ? (
+            <ComparisonView runs={compared} />
+          ) : (
+            <p className="hint small">
+              Tick two to four saved runs to compare them.
             </p>
-          </div>
+          )}
+        </section>
 
-          <div className="methods-card wide">
-            <h3>Data sources and calibration</h3>
-            <p className="text small">
-              UK calibrated mode uses approximate values derived from
-              openly reported figures such as average mortgage rates,
-              house price growth, LTV distributions, SME survival
-              statistics, SME loan rates, household debt to income,
-              credit to GDP ratios and SME employment shares. Exact
-              series are not loaded into the simulator. Instead the
-              model is anchored to typical ranges so that the
-              conventional interest system behaves similarly to
-              observed UK patterns and the Islamic system can be
-              compared as a structural counterfactual. For research
-              use the engine should be paired with more detailed
-              calibration to full time series.
-            </p>
-          </div>
+        {/* METHODS & DATA */}
+        <section className="section" id="methods">
+          <MethodsContent stabilityMethod={stabilityMethod} />
         </section>
 
         {/* WHY */}
@@ -1954,10 +2944,6 @@ function App() {
               Sector specific SME modules for retail, services and
               manufacturing with richer data.
             </li>
-            <li>
-              Exportable PDF reports for policy makers and Shariah
-              boards.
-            </li>
           </ul>
         </section>
       </main>
@@ -1975,7 +2961,7 @@ function App() {
 
 /* small components */
 
-function MetricCard({ label, value, suffix, prefix, valueText }) {
+function MetricCard({ label, value, suffix, prefix, valueText, note }) {
   return (
     <div className="card">
       <div className="card-label">{label}</div>
@@ -1986,6 +2972,21 @@ function MetricCard({ label, value, suffix, prefix, valueText }) {
               suffix ? ` ${suffix}` : ""
             }`}
       </div>
+      {note && <div className="card-note">{note}</div>}
+    </div>
+  );
+}
+
+function ExportButtons({ label = "Export:", onExport }) {
+  return (
+    <div className="export-row">
+      <span className="preset-label">{label}</span>
+      <button className="preset-btn" onClick={() => onExport("csv")}>
+        CSV
+      </button>
+      <button className="preset-btn" onClick={() => onExport("json")}>
+        JSON
+      </button>
     </div>
   );
 }
@@ -2012,6 +3013,19 @@ function InputField({ label, value, onChange }) {
   );
 }
 
+function TextField({ label, value, onChange }) {
+  return (
+    <label className="input-field">
+      <span>{label}</span>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    </label>
+  );
+}
+
 function WealthCard({ title, interest, islamic, unit }) {
   return (
     <div className="card wealth-card">
@@ -2038,6 +3052,8 @@ function WealthCard({ title, interest, islamic, unit }) {
 
 function SummaryPanel({
   household,
+  householdRisk,
+  ownershipCosts,
   sme,
   nationalInterest,
   nationalIslamic,
@@ -2045,7 +3061,11 @@ function SummaryPanel({
   wealthIslamic,
   housingSupport,
   modeLabel,
+  regionLabel,
   scenarioLabel,
+  stabilityLabel,
+  smeTermYears,
+  seed,
 }) {
   const housingDiff =
     household.totalPaidInterest - household.totalPaidIslamic;
@@ -2096,8 +3116,16 @@ function SummaryPanel({
     <div className="summary-panel">
       <h3>Summary for this configuration</h3>
       <p className="summary-meta">
-        Mode: <strong>{modeLabel}</strong> · Scenario:{" "}
-        <strong>{scenarioLabel}</strong>
+        Mode: <strong>{modeLabel}</strong>
+        {regionLabel && (
+          <>
+            {" "}
+            · Region: <strong>{regionLabel}</strong>
+          </>
+        )}{" "}
+        · Scenario:{" "}
+        <strong>{scenarioLabel}</strong> · SME seed:{" "}
+        <strong>{seed}</strong>
       </p>
       <ul>
         <li>
@@ -2117,6 +3145,51 @@ function SummaryPanel({
               equity build is different.
             </>
           )}{" "}
+          {ownershipCosts.cheaper && (
+            <>
+              Adding stamp duty, fees, insurance and maintenance, the{" "}
+              {
+                {
+                  interest: "mortgage",
+                  islamic: "musharakah",
+                  ijara: "ijara",
+                }[ownershipCosts.cheaper]
+              }{" "}
+              costs about £
+              {Math.round(ownershipCosts.cheaperBy).toLocaleString(
+                "en-GB"
+              )}{" "}
+              less in total than the next cheapest
+              {ownershipCosts.flipped
+                ? ", the reverse of the comparison on payments alone"
+                : ""}
+              .{" "}
+            </>
+          )}
+          {ownershipCosts.ijara && (
+            <>
+              An ijara costs about £
+              {Math.round(ownershipCosts.ijara.total).toLocaleString(
+                "en-GB"
+              )}{" "}
+              in total, with the bank holding the title until the last
+              payment.{" "}
+            </>
+          )}
+          {householdRisk?.interest && (
+            <>
+              Across {householdRisk.paths} simulated price and income
+              paths, about{" "}
+              {householdRisk.interest.repossession.value.toFixed(1)}% of
+              mortgage borrowers and{" "}
+              {householdRisk.islamic.repossession.value.toFixed(1)}% of
+              musharakah households lose the home, and{" "}
+              {householdRisk.interest.negativeEquity.value.toFixed(1)}%
+              against{" "}
+              {householdRisk.islamic.negativeEquity.value.toFixed(1)}%
+              spend time in negative equity.{" "}
+            </>
+          )}
           Through zakat, an indicative housing support fund can
           clear arrears for roughly{" "}
           {housingSupport.householdsSaved.toFixed(0)} households per
@@ -2126,18 +3199,30 @@ function SummaryPanel({
         </li>
         <li>
           <strong>Small businesses:</strong>{" "}
-          The simulated 5 year survival rate moves from roughly{" "}
+          The simulated {smeTermYears} year survival rate moves from
+          roughly{" "}
           {sme.survivalInterest.toFixed(1)}% under debt to{" "}
-          {sme.survivalIslamic.toFixed(1)}% under profit share, a
+          {sme.survivalIslamic.toFixed(1)}% under{" "}
+          {sme.structure === "profit_share"
+            ? "profit share"
+            : SME_STRUCTURES[sme.structure].label.toLowerCase()}
+          , a
           change of{" "}
           {smeDiff >= 0
             ? `+${smeDiff.toFixed(1)}`
             : smeDiff.toFixed(1)}{" "}
-          percentage points for the median SME in this sector.
+          percentage points for the median SME in this sector (95%
+          interval {sme.survivalGap.low.toFixed(1)} to{" "}
+          {sme.survivalGap.high.toFixed(1)},{" "}
+          {sme.survivalGap.significant
+            ? "statistically significant"
+            : "not statistically significant"}{" "}
+          at {sme.runs} runs).
         </li>
         <li>
           <strong>Macro stability:</strong>{" "}
-          The Islamic system improves the GDP stability score by{" "}
+          Scored by {stabilityLabel.toLowerCase()}, the Islamic system
+          changes the GDP stability score by{" "}
           {econDiff >= 0 ? `+${econDiff}` : econDiff} points and
           inflation stability by{" "}
           {inflDiff >= 0 ? `+${inflDiff}` : inflDiff} points in this
@@ -2175,8 +3260,1364 @@ function SummaryPanel({
   );
 }
 
+/* PRINT REPORT */
+
+function ParameterTable({ title, params }) {
+  return (
+    <div className="card report-block">
+      <div className="card-label">{title}</div>
+      <table className="bank-table">
+        <tbody>
+          {Object.entries(params).map(([key, value]) => (
+            <tr key={key}>
+              <td>{key}</td>
+              <td>{String(value)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ReportView({
+  config,
+  calibration,
+  householdCalibration,
+  scenario,
+  sectorConfig,
+  stabilityMethod,
+  household,
+  householdRisk,
+  ownershipCosts,
+  affordability,
+  landlord,
+  sme,
+  portfolio,
+  nationalAll,
+  wealthInterest,
+  wealthIslamic,
+  housingSupport,
+  bankInterest,
+  bankIslamic,
+  onClose,
+}) {
+  const money = (x) => Math.round(x).toLocaleString("en-GB");
+  const affordableKeys = ["interest", "islamic", "ijara"].filter(
+    (key) => affordability[key]
+  );
+  const nationalRows = [
+    ["Economic stability", "economicStability", "/100"],
+    ["Inflation stability", "inflationStability", "/100"],
+    ["Household debt ratio", "householdDebtRatio", "% of income"],
+    ["SME default probability", "smeDefaultRate", "%"],
+    ["Unemployment rate", "unemploymentRate", "%"],
+    ["Gov borrowing cost", "govBorrowCost", "%"],
+  ];
+
+  return (
+    <div className="App report">
+      <div className="report-toolbar no-print">
+        <button className="preset-btn" onClick={onClose}>
+          Back to simulator
+        </button>
+        <button
+          className="preset-btn active"
+          onClick={() => window.print()}
+        >
+          Print / save as PDF
+        </button>
+        <span className="hint small">
+          Choose &ldquo;Save as PDF&rdquo; as the printer to export.
+        </span>
+      </div>
+
+      <main className="main">
+        <header className="report-header">
+          <h1>Islamic Economic Simulator report</h1>
+          <p className="summary-meta">
+            Ilm Finance · generated{" "}
+            {new Date().toLocaleString("en-GB")} · headline system:{" "}
+            {SYSTEMS[config.system]}
+          </p>
+        </header>
+
+        <section className="report-section">
+          <SummaryPanel
+            household={household}
+            householdRisk={householdRisk}
+            ownershipCosts={ownershipCosts}
+            sme={sme}
+            nationalInterest={nationalAll.interest.metrics}
+            nationalIslamic={nationalAll.islamic.metrics}
+            wealthInterest={wealthInterest}
+            wealthIslamic={wealthIslamic}
+            housingSupport={housingSupport}
+            modeLabel={calibration.label}
+            regionLabel={householdCalibration.region}
+            scenarioLabel={scenario.label}
+            stabilityLabel={STABILITY_METHODS[stabilityMethod].label}
+            smeTermYears={config.smeTermYears}
+            seed={sme.seed}
+          />
+        </section>
+
+        <section className="report-section">
+          <h2>National model</h2>
+          <table className="bank-table">
+            <thead>
+              <tr>
+                <th>Metric</th>
+                <th>Interest</th>
+                <th>Islamic</th>
+              </tr>
+            </thead>
+            <tbody>
+              {nationalRows.map(([label, key, unit]) => (
+                <tr key={key}>
+                  <td>{label}</td>
+                  <td>
+                    {nationalAll.interest.metrics[key]} {unit}
+                  </td>
+                  <td>
+                    {nationalAll.islamic.metrics[key]} {unit}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="chart-row">
+            {Object.keys(NATIONAL_CHART_FIELDS).map((field) => (
+              <NationalChart
+                key={field}
+                field={field}
+                interestSeries={nationalAll.interest.series}
+                islamicSeries={nationalAll.islamic.series}
+                interestBands={nationalAll.interest.bands}
+                islamicBands={nationalAll.islamic.bands}
+              />
+            ))}
+          </div>
+        </section>
+
+        <section className="report-section">
+          <h2>Household</h2>
+          <div className="card-row">
+            <MetricCard
+              label="Total paid interest"
+              value={money(household.totalPaidInterest)}
+              prefix="£"
+            />
+            <MetricCard
+              label="Total paid Islamic"
+              value={money(household.totalPaidIslamic)}
+              prefix="£"
+            />
+            <MetricCard
+              label="Total cost of ownership interest"
+              value={money(ownershipCosts.interest.total)}
+              prefix="£"
+            />
+            <MetricCard
+              label="Total cost of ownership Islamic"
+              value={money(ownershipCosts.islamic.total)}
+              prefix="£"
+            />
+            {ownershipCosts.ijara && (
+              <MetricCard
+                label="Total cost of ownership ijara"
+                value={money(ownershipCosts.ijara.total)}
+                prefix="£"
+              />
+            )}
+            <MetricCard
+              label="Recession risk interest"
+              valueText={household.riskInterest}
+            />
+            <MetricCard
+              label="Recession risk Islamic"
+              valueText={household.riskIslamic}
+            />
+            <MetricCard
+              label={`Offered interest / Islamic${
+                affordability.ijara ? " / ijara" : ""
+              }`}
+              valueText={affordableKeys
+                .map((key) => (affordability[key].offered ? "Yes" : "No"))
+                .join(" / ")}
+              note={`LTV ${affordability.ltv.toFixed(
+                1
+              )}%, ${affordability.lti.toFixed(2)}× income`}
+            />
+            <MetricCard
+              label={`Max property value interest / Islamic${
+                affordability.ijara ? " / ijara" : ""
+              }`}
+              valueText={affordableKeys
+                .map((key) => `£${money(affordability[key].maxPropertyValue)}`)
+                .join(" / ")}
+            />
+            {landlord && (
+              <>
+                <MetricCard
+                  label="Buy-to-let net yield interest / Islamic"
+                  valueText={`${landlord.interest.netYield.toFixed(
+                    1
+                  )}% / ${landlord.islamic.netYield.toFixed(1)}%`}
+                  note={`Gross yield ${landlord.grossYield.toFixed(1)}%`}
+                />
+                <MetricCard
+                  label="Buy-to-let total return interest / Islamic"
+                  valueText={`£${money(
+                    landlord.interest.totalReturn
+                  )} / £${money(landlord.islamic.totalReturn)}`}
+                />
+              </>
+            )}
+            {[
+              ["interest", "interest"],
+              ["islamic", "Islamic"],
+              ["ijara", "ijara"],
+            ]
+              .filter(([key]) => householdRisk?.[key])
+              .map(([key, label]) => (
+                <MetricCard
+                  key={key}
+                  label={`Repossession probability ${label}`}
+                  value={householdRisk[key].repossession.value.toFixed(1)}
+                  suffix="%"
+                  note={`Arrears ${householdRisk[key].arrears.value.toFixed(
+                    1
+                  )}%, ${householdRisk.paths} paths`}
+                />
+              ))}
+          </div>
+          <div className="chart-row">
+            <HouseholdEquityChart
+              curves={household.equityCurve}
+              bands={config.householdStochastic ? householdRisk?.bands : null}
+            />
+            <HouseholdCostChart curves={household.costCurve} />
+          </div>
+        </section>
+
+        <section className="report-section">
+          <h2>SME</h2>
+          <div className="card-row">
+            <MetricCard
+              label="Survival probability interest"
+              value={sme.survivalInterest.toFixed(1)}
+              suffix="%"
+              note={`95% CI ${sme.survivalInterestCI.low.toFixed(
+                1
+              )}–${sme.survivalInterestCI.high.toFixed(1)}%`}
+            />
+            <MetricCard
+              label="Survival probability Islamic"
+              value={sme.survivalIslamic.toFixed(1)}
+              suffix="%"
+              note={`95% CI ${sme.survivalIslamicCI.low.toFixed(
+                1
+              )}–${sme.survivalIslamicCI.high.toFixed(1)}%`}
+            />
+            <MetricCard
+              label="Severe income shock risk interest"
+              value={sme.severeShockInterest.toFixed(1)}
+              suffix="%"
+            />
+            <MetricCard
+              label="Severe income shock risk Islamic"
+              value={sme.severeShockIslamic.toFixed(1)}
+              suffix="%"
+            />
+            <MetricCard
+              label="Owner income stability"
+              valueText={sme.ownerStability}
+            />
+          </div>
+          <SmeChart
+            curve={sme.incomeCurve}
+            islamicLabel={SME_STRUCTURES[sme.structure]?.label}
+          />
+          {(Object.keys(sme.structures).length > 2 || sme.liquidity) && (
+            <SmeStructureTable
+              structures={sme.structures}
+              liquidity={sme.liquidity}
+            />
+          )}
+        </section>
+
+        {portfolio && (
+          <section className="report-section">
+            <h2>SME lending portfolio</h2>
+            <p className="hint">
+              {portfolio.loans} loans across{" "}
+              {portfolio.sectors.length} sector
+              {portfolio.sectors.length === 1 ? "" : "s"},{" "}
+              {portfolio.runs} simulated books.
+            </p>
+            <div className="card-row">
+              <MetricCard
+                label="Expected loss interest / Islamic"
+                valueText={`${portfolio.debt.expectedLoss.toFixed(
+                  1
+                )}% / ${portfolio.islamic.expectedLoss.toFixed(1)}%`}
+              />
+              <MetricCard
+                label="Unexpected loss interest / Islamic"
+                valueText={`${portfolio.debt.unexpectedLoss.toFixed(
+                  1
+                )}% / ${portfolio.islamic.unexpectedLoss.toFixed(1)}%`}
+              />
+              <MetricCard
+                label="Lender return interest / Islamic"
+                valueText={`${portfolio.debt.meanReturn.toFixed(
+                  1
+                )}% / ${portfolio.islamic.meanReturn.toFixed(1)}%`}
+              />
+            </div>
+            <PortfolioLossChart
+              distribution={portfolio.distribution}
+              islamicLabel={SME_STRUCTURES[portfolio.structure]?.label}
+            />
+            <PortfolioSectorTable sectors={portfolio.sectors} />
+          </section>
+        )}
+
+        <section className="report-section">
+          <h2>Bank balance sheet</h2>
+          <BankComparisonTable
+            interest={bankInterest}
+            islamic={bankIslamic}
+          />
+        </section>
+
+        <section className="report-section">
+          <h2>Wealth distribution and zakat</h2>
+          <div className="wealth-grid">
+            <WealthCard
+              title="Top 20% wealth share"
+              interest={wealthInterest.top20}
+              islamic={wealthIslamic.top20}
+              unit="%"
+            />
+            <WealthCard
+              title="Bottom 40% wealth share"
+              interest={wealthInterest.bottom40}
+              islamic={wealthIslamic.bottom40}
+              unit="%"
+            />
+            <WealthCard
+              title="Inequality score"
+              interest={wealthInterest.inequalityScore}
+              islamic={wealthIslamic.inequalityScore}
+              unit="/100"
+            />
+            <WealthCard
+              title="Annual zakat flow"
+              interest={0}
+              islamic={wealthIslamic.zakatShareYear}
+              unit="% of wealth"
+            />
+            <WealthCard
+              title="Average zakat flow"
+              interest={0}
+              islamic={wealthIslamic.zakatShareAvg}
+              unit="% of wealth"
+            />
+            <WealthCard
+              title="Households saved from repossession"
+              interest={0}
+              islamic={housingSupport.householdsSaved}
+              unit="households/yr"
+            />
+          </div>
+        </section>
+
+        <section className="report-section report-break">
+          <h2>Inputs and calibration</h2>
+          <p className="text small">
+            Calibration: <strong>{calibration.label}</strong>
+            {householdCalibration.region &&
+              `, with ${householdCalibration.region} housing figures`}
+            . {calibration.description} Macro scenario:{" "}
+            <strong>{scenario.label}</strong>. {scenario.description}
+          </p>
+          <div className="report-params">
+            <ParameterTable title="Simulator inputs" params={config} />
+            <ParameterTable
+              title="Housing calibration"
+              params={householdCalibration.housing}
+            />
+            <ParameterTable
+              title="SME calibration"
+              params={calibration.sme}
+            />
+            <ParameterTable
+              title="Macro calibration"
+              params={calibration.macro}
+            />
+            <ParameterTable
+              title={`SME sector: ${sectorConfig.label}`}
+              params={sectorConfig}
+            />
+            <ParameterTable
+              title="Scenario shocks"
+              params={{
+                recessionShockFactor: scenario.recessionShockFactor,
+                ...Object.fromEntries(
+                  scenario.shocks.map((sh, i) => [
+                    `shock ${i + 1}`,
+                    `years ${sh.startYear}–${
+                      sh.startYear + sh.duration - 1
+                    }: GDP ${sh.gdpShock}pp, inflation ${
+                      sh.inflationShock
+                    }pp, unemployment ${sh.unemploymentJump}, borrowing ${
+                      sh.borrowingPremium
+                    }pp`,
+                  ])
+                ),
+              }}
+            />
+          </div>
+        </section>
+
+        <section className="report-section report-break">
+          <MethodsContent stabilityMethod={stabilityMethod} />
+        </section>
+
+        <p className="hint small">
+          Educational simulator using stylised and UK calibrated
+          parameters. Not investment advice or a forecast.
+        </p>
+      </main>
+    </div>
+  );
+}
+
+/* METHODS */
+
+function MethodsContent({ stabilityMethod }) {
+  return (
+    <>
+      <h2>Methods and assumptions</h2>
+      <p className="text">
+        This simulator is a comparative model. It combines
+        explicit formulas for mortgages, diminishing musharakah,
+        SME cash flows, bank balance sheets, unemployment and
+        national aggregates with Monte Carlo simulations. In
+        stylised mode parameters are smooth and educational. In
+        UK calibrated mode parameters are set near typical UK
+        averages for interest rates, house price growth, SME
+        survival and macro volatility based on publicly reported
+        figures.
+      </p>
+
+      <div className="methods-grid">
+        <div className="methods-card">
+          <h3>Households</h3>
+          <ul>
+            <li>
+              Conventional mortgage uses a standard amortising
+              loan formula with rates near UK averages.
+            </li>
+            <li>
+              Trackers and fixes that revert to a standard variable
+              rate follow an editable base rate path. The payment is
+              recalculated over the remaining term whenever the rate
+              moves, and risk is judged on the highest payment.
+            </li>
+            <li>
+              Overpayments, early settlement and payment holidays
+              apply to both products. Mortgage overpayments above 10
+              percent of the balance a year pay an early repayment
+              charge in the ERC period; musharakah overpayments buy
+              extra share at the purchase price.
+            </li>
+            <li>
+              Islamic housing uses a simplified diminishing
+              musharakah, with co-ownership and falling rent on
+              the bank share. Rent is charged on the bank share
+              times a rental yield.
+            </li>
+            <li>
+              Ijara wa iqtina can be added as a third structure. The
+              bank keeps the whole title until the last payment, and
+              a level payment of rent plus acquisition, at the same
+              rental yield and rent reviews, is recalculated whenever
+              the rent changes. The bank bears all buildings insurance
+              and structural repairs until the home passes over.
+            </li>
+            <li>
+              Rent can be reviewed every few years against a base
+              rate path plus a margin, against CPI or against
+              market rent on the current house value. Caps and
+              floors limit the change at any one review.
+            </li>
+            <li>
+              House prices grow at 2–3.3 percent per year
+              depending on mode. UK mode uses recent Land
+              Registry type averages.
+            </li>
+            <li>
+              In UK mode a region replaces the national median
+              income, house price growth and volatility, and rental
+              yield with regional figures, and scales the household
+              presets to regional prices and incomes. Stamp duty
+              follows the nation: land and buildings transaction tax
+              in Scotland, land transaction tax in Wales and stamp
+              duty land tax elsewhere.
+            </li>
+            <li>
+              Risk is measured with payment to income in a mild
+              recession where income falls by 15 percent.
+            </li>
+            <li>
+              Total cost of ownership adds stamp duty at main
+              residence rates (with first-time buyer relief when
+              chosen and the nation offers it), typical arrangement, valuation and legal fees,
+              buildings insurance at 0.1 percent and maintenance at 1
+              percent of the house value a year. Home purchase plans
+              pay stamp duty once under alternative property finance
+              relief, and the bank bears its share of insurance and
+              structural repairs.
+            </li>
+            <li>
+              Buy-to-let compares an interest-only mortgage with an
+              ijara on the same rates and rent reviews. Rent, voids,
+              letting costs and upkeep give the rental profit;
+              individuals get a 20 percent credit for finance costs
+              instead of a deduction, while companies deduct them and
+              pay 25 percent. Lenders need rent to cover the finance
+              cost at a stressed rate by 125 percent, or 145 percent
+              for higher rate taxpayers.
+            </li>
+            <li>
+              The affordability check places the loan in an LTV
+              band from the calibration, applies that band's loan to
+              income cap (4.5 times, or 4 above the first-time buyer
+              band) and requires the payment at a stressed rate to
+              stay within a share of net income. Islamic home
+              purchase plans are not offered in the top LTV band. An
+              ijara is judged on its level payment at the stressed
+              rental yield.
+            </li>
+            <li>
+              Recession risk labels compare the peak payment with
+              net income cut by 15 percent. Repossession
+              probabilities come from random paths that draw yearly
+              house price shocks with some persistence, income growth
+              and job losses, all tied to one macro factor.
+              Households spend up to half of net income on the
+              payment, run down three months of savings, and are
+              repossessed twelve months behind, with a 15 percent
+              forced sale discount. Musharakah sale proceeds are
+              split by ownership share, so the bank shares a price
+              fall. Ijara sale proceeds clear the acquisition balance
+              first, and the bank, which holds the title, bears any
+              shortfall on it. The stochastic chart shows the spread
+              of equity across the paths.
+            </li>
+          </ul>
+        </div>
+        <div className="methods-card">
+          <h3>SMEs</h3>
+          <ul>
+            <li>
+              Revenues grow at the macro growth rate with random
+              shocks, which can persist from year to year. A recession
+              cuts revenue using a shock around 40 percent in UK mode,
+              by default for one year in the middle of the term. It
+              can instead last several years from a chosen year, or
+              follow the downturn years of the macro scenario, scaled
+              by each year's GDP shock against a 3 percent fall; the
+              business then starts in the scenario's first downturn
+              year unless another is chosen. In
+              every mode the shock is also scaled by the scenario's
+              recession factor, so a severe crisis deepens it by half.
+            </li>
+            <li>
+              Debt finance uses an SME loan rate near 7.5 percent
+              with fixed repayments. Default occurs when equity
+              becomes negative.
+            </li>
+            <li>
+              The optional cash model adds opening cash, working
+              capital that grows with revenue, and an overdraft for
+              debt or an interest-free qard hasan for the Islamic
+              structures. A business also fails when it runs through
+              its cash and facility. Profit below the covenant cover
+              of a fixed instalment freezes the facility, and the
+              financier may first defer one instalment over the rest
+              of the term. Opening cash adds to equity, which
+              otherwise starts at the finance amount.
+            </li>
+            <li>
+              Debt survival can fall sharply with the cash model on.
+              Without it, the finance counts as a buffer, so years
+              where the instalment exceeds profit only erode equity.
+              With it, the finance is spent on assets, and every
+              instalment must be paid from cash. For example, revenue
+              of 500k at a 12 percent margin with 300k financed over
+              five years gives about 60k of profit against a 74k
+              instalment. In the severe crisis, the covenant is
+              breached in the first year, which freezes the
+              overdraft, and the opening cash runs out. Debt survival
+              drops from 100 percent to about 17 percent. Profit
+              sharing payments fall with profit, so the Islamic
+              structure survives.
+            </li>
+            <li>
+              The optional portfolio view simulates a lender's book of
+              such businesses across a sector mix. Each year one macro
+              factor and one factor per sector drive a set share of
+              every revenue shock, so failures cluster. A failed loan
+              loses the finance still outstanding less a recovery
+              share. Expected loss is the mean book loss and unexpected
+              loss the 99th percentile less the mean, never below
+              zero. At least 500 books are simulated so the 99th
+              percentile rests on the five worst or more.
+            </li>
+            <li>
+              Islamic finance uses a profit share on positive
+              profits and no fixed repayment by default, which shares
+              risk with the financier. Mudarabah and musharakah add
+              loss sharing and an optional cap on the bank's profit,
+              and return the bank's remaining capital from reserves at
+              the end. A mudarabah bank provides all the capital and
+              shares the whole profit; a musharakah bank shares profit
+              and loss on its part of the capital, beside the owner's
+              (equal by default). Diminishing musharakah buys the bank out in
+              equal instalments, murabaha pays cost plus a flat
+              markup, and equipment ijara pays the cost back with the
+              markup on what is still unrecovered.
+            </li>
+            <li>
+              Survival, insolvency and severe income shocks come
+              from Monte Carlo paths for each system. UK mode
+              targets 5 year survival that matches the 40 percent
+              range reported for UK cohorts, with sector
+              specific risk profiles.
+            </li>
+            <li>
+              Survival rates are reported with a 95 percent Wilson
+              interval, and the Islamic minus interest gap with an
+              Agresti–Caffo interval, which adds one survivor and one
+              failure to each system. Neither interval shrinks to
+              nothing when every run survives, and the gap is flagged
+              as significant when its interval excludes zero. Owner income fans
+              show the 10th to 90th percentile across runs.
+            </li>
+          </ul>
+        </div>
+        <div className="methods-card">
+          <h3>National model</h3>
+          <ul>
+            <li>
+              GDP starts at 100 and evolves for thirty years
+              using a base growth rate near 2–2.3 percent minus a
+              debt drag term.
+            </li>
+            <li>
+              Household debt in the interest system trends higher
+              over time starting from debt to income around 118
+              percent. The Islamic system grows debt more slowly.
+            </li>
+            <li>
+              Inflation includes a base term plus credit and
+              cycle terms. Volatility is calibrated so the
+              interest system resembles historical UK CPI
+              variability.
+            </li>
+            <li>
+              Unemployment reacts to deviations of growth from
+              trend and crisis years. Government borrowing cost
+              rises with higher household leverage and crisis
+              risk, with a lower risk premium in the Islamic
+              system.
+            </li>
+            <li>
+              Macro scenarios are lists of shocks, each with a
+              start year, duration and additions to GDP growth,
+              inflation, unemployment and borrowing costs. The
+              scenario builder saves custom lists in this browser
+              and applies them to both the national and SME
+              modules.
+            </li>
+            <li>
+              In stochastic mode each path adds persistent
+              random shocks to GDP growth and inflation, scaled to
+              the calibrated volatilities. Both systems face the
+              same shocks on each path; under interest finance a
+              growth shortfall raises debt to income twice as much
+              as under shared risk finance. Cards show medians
+              with the 10th to 90th percentile across paths, and
+              charts show the same range as a fan.
+            </li>
+            <li>
+              Stability scores are computed from the simulated
+              GDP growth and inflation paths of each system with
+              the same scoring function, so any gap comes from
+              the model rather than being assumed. Current
+              method:{" "}
+              <strong>
+                {STABILITY_METHODS[stabilityMethod].label}
+              </strong>
+              . {STABILITY_METHODS[stabilityMethod].description}
+            </li>
+          </ul>
+        </div>
+      </div>
+
+      <div className="methods-card wide">
+        <h3>Bank balance sheet</h3>
+        <p className="text small">
+          The bank module tracks a stylised balance sheet with
+          murabaha, musharakah, sukuk and cash on the asset side
+          and mudarabah deposits, current accounts and equity on
+          the liability side. Risk weights approximate Basel
+          logic and default probabilities differ for interest and
+          Islamic structures. Under stress scenarios expected
+          losses are compared to equity to derive capital ratios,
+          liquidity coverage and shortfall probabilities. The
+          model is illustrative rather than a full regulatory
+          framework, but it mirrors how supervisors think about
+          solvency and liquidity.
+        </p>
+      </div>
+
+      <div className="methods-card wide">
+        <h3>Wealth, zakat and social effects</h3>
+        <p className="text small">
+          The wealth module tracks a stylised distribution of
+          wealth across five quintiles. In the Islamic system
+          zakat is applied to wealth above a simplified nisab,
+          paid mainly from the upper three quintiles and
+          redistributed to the bottom two. The model reports
+          approximate zakat flows as a share of wealth, the
+          resulting change in top and bottom wealth shares and an
+          inequality score. A share of zakat is directed to
+          housing arrears to prevent repossession; this reduces
+          effective default rates. Simple elasticities are then
+          used to show indicative effects on poverty, crime,
+          consumption and long run GDP. These links are
+          illustrative rather than econometrically estimated and
+          should be treated as conceptual, not definitive.
+        </p>
+      </div>
+
+      <div className="methods-card wide">
+        <h3>Data sources and calibration</h3>
+        <p className="text small">
+          UK calibrated mode uses approximate values derived from
+          openly reported figures such as average mortgage rates,
+          house price growth, LTV distributions, SME survival
+          statistics, SME loan rates, household debt to income,
+          credit to GDP ratios and SME employment shares. Exact
+          series are not loaded into the simulator. Instead the
+          model is anchored to typical ranges so that the
+          conventional interest system behaves similarly to
+          observed UK patterns and the Islamic system can be
+          compared as a structural counterfactual. For research
+          use the engine should be paired with more detailed
+          calibration to full time series.
+        </p>
+      </div>
+    </>
+  );
+}
+
+/* SCENARIO EDITOR */
+
+const SHOCK_FIELDS = [
+  { key: "startYear", label: "Start year" },
+  { key: "duration", label: "Duration (years)" },
+  { key: "gdpShock", label: "GDP growth shock (pp)" },
+  { key: "inflationShock", label: "Inflation shock (pp)" },
+  { key: "unemploymentJump", label: "Unemployment jump (pts/yr)" },
+  { key: "borrowingPremium", label: "Borrowing cost premium (pp)" },
+];
+
+function ScenarioEditor({ base, isCustom, onSave, onDelete, onCancel }) {
+  const [draft, setDraft] = useState(() => ({
+    id: isCustom ? base.id : undefined,
+    label: isCustom ? base.label : `${base.label} (custom)`,
+    description: base.description,
+    recessionShockFactor: base.recessionShockFactor,
+    shocks: base.shocks.map((sh) => ({ ...sh })),
+  }));
+
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const updateShock = (i, key, value) =>
+    setDraft((d) => ({
+      ...d,
+      shocks: d.shocks.map((sh, j) =>
+        j === i ? { ...sh, [key]: value } : sh
+      ),
+    }));
+  const addShock = () =>
+    setDraft((d) => ({ ...d, shocks: [...d.shocks, { ...EMPTY_SHOCK }] }));
+  const removeShock = (i) =>
+    setDraft((d) => ({
+      ...d,
+      shocks: d.shocks.filter((_, j) => j !== i),
+    }));
+
+  return (
+    <div className="card scenario-editor">
+      <div className="card-label">Scenario builder</div>
+      <div className="two-col">
+        <div className="col">
+          <label className="input-field">
+            <span>Name</span>
+            <input
+              type="text"
+              value={draft.label}
+              onChange={(e) => update({ label: e.target.value })}
+            />
+          </label>
+          <label className="input-field">
+            <span>Description</span>
+            <input
+              type="text"
+              value={draft.description}
+              onChange={(e) => update({ description: e.target.value })}
+            />
+          </label>
+        </div>
+        <div className="col">
+          <InputField
+            label="SME recession severity (× sector shock)"
+            value={draft.recessionShockFactor}
+            onChange={(v) => update({ recessionShockFactor: v })}
+          />
+          <p className="hint small">
+            Shocks are added to the national paths in the years they
+            are active (1–{SCENARIO_HORIZON}). Overlapping shocks add
+            up. The SME module scales its sector recession by the
+            severity above.
+          </p>
+        </div>
+      </div>
+
+      {draft.shocks.length === 0 && (
+        <p className="hint small">
+          No shocks: the national model runs its normal cycle.
+        </p>
+      )}
+      {draft.shocks.map((shock, i) => (
+        <div className="shock-row" key={i}>
+          <div className="shock-row-header">
+            <span className="preset-label">Shock {i + 1}</span>
+            <button
+              className="preset-btn"
+              onClick={() => removeShock(i)}
+            >
+              Remove
+            </button>
+          </div>
+          <div className="shock-grid">
+            {SHOCK_FIELDS.map((f) => (
+              <InputField
+                key={f.key}
+                label={f.label}
+                value={shock[f.key]}
+                onChange={(v) => updateShock(i, f.key, v)}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="preset-row">
+        <button className="preset-btn" onClick={addShock}>
+          Add shock
+        </button>
+        <button
+          className="preset-btn active"
+          onClick={() => onSave(draft)}
+        >
+          Save scenario
+        </button>
+        {isCustom && (
+          <button
+            className="preset-btn"
+            onClick={() => onDelete(base.id)}
+          >
+            Delete
+          </button>
+        )}
+        <button className="preset-btn" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* SAVED RUNS */
+
+function SavedRunsPanel({
+  snapshots,
+  compareIds,
+  onSave,
+  onLoad,
+  onDelete,
+  onToggleCompare,
+}) {
+  const [name, setName] = useState("");
+
+  return (
+    <div className="card">
+      <div className="saved-runs-form">
+        <label className="input-field">
+          <span>Name for this run</span>
+          <input
+            type="text"
+            value={name}
+            placeholder="e.g. High LTV buyer, severe crisis"
+            onChange={(e) => setName(e.target.value)}
+          />
+        </label>
+        <button
+          className="preset-btn active"
+          onClick={() => {
+            onSave(name);
+            setName("");
+          }}
+        >
+          Save current run
+        </button>
+      </div>
+
+      {snapshots.length === 0 ? (
+        <p className="hint small">No saved runs yet.</p>
+      ) : (
+        <table className="bank-table">
+          <thead>
+            <tr>
+              <th>Compare</th>
+              <th>Name</th>
+              <th>Mode · scenario</th>
+              <th>Saved</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {snapshots.map((snap) => (
+              <tr key={snap.id}>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={compareIds.includes(snap.id)}
+                    disabled={
+                      !compareIds.includes(snap.id) &&
+                      compareIds.length >= MAX_COMPARE
+                    }
+                    onChange={() => onToggleCompare(snap.id)}
+                  />
+                </td>
+                <td>{snap.name}</td>
+                <td>
+                  {snap.labels.mode} · {snap.labels.scenario}
+                </td>
+                <td>{new Date(snap.savedAt).toLocaleString("en-GB")}</td>
+                <td className="row-actions">
+                  <button
+                    className="preset-btn"
+                    onClick={() => onLoad(snap)}
+                  >
+                    Load
+                  </button>
+                  <button
+                    className="preset-btn"
+                    onClick={() => onDelete(snap.id)}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const money0 = (x) =>
+  `£${Math.round(x).toLocaleString("en-GB")}`;
+const fixed1 = (x) => x.toFixed(1);
+const money2 = (x) =>
+  `£${x.toLocaleString("en-GB", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+// Rows of the comparison table: label and how to read it from a snapshot
+const COMPARISON_ROWS = [
+  { group: "Setup" },
+  { label: "Mode", get: (r) => r.labels.mode },
+  { label: "Macro scenario", get: (r) => r.labels.scenario },
+  { label: "SME sector", get: (r) => r.labels.sector },
+  { group: "Household" },
+  {
+    label: "Salary / deposit / property",
+    get: (r) =>
+      `${money0(r.config.salary)} / ${money0(r.config.deposit)} / ${money0(
+        r.config.propertyValue
+      )}`,
+  },
+  {
+    label: "Total paid interest",
+    get: (r) => money0(r.results.household.totalPaidInterest),
+  },
+  {
+    label: "Total paid Islamic",
+    get: (r) => money0(r.results.household.totalPaidIslamic),
+  },
+  {
+    label: "Recession risk interest / Islamic",
+    get: (r) =>
+      `${r.results.household.riskInterest} / ${r.results.household.riskIslamic}`,
+  },
+  {
+    // runs saved before the probabilities were simulated lack them
+    label: "Repossession probability interest / Islamic",
+    get: ({ results: { household } }) =>
+      Number.isFinite(household.repossessionInterest)
+        ? `${fixed1(household.repossessionInterest)}% / ${fixed1(
+            household.repossessionIslamic
+          )}%`
+        : "–",
+  },
+  { group: "SMEs" },
+  {
+    label: "Survival interest",
+    get: (r) => `${fixed1(r.results.sme.survivalInterest)}%`,
+  },
+  {
+    label: "Survival Islamic",
+    get: (r) => `${fixed1(r.results.sme.survivalIslamic)}%`,
+  },
+  {
+    label: "Severe shock risk interest / Islamic",
+    get: (r) =>
+      `${fixed1(r.results.sme.severeShockInterest)}% / ${fixed1(
+        r.results.sme.severeShockIslamic
+      )}%`,
+  },
+  { group: "National (interest / Islamic)" },
+  ...[
+    ["Economic stability", "economicStability", "/100"],
+    ["Inflation stability", "inflationStability", "/100"],
+    ["Household debt ratio", "householdDebtRatio", "%"],
+    ["Unemployment rate", "unemploymentRate", "%"],
+    ["Gov borrowing cost", "govBorrowCost", "%"],
+  ].map(([label, key, unit]) => ({
+    label,
+    get: (r) =>
+      `${r.results.national.interest.metrics[key]}${unit} / ${r.results.national.islamic.metrics[key]}${unit}`,
+  })),
+  { group: "Wealth and zakat (interest / Islamic)" },
+  {
+    label: "Top 20% wealth share",
+    get: (r) =>
+      `${fixed1(r.results.wealthInterest.top20)}% / ${fixed1(
+        r.results.wealthIslamic.top20
+      )}%`,
+  },
+  {
+    label: "Bottom 40% wealth share",
+    get: (r) =>
+      `${fixed1(r.results.wealthInterest.bottom40)}% / ${fixed1(
+        r.results.wealthIslamic.bottom40
+      )}%`,
+  },
+  {
+    label: "Households saved from repossession",
+    get: (r) => `${Math.round(r.results.housingSupport.householdsSaved)}/yr`,
+  },
+  { group: "Bank (conventional / Islamic)" },
+  {
+    label: "Capital ratio",
+    get: (r) =>
+      `${fixed1(r.results.bankInterest.capitalRatio * 100)}% / ${fixed1(
+        r.results.bankIslamic.capitalRatio * 100
+      )}%`,
+  },
+  {
+    label: "Shortfall probability",
+    get: (r) =>
+      `${fixed1(r.results.bankInterest.shortfallProb)}% / ${fixed1(
+        r.results.bankIslamic.shortfallProb
+      )}%`,
+  },
+];
+
+// The parts of a run's results COMPARISON_ROWS and the comparison charts
+// read, so a saved run stays small in localStorage; everything else can
+// be rebuilt from its config
+function snapshotResults({
+  household,
+  householdRisk,
+  sme,
+  nationalAll,
+  wealthInterest,
+  wealthIslamic,
+  housingSupport,
+  bankInterest,
+  bankIslamic,
+}) {
+  const national = (system) => ({
+    metrics: nationalAll[system].metrics,
+    series: nationalAll[system].series.map(({ year, gdp }) => ({
+      year,
+      gdp,
+    })),
+  });
+  return {
+    household: {
+      totalPaidInterest: household.totalPaidInterest,
+      totalPaidIslamic: household.totalPaidIslamic,
+      riskInterest: household.riskInterest,
+      riskIslamic: household.riskIslamic,
+      repossessionInterest:
+        householdRisk?.interest?.repossession.value ?? null,
+      repossessionIslamic:
+        householdRisk?.islamic?.repossession.value ?? null,
+      equityCurve: household.equityCurve,
+      costCurve: household.costCurve,
+    },
+    sme: {
+      survivalInterest: sme.survivalInterest,
+      survivalIslamic: sme.survivalIslamic,
+      severeShockInterest: sme.severeShockInterest,
+      severeShockIslamic: sme.severeShockIslamic,
+      incomeCurve: sme.incomeCurve.map(
+        ({ year, ownerInterest, ownerIslamic }) => ({
+          year,
+          ownerInterest,
+          ownerIslamic,
+        })
+      ),
+    },
+    national: {
+      interest: national("interest"),
+      islamic: national("islamic"),
+    },
+    wealthInterest: {
+      top20: wealthInterest.top20,
+      bottom40: wealthInterest.bottom40,
+    },
+    wealthIslamic: {
+      top20: wealthIslamic.top20,
+      bottom40: wealthIslamic.bottom40,
+    },
+    housingSupport: { householdsSaved: housingSupport.householdsSaved },
+    bankInterest: {
+      capitalRatio: bankInterest.capitalRatio,
+      shortfallProb: bankInterest.shortfallProb,
+    },
+    bankIslamic: {
+      capitalRatio: bankIslamic.capitalRatio,
+      shortfallProb: bankIslamic.shortfallProb,
+    },
+  };
+}
+
+function ComparisonView({ runs }) {
+  const [chartSystem, setChartSystem] = useState("islamic");
+  const isIslamic = chartSystem === "islamic";
+
+  const lines = (pick) =>
+    runs.map((r) => ({ label: r.name, points: pick(r) }));
+
+  return (
+    <div className="comparison">
+      <div className="card comparison-table-wrap">
+        <table className="bank-table comparison-table">
+          <thead>
+            <tr>
+              <th>Metric</th>
+              {runs.map((r, i) => (
+                <th key={r.id}>
+                  <span className={`run-swatch run-${i}`} />
+                  {r.name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARISON_ROWS.map((row) =>
+              row.group ? (
+                <tr key={row.group} className="group-row">
+                  <td colSpan={runs.length + 1}>{row.group}</td>
+                </tr>
+              ) : (
+                <tr key={row.label}>
+                  <td>{row.label}</td>
+                  {runs.map((r) => (
+                    <td key={r.id}>{row.get(r)}</td>
+                  ))}
+                </tr>
+              )
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="preset-row">
+        <span className="preset-label">Charts show:</span>
+        {Object.entries(SYSTEMS).map(([key, label]) => (
+          <button
+            key={key}
+            className={
+              chartSystem === key ? "preset-btn active" : "preset-btn"
+            }
+            onClick={() => setChartSystem(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="chart-row">
+        <OverlayChart
+          title="Household equity"
+          lines={lines((r) =>
+            r.results.household.equityCurve.map((p) => [
+              p.year,
+              isIslamic ? p.equityIslamic : p.equityInterest,
+            ])
+          )}
+        />
+        <OverlayChart
+          title="Cumulative housing cost"
+          lines={lines((r) =>
+            r.results.household.costCurve.map((p) => [
+              p.year,
+              isIslamic ? p.cumIslamic : p.cumInterest,
+            ])
+          )}
+        />
+        <OverlayChart
+          title="Average owner income per year"
+          lines={lines((r) =>
+            r.results.sme.incomeCurve.map((p) => [
+              p.year,
+              isIslamic ? p.ownerIslamic : p.ownerInterest,
+            ])
+          )}
+        />
+        <OverlayChart
+          title="GDP index over thirty years"
+          lines={lines((r) =>
+            r.results.national[chartSystem].series.map((p) => [
+              p.year,
+              p.gdp,
+            ])
+          )}
+        />
+      </div>
+    </div>
+  );
+}
+
 /* BANK COMPARISON TABLE */
 
+function ScheduleTable({ schedule, ijara }) {
+  return (
+    <div className="card schedule-wrap">
+      <table className="bank-table schedule-table">
+        <thead>
+          <tr>
+            <th rowSpan={2}>Month</th>
+            <th colSpan={6}>Interest mortgage</th>
+            <th colSpan={7}>Diminishing musharakah</th>
+            {ijara && <th colSpan={5}>Ijara wa iqtina</th>}
+          </tr>
+          <tr>
+            <th>Rate</th>
+            <th>Payment</th>
+            <th>Interest</th>
+            <th>Principal</th>
+            <th>Extra</th>
+            <th>Balance</th>
+            <th>Bank share</th>
+            <th>Rent rate</th>
+            <th>Rent</th>
+            <th>Acquisition</th>
+            <th>Extra</th>
+            <th>Payment</th>
+            <th>Your equity</th>
+            {ijara && (
+              <>
+                <th>Rent</th>
+                <th>Acquisition</th>
+                <th>Extra</th>
+                <th>Payment</th>
+                <th>Balance</th>
+              </>
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {schedule.map((row) => [
+            row.month % 12 === 1 && (
+              <tr key={`y${row.year}`} className="group-row">
+                <td colSpan={ijara ? 19 : 14}>
+                  Year {row.year} · house value {money0(row.houseValue)}
+                </td>
+              </tr>
+            ),
+            <tr
+              key={row.month}
+              className={row.holiday ? "holiday-row" : undefined}
+            >
+              <td>{row.month}</td>
+              <td>{row.rateInterest.toFixed(2)}%</td>
+              <td>{money2(row.paymentInterest)}</td>
+              <td>{money2(row.interestPaid)}</td>
+              <td>{money2(row.principalPaid)}</td>
+              <td>
+                {row.overpaymentInterest + row.ercInterest > 0
+                  ? money2(row.overpaymentInterest + row.ercInterest)
+                  : "–"}
+              </td>
+              <td>{money0(row.balanceInterest)}</td>
+              <td>{row.bankShare.toFixed(2)}%</td>
+              <td>{row.rentRate.toFixed(2)}%</td>
+              <td>{money2(row.rent)}</td>
+              <td>{money2(row.acquisition)}</td>
+              <td>
+                {row.overpaymentIslamic > 0
+                  ? money2(row.overpaymentIslamic)
+                  : "–"}
+              </td>
+              <td>{money2(row.paymentIslamic)}</td>
+              <td>{money0(row.equityIslamic)}</td>
+              {ijara && (
+                <>
+                  <td>{money2(row.rentIjara)}</td>
+                  <td>{money2(row.acquisitionIjara)}</td>
+                  <td>
+                    {row.overpaymentIjara > 0
+                      ? money2(row.overpaymentIjara)
+                      : "–"}
+                  </td>
+                  <td>{money2(row.paymentIjara)}</td>
+                  <td>{money0(row.balanceIjara)}</td>
+                </>
+              )}
+            </tr>,
+          ])}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 function BankComparisonTable({ interest, islamic }) {
   const fmtPct1 = (x) => `${(x * 100).toFixed(1)}%`;
   const fmtPctNum = (x) => `${x.toFixed(1)}%`;
@@ -2237,9 +4678,159 @@ function BankComparisonTable({ interest, islamic }) {
   );
 }
 
+// Line by line cost of ownership for both structures
+function OwnershipCostTable({ costs }) {
+  if (!costs.interest.total && !costs.islamic.total) return null;
+  const rows = [
+    ["Monthly payments", "payments"],
+    [`Stamp duty (${costs.stampDutyName})`, "sdlt"],
+    ["Arrangement fee", "arrangementFee"],
+    ["Valuation fee", "valuationFee"],
+    ["Legal costs", "legalFees"],
+    ["Buildings insurance", "insurance"],
+    ["Maintenance", "maintenance"],
+    ["Total", "total"],
+  ];
+  const money = (x) => `£${Math.round(x).toLocaleString("en-GB")}`;
+  return (
+    <>
+      <table className="bank-table">
+        <thead>
+          <tr>
+            <th>Cost over the term</th>
+            <th>Interest</th>
+            <th>Islamic</th>
+            {costs.ijara && <th>Ijara</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, key]) => (
+            <tr key={key} className={key === "total" ? "total-row" : ""}>
+              <td>{label}</td>
+              <td>{money(costs.interest[key])}</td>
+              <td>{money(costs.islamic[key])}</td>
+              {costs.ijara && <td>{money(costs.ijara[key])}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="hint small">
+        Stamp duty is charged once on a home purchase plan, on the bank's
+        purchase; relief avoids a second {money(costs.sdltRelief)} charge
+        when the home passes to you. As co-owner the bank bears its share
+        of buildings insurance and structural repairs
+        {costs.ijara
+          ? "; under the ijara it owns the whole home until the last payment, so it bears them all until then."
+          : "."}
+      </p>
+    </>
+  );
+}
+
+// Buy-to-let results, shown in place of the owner-occupier cards
+function LandlordResults({ landlord }) {
+  const money = (x) => `£${Math.round(x).toLocaleString("en-GB")}`;
+  const systems = [
+    ["interest", "interest"],
+    ["islamic", "Islamic"],
+  ];
+  const rows = [
+    ["Rent collected", "collected"],
+    ["Letting costs", "letting"],
+    ["Insurance and maintenance", "upkeep"],
+    ["Finance cost", "finance"],
+    ["Tax", "tax"],
+    ["Cash flow after tax", "cashflow"],
+  ];
+  const hasYear = landlord.interest.firstYear && landlord.islamic.firstYear;
+  return (
+    <>
+      <div className="card-row">
+        <MetricCard
+          label="Gross rental yield"
+          value={landlord.grossYield.toFixed(1)}
+          suffix="%"
+          note={`LTV ${landlord.ltv.toFixed(1)}%`}
+        />
+        {systems.map(([key, label]) => (
+          <MetricCard
+            key={`yield-${key}`}
+            label={`Net yield ${label}`}
+            value={landlord[key].netYield.toFixed(1)}
+            suffix="%"
+            note="First year cash flow after tax on the cash put in"
+          />
+        ))}
+        {systems.map(([key, label]) => {
+          const r = landlord[key];
+          const cover = `Rent cover ${(r.icr * 100).toFixed(0)}% at ${r.stressRate.toFixed(1)}%`;
+          return (
+            <MetricCard
+              key={`offer-${key}`}
+              label={`Offered ${label}`}
+              valueText={r.offered ? "Yes" : "No"}
+              note={
+                r.offered
+                  ? `${cover}, ${(r.icrRequired * 100).toFixed(0)}% needed`
+                  : r.reasons.join(" ") || "No finance needed"
+              }
+            />
+          );
+        })}
+        {systems.map(([key, label]) => {
+          const r = landlord[key];
+          return (
+            <MetricCard
+              key={`return-${key}`}
+              label={`Total return ${label}`}
+              valueText={money(r.totalReturn)}
+              note={`Net rental income ${money(r.netIncome)}, tax ${money(
+                r.taxPaid
+              )}, equity at the end ${money(r.equityAtEnd)}`}
+            />
+          );
+        })}
+      </div>
+      <div className="chart-row">
+        <LandlordCashChart curve={landlord.curve} />
+      </div>
+      {hasYear && (
+        <table className="bank-table">
+          <thead>
+            <tr>
+              <th>First year</th>
+              <th>Interest</th>
+              <th>Islamic</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([label, key]) => (
+              <tr
+                key={key}
+                className={key === "cashflow" ? "total-row" : ""}
+              >
+                <td>{label}</td>
+                <td>{money(landlord.interest.firstYear[key])}</td>
+                <td>{money(landlord.islamic.firstYear[key])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="hint small">
+        Both products are rent-only: the loan, or the bank's share, is
+        repaid at the purchase price at the end, so the landlord keeps the
+        price growth. Upfront costs include {landlord.stampDutyName} at the
+        higher rates for additional homes: {money(landlord.interest.upfront)} interest,{" "}
+        {money(landlord.islamic.upfront)} Islamic.
+      </p>
+    </>
+  );
+}
+
 /* charts */
 
-function HouseholdEquityChart({ curves }) {
+function HouseholdEquityChart({ curves, bands }) {
   if (!curves || curves.length === 0) {
     return (
       <div className="chart-placeholder">
@@ -2248,10 +4839,27 @@ function HouseholdEquityChart({ curves }) {
     );
   }
 
-  const maxEquity = curves.reduce(
-    (m, p) => Math.max(m, p.equityInterest, p.equityIslamic),
-    0
+  const hasBands = Boolean(bands && bands.length);
+  const hasIjara = curves[0].equityIjara !== undefined;
+  const values = curves.flatMap((p) =>
+    hasIjara
+      ? [p.equityInterest, p.equityIslamic, p.equityIjara]
+      : [p.equityInterest, p.equityIslamic]
   );
+  if (hasBands) {
+    bands.forEach((b) =>
+      values.push(
+        b.equityInterestP10,
+        b.equityInterestP90,
+        b.equityIslamicP10,
+        b.equityIslamicP90
+      )
+    );
+  }
+  const maxEquity = Math.max(0, ...values);
+  // Stochastic paths can end in negative equity, so the axis may dip
+  // below zero
+  const minEquity = Math.min(0, ...values);
   const width = 100;
   const height = 100;
   const padX = 5;
@@ -2261,7 +4869,10 @@ function HouseholdEquityChart({ curves }) {
   const scaleX = (year) =>
     padX + ((width - 2 * padX) * year) / lastYear;
   const scaleY = (eq) =>
-    height - padY - ((height - 2 * padY) * eq) / (maxEquity || 1);
+    height -
+    padY -
+    ((height - 2 * padY) * (eq - minEquity)) /
+      (maxEquity - minEquity || 1);
 
   const interestPoints = curves
     .map((p) => `${scaleX(p.year)},${scaleY(p.equityInterest)}`)
@@ -2269,17 +4880,132 @@ function HouseholdEquityChart({ curves }) {
   const islamicPoints = curves
     .map((p) => `${scaleX(p.year)},${scaleY(p.equityIslamic)}`)
     .join(" ");
+  const ijaraPoints = hasIjara
+    ? curves
+        .map((p) => `${scaleX(p.year)},${scaleY(p.equityIjara)}`)
+        .join(" ")
+    : "";
+
+  // P10 to P90 fan: upper edge left to right, lower edge back again
+  const bandPoints = (lowKey, highKey) =>
+    [
+      ...bands.map((b) => `${scaleX(b.year)},${scaleY(b[highKey])}`),
+      ...[...bands]
+        .reverse()
+        .map((b) => `${scaleX(b.year)},${scaleY(b[lowKey])}`),
+    ].join(" ");
 
   return (
     <div className="chart-box">
       <div className="chart-header">
         <span>Household equity</span>
+        <div className="chart-legend">
+          <span className="legend-item interest">Interest</span>
+          <span className="legend-item islamic">Islamic</span>
+          {hasIjara && <span className="legend-item ijara">Ijara</span>}
+        </div>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="chart-svg">
+        {hasBands && (
+          <>
+            <polygon
+              points={bandPoints("equityInterestP10", "equityInterestP90")}
+              className="band interest-band"
+            />
+            <polygon
+              points={bandPoints("equityIslamicP10", "equityIslamicP90")}
+              className="band islamic-band"
+            />
+          </>
+        )}
+        {minEquity < 0 && (
+          <line
+            x1={padX}
+            x2={width - padX}
+            y1={scaleY(0)}
+            y2={scaleY(0)}
+            className="zero-line"
+          />
+        )}
+        <polyline
+          points={interestPoints}
+          className="line interest-line"
+          fill="none"
+        />
+        <polyline
+          points={islamicPoints}
+          className="line islamic-line"
+          fill="none"
+        />
+        {hasIjara && (
+          <polyline
+            points={ijaraPoints}
+            className="line ijara-line"
+            fill="none"
+          />
+        )}
+      </svg>
+      {hasBands && (
+        <p className="chart-note">
+          Lines show the central case, shaded fans the P10 to P90 range
+          of equity across simulated price and income paths.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function LandlordCashChart({ curve }) {
+  if (!curve || curve.length < 2) {
+    return (
+      <div className="chart-placeholder">
+        Adjust the inputs to see the landlord cash flow.
+      </div>
+    );
+  }
+
+  const values = curve.flatMap((p) => [p.cashInterest, p.cashIslamic]);
+  const maxCash = Math.max(0, ...values);
+  const minCash = Math.min(0, ...values);
+  const width = 100;
+  const height = 100;
+  const padX = 5;
+  const padY = 5;
+  const lastYear = curve[curve.length - 1].year || 1;
+
+  const scaleX = (year) =>
+    padX + ((width - 2 * padX) * year) / lastYear;
+  const scaleY = (c) =>
+    height -
+    padY -
+    ((height - 2 * padY) * (c - minCash)) / (maxCash - minCash || 1);
+
+  const interestPoints = curve
+    .map((p) => `${scaleX(p.year)},${scaleY(p.cashInterest)}`)
+    .join(" ");
+  const islamicPoints = curve
+    .map((p) => `${scaleX(p.year)},${scaleY(p.cashIslamic)}`)
+    .join(" ");
+
+  return (
+    <div className="chart-box">
+      <div className="chart-header">
+        <span>Cumulative cash flow after tax</span>
         <div className="chart-legend">
           <span className="legend-item interest">Interest</span>
           <span className="legend-item islamic">Islamic</span>
         </div>
       </div>
       <svg viewBox={`0 0 ${width} ${height}`} className="chart-svg">
+        {minCash < 0 && (
+          <line
+            x1={padX}
+            x2={width - padX}
+            y1={scaleY(0)}
+            y2={scaleY(0)}
+            className="zero-line"
+          />
+        )}
         <polyline
           points={interestPoints}
           className="line interest-line"
@@ -2304,8 +5030,9 @@ function HouseholdCostChart({ curves }) {
     );
   }
 
+  const hasIjara = curves[0].cumIjara !== undefined;
   const maxCost = curves.reduce(
-    (m, p) => Math.max(m, p.cumInterest, p.cumIslamic),
+    (m, p) => Math.max(m, p.cumInterest, p.cumIslamic, p.cumIjara || 0),
     0
   );
   const width = 100;
@@ -2325,6 +5052,11 @@ function HouseholdCostChart({ curves }) {
   const islamicPoints = curves
     .map((p) => `${scaleX(p.year)},${scaleY(p.cumIslamic)}`)
     .join(" ");
+  const ijaraPoints = hasIjara
+    ? curves
+        .map((p) => `${scaleX(p.year)},${scaleY(p.cumIjara)}`)
+        .join(" ")
+    : "";
 
   return (
     <div className="chart-box">
@@ -2333,6 +5065,7 @@ function HouseholdCostChart({ curves }) {
         <div className="chart-legend">
           <span className="legend-item interest">Interest</span>
           <span className="legend-item islamic">Islamic</span>
+          {hasIjara && <span className="legend-item ijara">Ijara</span>}
         </div>
       </div>
       <svg viewBox={`0 0 ${width} ${height}`} className="chart-svg">
@@ -2346,12 +5079,155 @@ function HouseholdCostChart({ curves }) {
           className="line islamic-line"
           fill="none"
         />
+        {hasIjara && (
+          <polyline
+            points={ijaraPoints}
+            className="line ijara-line"
+            fill="none"
+          />
+        )}
+      </svg>
+    </div>
+  );
+}
+
+// Every SME structure side by side, when they were compared
+function SmeStructureTable({ structures, liquidity = false }) {
+  return (
+    <table className="bank-table">
+      <thead>
+        <tr>
+          <th>Structure</th>
+          <th>Survival</th>
+          <th>95% CI</th>
+          <th>Severe income shock</th>
+          <th>Financier return</th>
+          {liquidity && (
+            <>
+              <th>Cash failures</th>
+              <th>Covenant breach</th>
+              <th>Restructured</th>
+            </>
+          )}
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(structures).map(([id, s]) => (
+          <tr key={id}>
+            <td>{s.label}</td>
+            <td>{s.survival.toFixed(1)}%</td>
+            <td>
+              {s.low.toFixed(1)}–{s.high.toFixed(1)}%
+            </td>
+            <td>{s.severeShock.toFixed(1)}%</td>
+            <td>{s.financierReturn.toFixed(1)}%</td>
+            {liquidity && (
+              <>
+                <td>{s.liquidityDefault.toFixed(1)}%</td>
+                <td>{s.breach.toFixed(1)}%</td>
+                <td>{s.restructured.toFixed(1)}%</td>
+              </>
+            )}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function PortfolioSectorTable({ sectors }) {
+  return (
+    <table className="bank-table">
+      <thead>
+        <tr>
+          <th>Sector</th>
+          <th>Loans</th>
+          <th>Exposure</th>
+          <th>Default interest / Islamic</th>
+          <th>Expected loss interest / Islamic</th>
+          <th>Share of book loss interest / Islamic</th>
+        </tr>
+      </thead>
+      <tbody>
+        {sectors.map((s) => (
+          <tr key={s.id}>
+            <td>{s.label}</td>
+            <td>{s.loans}</td>
+            <td>{s.exposureShare.toFixed(1)}%</td>
+            <td>
+              {s.debt.defaultRate.toFixed(1)}% /{" "}
+              {s.islamic.defaultRate.toFixed(1)}%
+            </td>
+            <td>
+              {s.debt.expectedLoss.toFixed(1)}% /{" "}
+              {s.islamic.expectedLoss.toFixed(1)}%
+            </td>
+            <td>
+              {s.debt.lossShare.toFixed(1)}% /{" "}
+              {s.islamic.lossShare.toFixed(1)}%
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Loss distribution as a step outline per system over shared bins
+function PortfolioLossChart({ distribution, islamicLabel = "Islamic" }) {
+  const width = 100;
+  const height = 100;
+  const padX = 5;
+  const padY = 5;
+  const maxShare = distribution.reduce(
+    (m, bin) => Math.max(m, bin.debt, bin.islamic),
+    0
+  );
+  const top = distribution[distribution.length - 1].to || 1;
+
+  const scaleX = (loss) => padX + ((width - 2 * padX) * loss) / top;
+  const scaleY = (share) =>
+    height - padY - ((height - 2 * padY) * share) / (maxShare || 1);
+
+  const steps = (key) =>
+    [
+      `${scaleX(0)},${scaleY(0)}`,
+      ...distribution.flatMap((bin) => [
+        `${scaleX(bin.from)},${scaleY(bin[key])}`,
+        `${scaleX(bin.to)},${scaleY(bin[key])}`,
+      ]),
+      `${scaleX(top)},${scaleY(0)}`,
+    ].join(" ");
+
+  return (
+    <div className="chart-box">
+      <div className="chart-header">
+        <span>Book loss distribution, 0–{top.toFixed(1)}% of exposure</span>
+        <div className="chart-legend">
+          <span className="legend-item interest">Interest</span>
+          <span className="legend-item islamic">{islamicLabel}</span>
+        </div>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="chart-svg">
+        <polyline
+          points={steps("debt")}
+          className="line interest-line"
+          fill="none"
+        />
+        <polyline
+          points={steps("islamic")}
+          className="line islamic-line"
+          fill="none"
+        />
       </svg>
+      <p className="chart-note">
+        Share of simulated books by credit loss as a share of exposure.
+      </p>
     </div>
   );
 }
 
-function SmeChart({ curve }) {
+function SmeChart({ curve, islamicLabel = "Islamic" }) {
   if (!curve || curve.length === 0) {
     return (
       <div className="chart-placeholder">
@@ -2360,8 +5236,20 @@ function SmeChart({ curve }) {
     );
   }
 
+  // other structures, when they were compared
+  const others = Object.values(SME_STRUCTURES).filter(
+    (s) => curve[0][`owner${s.key}`] !== undefined
+  );
   const maxIncome = curve.reduce(
-    (m, p) => Math.max(m, p.ownerInterest, p.ownerIslamic),
+    (m, p) =>
+      Math.max(
+        m,
+        p.ownerInterest,
+        p.ownerIslamic,
+        p.ownerInterestP90 || 0,
+        p.ownerIslamicP90 || 0,
+        ...others.map((s) => p[`owner${s.key}`])
+      ),
     0
   );
   const width = 100;
@@ -2382,16 +5270,43 @@ function SmeChart({ curve }) {
     .map((p) => `${scaleX(p.year)},${scaleY(p.ownerIslamic || 0)}`)
     .join(" ");
 
+  // P10 to P90 fan: upper edge left to right, lower edge back again
+  const bandPoints = (lowKey, highKey) =>
+    [
+      ...curve.map((p) => `${scaleX(p.year)},${scaleY(p[highKey] || 0)}`),
+      ...[...curve]
+        .reverse()
+        .map((p) => `${scaleX(p.year)},${scaleY(p[lowKey] || 0)}`),
+    ].join(" ");
+  const hasBands = curve[0].ownerInterestP90 !== undefined;
+
   return (
     <div className="chart-box">
       <div className="chart-header">
         <span>Average owner income per year</span>
         <div className="chart-legend">
           <span className="legend-item interest">Interest</span>
-          <span className="legend-item islamic">Islamic</span>
+          <span className="legend-item islamic">{islamicLabel}</span>
+          {others.map((s) => (
+            <span key={s.id} className={`legend-item ${s.id}`}>
+              {s.label}
+            </span>
+          ))}
         </div>
       </div>
       <svg viewBox={`0 0 ${width} ${height}`} className="chart-svg">
+        {hasBands && (
+          <>
+            <polygon
+              points={bandPoints("ownerInterestP10", "ownerInterestP90")}
+              className="band interest-band"
+            />
+            <polygon
+              points={bandPoints("ownerIslamicP10", "ownerIslamicP90")}
+              className="band islamic-band"
+            />
+          </>
+        )}
         <polyline
           points={interestPoints}
           className="line interest-line"
@@ -2402,12 +5317,98 @@ function SmeChart({ curve }) {
           className="line islamic-line"
           fill="none"
         />
+        {others.map((s) => (
+          <polyline
+            key={s.id}
+            points={curve
+              .map(
+                (p) => `${scaleX(p.year)},${scaleY(p[`owner${s.key}`])}`
+              )
+              .join(" ")}
+            className={`line ${s.id}-line`}
+            fill="none"
+          />
+        ))}
+      </svg>
+      {hasBands && (
+        <p className="chart-note">
+          Lines show the mean across runs, shaded fans the P10 to P90
+          range of owner income.
+        </p>
+      )}
+    </div>
+  );
+}
+
+// One line per saved run; `lines` is [{ label, points: [[x, y], ...] }]
+function OverlayChart({ title, lines }) {
+  const all = lines.flatMap((l) => l.points);
+  if (all.length === 0) {
+    return (
+      <div className="chart-placeholder">
+        No data for {title.toLowerCase()} in these runs.
+      </div>
+    );
+  }
+
+  const maxX = Math.max(...all.map(([x]) => x)) || 1;
+  const maxY = Math.max(...all.map(([, y]) => y), 0);
+  const width = 100;
+  const height = 100;
+  const padX = 5;
+  const padY = 5;
+
+  const scaleX = (x) => padX + ((width - 2 * padX) * x) / maxX;
+  const scaleY = (y) =>
+    height - padY - ((height - 2 * padY) * y) / (maxY || 1);
+
+  return (
+    <div className="chart-box">
+      <div className="chart-header">
+        <span>{title}</span>
+        <div className="chart-legend">
+          {lines.map((l, i) => (
+            <span key={i} className={`legend-item run-${i}`}>
+              {l.label}
+            </span>
+          ))}
+        </div>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="chart-svg">
+        {lines.map((l, i) => (
+          <polyline
+            key={i}
+            points={l.points
+              .map(([x, y]) => `${scaleX(x)},${scaleY(y)}`)
+              .join(" ")}
+            className={`line run-line run-${i}`}
+            fill="none"
+          />
+        ))}
       </svg>
     </div>
   );
 }
 
-function NationalChart({ interestSeries, islamicSeries }) {
+const NATIONAL_CHART_FIELDS = {
+  gdp: { short: "GDP", label: "GDP index over thirty years" },
+  inflation: { short: "Inflation", label: "Inflation (%)" },
+  unemployment: { short: "Unemployment", label: "Unemployment (%)" },
+  debtRatio: { short: "Debt", label: "Household debt to income (%)" },
+};
+
+// `field` fixes the series shown, as in the report, which prints one
+// chart per series; without it the chart has buttons to switch series
+function NationalChart({
+  field: fixedField,
+  interestSeries,
+  islamicSeries,
+  interestBands,
+  islamicBands,
+}) {
+  const [chosenField, setField] = useState("gdp");
+  const field = fixedField || chosenField;
+
   if (
     !interestSeries ||
     interestSeries.length === 0 ||
@@ -2421,10 +5422,20 @@ function NationalChart({ interestSeries, islamicSeries }) {
     );
   }
 
-  const maxGdp = [...interestSeries, ...islamicSeries].reduce(
-    (m, p) => Math.max(m, p.gdp),
-    0
-  );
+  const hasBands = Boolean(interestBands && islamicBands);
+  const values = [
+    ...interestSeries.map((p) => p[field]),
+    ...islamicSeries.map((p) => p[field]),
+    ...(hasBands
+      ? [...interestBands, ...islamicBands].flatMap((b) => [
+          b[`${field}P10`],
+          b[`${field}P90`],
+        ])
+      : []),
+  ];
+  const maxVal = Math.max(...values);
+  // GDP keeps its zero baseline, the other series zoom to their range
+  const minVal = field === "gdp" ? 0 : Math.min(...values);
   const width = 100;
   const height = 100;
   const padX = 5;
@@ -2435,25 +5446,64 @@ function NationalChart({ interestSeries, islamicSeries }) {
   const scaleX = (year) =>
     padX + ((width - 2 * padX) * year) / lastYear;
   const scaleY = (val) =>
-    height - padY - ((height - 2 * padY) * val) / (maxGdp || 1);
+    height -
+    padY -
+    ((height - 2 * padY) * (val - minVal)) / (maxVal - minVal || 1);
 
   const interestPoints = interestSeries
-    .map((p) => `${scaleX(p.year)},${scaleY(p.gdp)}`)
+    .map((p) => `${scaleX(p.year)},${scaleY(p[field])}`)
     .join(" ");
   const islamicPoints = islamicSeries
-    .map((p) => `${scaleX(p.year)},${scaleY(p.gdp)}`)
+    .map((p) => `${scaleX(p.year)},${scaleY(p[field])}`)
     .join(" ");
 
+  const bandPoints = (bands) =>
+    [
+      ...bands.map(
+        (b) => `${scaleX(b.year)},${scaleY(b[`${field}P90`])}`
+      ),
+      ...[...bands]
+        .reverse()
+        .map((b) => `${scaleX(b.year)},${scaleY(b[`${field}P10`])}`),
+    ].join(" ");
+
   return (
     <div className="chart-box">
       <div className="chart-header">
-        <span>GDP index over thirty years</span>
+        <span>{NATIONAL_CHART_FIELDS[field].label}</span>
         <div className="chart-legend">
           <span className="legend-item interest">Interest</span>
           <span className="legend-item islamic">Islamic</span>
         </div>
       </div>
+      {!fixedField && (
+        <div className="preset-row">
+          {Object.entries(NATIONAL_CHART_FIELDS).map(([key, cfg]) => (
+            <button
+              key={key}
+              className={
+                field === key ? "preset-btn active" : "preset-btn"
+              }
+              onClick={() => setField(key)}
+            >
+              {cfg.short}
+            </button>
+          ))}
+        </div>
+      )}
       <svg viewBox={`0 0 ${width} ${height}`} className="chart-svg">
+        {hasBands && (
+          <>
+            <polygon
+              points={bandPoints(interestBands)}
+              className="band interest-band"
+            />
+            <polygon
+              points={bandPoints(islamicBands)}
+              className="band islamic-band"
+            />
+          </>
+        )}
         <polyline
           points={interestPoints}
           className="line interest-line"
@@ -2466,9 +5516,9 @@ function NationalChart({ interestSeries, islamicSeries }) {
         />
       </svg>
       <p className="chart-note">
-        Stylised deterministic model for illustration, not a
-        forecast. UK mode uses average growth and volatility similar
-        to UK history.
+        {hasBands
+          ? "Lines show the median path, shaded fans the P10 to P90 range across simulated paths. Illustrative, not a forecast."
+          : "Stylised deterministic model for illustration, not a forecast. UK mode uses average growth and volatility similar to UK history."}
       </p>
     </div>
   );
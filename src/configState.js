@@ -0,0 +1,237 @@
+import {
+  SYSTEMS,
+  CALIBRATION_MODES,
+  SME_SECTORS,
+  BANK_SCENARIOS,
+  STABILITY_METHODS,
+  RENT_REVIEW_MODES,
+  MORTGAGE_PRODUCTS,
+  DEFAULT_RENT_REVIEW,
+  DEFAULT_MORTGAGE,
+  DEFAULT_BEHAVIOUR,
+  DEFAULT_LANDLORD,
+  LANDLORD_STRUCTURES,
+  HOUSING_REGIONS,
+  DEFAULT_SEED,
+  DEFAULT_SME_RUNS,
+  DEFAULT_SME_STRUCTURE,
+  DEFAULT_SME_RECESSION,
+  DEFAULT_SME_LIQUIDITY,
+  DEFAULT_SME_PORTFOLIO,
+  DEFAULT_PORTFOLIO_RUNS,
+  SME_PORTFOLIO_MIXES,
+  SME_STRUCTURES,
+  DEFAULT_NATIONAL_PATHS,
+  DEFAULT_HOUSEHOLD_PATHS,
+  normaliseScenario,
+} from "./engine";
+
+// Every simulator input, with the value the app starts from. The keys
+// are the App state names and double as URL query parameters.
+export const DEFAULT_CONFIG = {
+  system: "interest",
+  mode: "uk",
+  scenarioId: "baseline",
+  zakatPolicy: "standard",
+  sector: "services",
+  stabilityMethod: "volatility",
+  nationalStochastic: false,
+  nationalPaths: DEFAULT_NATIONAL_PATHS,
+  nationalSeed: DEFAULT_SEED,
+
+  salary: 55000,
+  deposit: 55000,
+  propertyValue: 270000,
+  termYears: CALIBRATION_MODES.uk.housing.termYearsDefault,
+  interestRate: CALIBRATION_MODES.uk.housing.mortgageRate * 100,
+  mortgageProduct: DEFAULT_MORTGAGE.product,
+  fixedYears: DEFAULT_MORTGAGE.fixedYears,
+  trackerMargin: DEFAULT_MORTGAGE.trackerMarginPercent,
+  revertMargin: DEFAULT_MORTGAGE.revertMarginPercent,
+  offsetSavings: DEFAULT_MORTGAGE.offsetSavings,
+  rentalYield: CALIBRATION_MODES.uk.housing.rentalYield * 100,
+  lumpSum: DEFAULT_BEHAVIOUR.lumpSum,
+  lumpSumYear: DEFAULT_BEHAVIOUR.lumpSumYear,
+  monthlyOverpayment: DEFAULT_BEHAVIOUR.monthlyOverpayment,
+  ercPercent: DEFAULT_BEHAVIOUR.ercPercent,
+  ercYears: DEFAULT_BEHAVIOUR.ercYears,
+  exitYear: DEFAULT_BEHAVIOUR.exitYear,
+  holidayYear: DEFAULT_BEHAVIOUR.holidayYear,
+  holidayMonths: DEFAULT_BEHAVIOUR.holidayMonths,
+  rentReviewMode: DEFAULT_RENT_REVIEW.mode,
+  rentReviewYears: DEFAULT_RENT_REVIEW.periodYears,
+  rentCap: DEFAULT_RENT_REVIEW.capPercent,
+  rentFloor: DEFAULT_RENT_REVIEW.floorPercent,
+  rentMargin: DEFAULT_RENT_REVIEW.marginPercent,
+  baseRatePath: "4, 3.75, 3.5, 3.5, 3.5",
+  ijara: false,
+  firstTimeBuyer: false,
+  purchaseMode: "owner",
+  btlRent: DEFAULT_LANDLORD.monthlyRent,
+  btlVoidMonths: DEFAULT_LANDLORD.voidMonths,
+  btlLettingPercent: DEFAULT_LANDLORD.lettingPercent,
+  btlRentGrowth: DEFAULT_LANDLORD.rentGrowthPercent,
+  btlStructure: DEFAULT_LANDLORD.structure,
+  btlTaxRate: DEFAULT_LANDLORD.taxRatePercent,
+  householdStochastic: false,
+  householdPaths: DEFAULT_HOUSEHOLD_PATHS,
+  householdSeed: DEFAULT_SEED,
+  housingRegion: "national",
+  activeHousePreset: "avg_buyer",
+
+  revenue: 250000,
+  marginPercent: CALIBRATION_MODES.uk.sme.marginDefault * 100,
+  financeRequired: 75000,
+  smeTermYears: 5,
+  smeSeed: DEFAULT_SEED,
+  smeRuns: DEFAULT_SME_RUNS,
+  smeStructure: DEFAULT_SME_STRUCTURE.structure,
+  smeProfitShare: DEFAULT_SME_STRUCTURE.profitSharePercent,
+  smeLossShare: DEFAULT_SME_STRUCTURE.lossSharePercent,
+  smeOwnerCapital: DEFAULT_SME_STRUCTURE.ownerCapitalPercent,
+  smeProfitCap: DEFAULT_SME_STRUCTURE.profitCapPercent,
+  smeMarkup: DEFAULT_SME_STRUCTURE.markupPercent,
+  smeCompareStructures: false,
+  smeRecessionMode: DEFAULT_SME_RECESSION.mode,
+  smeRecessionYear: DEFAULT_SME_RECESSION.startYear,
+  smeRecessionLength: DEFAULT_SME_RECESSION.lengthYears,
+  smeShockPersistence: DEFAULT_SME_RECESSION.persistence,
+  smeStartYear: DEFAULT_SME_RECESSION.scenarioStartYear,
+  smeLiquidity: DEFAULT_SME_LIQUIDITY.enabled,
+  smeOpeningCash: DEFAULT_SME_LIQUIDITY.openingCashPercent,
+  smeWorkingCapital: DEFAULT_SME_LIQUIDITY.workingCapitalPercent,
+  smeFacility: DEFAULT_SME_LIQUIDITY.facilityPercent,
+  smeOverdraftRate: DEFAULT_SME_LIQUIDITY.overdraftRatePercent,
+  smeCovenantCover: DEFAULT_SME_LIQUIDITY.covenantCover,
+  smeRestructure: DEFAULT_SME_LIQUIDITY.restructure,
+  activeSmePreset: "service_sme",
+  smePortfolio: false,
+  portfolioMix: "uk_book",
+  portfolioLoans: DEFAULT_SME_PORTFOLIO.loans,
+  portfolioRuns: DEFAULT_PORTFOLIO_RUNS,
+  portfolioMacroCorrelation: DEFAULT_SME_PORTFOLIO.macroCorrelationPercent,
+  portfolioSectorCorrelation: DEFAULT_SME_PORTFOLIO.sectorCorrelationPercent,
+  portfolioRecovery: DEFAULT_SME_PORTFOLIO.recoveryPercent,
+
+  bankAssets: 5000,
+  bankMurabaha: 40,
+  bankMusharakah: 30,
+  bankSukuk: 20,
+  bankCash: 10,
+  bankMudarabah: 60,
+  bankCurrent: 20,
+  bankEquity: 20,
+  bankScenario: "normal",
+};
+
+// Allowed values for string fields; anything else in a URL is ignored.
+const CHOICES = {
+  system: Object.keys(SYSTEMS),
+  mode: Object.keys(CALIBRATION_MODES),
+  zakatPolicy: ["standard", "enhanced"],
+  sector: Object.keys(SME_SECTORS),
+  stabilityMethod: Object.keys(STABILITY_METHODS),
+  rentReviewMode: Object.keys(RENT_REVIEW_MODES),
+  mortgageProduct: Object.keys(MORTGAGE_PRODUCTS),
+  purchaseMode: ["owner", "landlord"],
+  btlStructure: Object.keys(LANDLORD_STRUCTURES),
+  housingRegion: Object.keys(HOUSING_REGIONS),
+  smeStructure: Object.keys(SME_STRUCTURES),
+  smeRecessionMode: ["fixed", "scenario"],
+  portfolioMix: Object.keys(SME_PORTFOLIO_MIXES),
+  bankScenario: Object.keys(BANK_SCENARIOS),
+};
+
+// Preset ids may legitimately be null ("Custom")
+const NULLABLE = new Set(["activeHousePreset", "activeSmePreset"]);
+
+function parseField(key, raw) {
+  const fallback = DEFAULT_CONFIG[key];
+  if (NULLABLE.has(key)) return raw === "" ? null : raw;
+  if (typeof fallback === "boolean") return raw === "1" || raw === "true";
+  if (typeof fallback === "number") {
+    const n = Number(raw);
+    return Number.isFinite(n) ? n : undefined;
+  }
+  if (CHOICES[key] && !CHOICES[key].includes(raw)) return undefined;
+  return raw;
+}
+
+function formatField(value) {
+  if (value === null) return "";
+  if (typeof value === "boolean") return value ? "1" : "0";
+  return String(value);
+}
+
+/**
+ * Serialise a configuration to a query string. Only values that differ
+ * from DEFAULT_CONFIG are written, so links stay short. A custom macro
+ * scenario travels with the link because the recipient will not have
+ * it saved.
+ *
+ * @param {object} config Values keyed like DEFAULT_CONFIG.
+ * @param {object} [customScenario] The active custom scenario, if any.
+ * @returns {string} Query string without the leading "?".
+ */
+export function configToSearch(config, customScenario) {
+  const params = new URLSearchParams();
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (!(key in config) || config[key] === DEFAULT_CONFIG[key]) continue;
+    params.set(key, formatField(config[key]));
+  }
+  if (customScenario) {
+    params.set("customScenario", JSON.stringify(customScenario));
+  }
+  return params.toString();
+}
+
+/**
+ * Validate a configuration object, such as a saved run's, with the same
+ * rules as a query string: unknown keys and invalid values are dropped,
+ * so the result can be spread over DEFAULT_CONFIG.
+ *
+ * @param {object} saved Values keyed like DEFAULT_CONFIG.
+ * @returns {object}
+ */
+export function configFromObject(saved) {
+  const config = {};
+  if (!saved || typeof saved !== "object") return config;
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    const raw = saved[key];
+    const scalar = ["string", "number", "boolean"].includes(typeof raw);
+    if (!scalar && !(raw === null && NULLABLE.has(key))) continue;
+    const value = parseField(key, formatField(raw));
+    if (value !== undefined) config[key] = value;
+  }
+  return config;
+}
+
+/**
+ * Read a configuration back from a query string. Unknown keys and
+ * invalid values are dropped, so the result can be spread over
+ * DEFAULT_CONFIG.
+ *
+ * @param {string} search e.g. window.location.search
+ * @returns {{ config: object, customScenario: object | null }}
+ */
+export function configFromSearch(search) {
+  const params = new URLSearchParams(search);
+  const config = {};
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (!params.has(key)) continue;
+    const value = parseField(key, params.get(key));
+    if (value !== undefined) config[key] = value;
+  }
+
+  let customScenario = null;
+  if (params.has("customScenario")) {
+    try {
+      customScenario = normaliseScenario(
+        JSON.parse(params.get("customScenario"))
+      );
+    } catch {
+      customScenario = null;
+    }
+  }
+  return { config, customScenario };
+}
@@ -0,0 +1,175 @@
+import { LTV_BANDS } from "./config.js";
+
+/* ============= AFFORDABILITY ============= */
+
+// Monthly payment per pound borrowed on an annuity mortgage
+function annuityFactor(annualRate, months) {
+  const r = annualRate / 12;
+  if (r === 0) return 1 / months;
+  return r / (1 - Math.pow(1 + r, -months));
+}
+
+// Bands in the order a lender works through them, with their LTV limits
+function bandsFor(housing) {
+  return LTV_BANDS.map((band) => ({
+    ...band,
+    maxLTV: housing[band.ltvKey] || 0,
+  })).filter((band) => band.maxLTV > 0);
+}
+
+/**
+ * Check whether a lender would offer each product for these household
+ * inputs, the way a UK affordability assessment does. The loan must fit
+ * an LTV band (see LTV_BANDS), stay within that band's loan to income
+ * cap, and the payment at a stressed rate must be no more than
+ * `maxStressedPti` of net income.
+ *
+ * The mortgage is stressed at `mortgageRateStress` or the contract rate,
+ * whichever is higher; the musharakah rental yield is stressed by the
+ * same number of points. Musharakah rent falls as the bank's share is
+ * bought out, so, as in the risk rating, it is judged on the average
+ * payment over the term rather than the first. With `input.ijara` the
+ * ijara is assessed too, on its level payment at the stressed rental
+ * yield, and like the musharakah only in the bands open to Islamic
+ * finance.
+ *
+ * @param {object} input calculateHouseholdMetrics input; salary,
+ *   deposit, propertyValue, termYears, interestRatePercent,
+ *   rentalYieldPercent, ijara and calibration are used.
+ * @returns {{
+ *   loan: number,
+ *   ltv: number,
+ *   lti: number,
+ *   band: { id: string, label: string, maxLTV: number, ltiCap: number } | null,
+ *   stressRate: number,
+ *   stressYield: number,
+ *   paymentLimit: number,
+ *   interest: ProductAffordability,
+ *   islamic: ProductAffordability,
+ *   ijara?: ProductAffordability,
+ * }} with ltv, stressRate and stressYield in percent and paymentLimit in
+ *   £ per month, where ProductAffordability is `{ offered, reasons,
+ *   stressedPayment, stressedPti, maxLoan, maxPropertyValue }`:
+ *   `reasons` lists each failed test as a sentence, stressedPti is a
+ *   percentage of net income, and maxPropertyValue is the dearest home
+ *   the deposit and salary could buy with that product.
+ */
+export function assessAffordability(input) {
+  const { salary, deposit, propertyValue, termYears, calibration } = input;
+  const housing = calibration?.housing || {};
+  const P = Math.max(Number(propertyValue) || 0, 0);
+  const D = Math.max(Number(deposit) || 0, 0);
+  const income = Number(salary) || housing.medianGrossIncome || 45000;
+  const months =
+    (Number(termYears) || housing.termYearsDefault || 25) * 12;
+
+  const contractRate =
+    (Number(input.interestRatePercent) || 0) / 100 ||
+    housing.mortgageRate ||
+    0.05;
+  const rentalYield =
+    (Number(input.rentalYieldPercent) || 0) / 100 ||
+    housing.rentalYield ||
+    0.04;
+  const stressRate = Math.max(
+    housing.mortgageRateStress ?? contractRate + 0.03,
+    contractRate
+  );
+  const stressYield = rentalYield + (stressRate - contractRate);
+
+  const disposableRatio =
+    housing.medianDisposableIncome && housing.medianGrossIncome
+      ? housing.medianDisposableIncome / housing.medianGrossIncome
+      : 0.75;
+  const ptiLimit = housing.maxStressedPti ?? 0.45;
+  const netMonthly = (income * disposableRatio) / 12;
+  const paymentLimit = ptiLimit * netMonthly;
+
+  const loan = Math.max(P - D, 0);
+  const ltv = P > 0 ? loan / P : 0;
+  const lti = loan / income;
+  const bands = bandsFor(housing);
+  const band = bands.find((b) => ltv <= b.maxLTV + 1e-9) || null;
+
+  const pct = (x) => `${(x * 100).toFixed(1)}%`;
+
+  const assess = (perPound, islamic) => {
+    const allowed = bands.filter((b) => !islamic || b.islamic);
+    const topLTV = allowed.length
+      ? allowed[allowed.length - 1].maxLTV
+      : 0;
+    const productBand = allowed.find((b) => ltv <= b.maxLTV + 1e-9);
+    const stressedPayment = loan * perPound;
+    const stressedPti =
+      netMonthly > 0 ? (stressedPayment / netMonthly) * 100 : Infinity;
+    const stressMaxLoan = paymentLimit / perPound;
+
+    const reasons = [];
+    if (!productBand) {
+      reasons.push(
+        `LTV ${pct(ltv)} is above the ${pct(topLTV)} maximum.`
+      );
+    } else if (lti > productBand.ltiCap + 1e-9) {
+      reasons.push(
+        `Loan is ${lti.toFixed(1)}× income, above the ${
+          productBand.ltiCap
+        }× cap for the ${productBand.label} band.`
+      );
+    }
+    if (stressedPayment > paymentLimit + 1e-6) {
+      reasons.push(
+        `Stressed payment is ${stressedPti.toFixed(
+          1
+        )}% of net income, above the ${(ptiLimit * 100).toFixed(
+          0
+        )}% limit.`
+      );
+    }
+
+    // The best band is the one that lets the deposit go furthest: lower
+    // bands need a bigger deposit share, higher ones cap income harder
+    let maxPropertyValue = 0;
+    let maxLoan = 0;
+    for (const b of allowed) {
+      const byLtv = b.maxLTV < 1 ? D / (1 - b.maxLTV) : Infinity;
+      const bandLoan = Math.min(b.ltiCap * income, stressMaxLoan);
+      const value = Math.min(byLtv, D + bandLoan);
+      if (value > maxPropertyValue) {
+        maxPropertyValue = value;
+        maxLoan = value - D;
+      }
+    }
+
+    return {
+      offered: loan > 0 && reasons.length === 0,
+      reasons,
+      stressedPayment,
+      stressedPti,
+      maxLoan,
+      maxPropertyValue,
+    };
+  };
+
+  return {
+    loan,
+    ltv: ltv * 100,
+    lti,
+    band: band
+      ? {
+          id: band.id,
+          label: band.label,
+          maxLTV: band.maxLTV,
+          ltiCap: band.ltiCap,
+        }
+      : null,
+    stressRate: stressRate * 100,
+    stressYield: stressYield * 100,
+    paymentLimit,
+    interest: assess(annuityFactor(stressRate, months), false),
+    // rent on half the starting share on average, plus acquisition
+    islamic: assess(stressYield / 24 + 1 / months, true),
+    ...(input.ijara && {
+      ijara: assess(annuityFactor(stressYield, months), true),
+    }),
+  };
+}
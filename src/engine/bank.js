@@ -0,0 +1,125 @@
+import { BANK_SCENARIOS } from "./config.js";
+import { clamp } from "./math.js";
+
+/* ============= BANK BALANCE SHEET SIM ============= */
+
+/**
+ * Stylised balance sheet stress test. Asset and funding mixes are
+ * percentages that are normalised internally. Ratios are fractions,
+ * shortfallProb is on a 0–100 scale.
+ *
+ * @param {"interest" | "islamic"} system
+ * @param {object} inputs
+ * @param {number} inputs.totalAssets Total assets in pounds.
+ * @param {number} inputs.murabahaPct
+ * @param {number} inputs.musharakahPct
+ * @param {number} inputs.sukukPct
+ * @param {number} inputs.cashPct
+ * @param {number} inputs.mudarabahPct
+ * @param {number} inputs.currentPct
+ * @param {number} inputs.equityPct
+ * @param {string} inputs.scenarioKey A key of BANK_SCENARIOS.
+ * @returns {{
+ *   capitalRatio: number,
+ *   liquidityRatio: number,
+ *   lossRatio: number,
+ *   lossCoverRatio: number,
+ *   shortfallProb: number,
+ * }}
+ */
+export function simulateBankSystem(system, inputs) {
+  const {
+    totalAssets,
+    murabahaPct,
+    musharakahPct,
+    sukukPct,
+    cashPct,
+    mudarabahPct,
+    currentPct,
+    equityPct,
+    scenarioKey,
+  } = inputs;
+
+  const scenario = BANK_SCENARIOS[scenarioKey] || BANK_SCENARIOS.normal;
+  const A = totalAssets || 0;
+  if (!A) {
+    return {
+      capitalRatio: 0,
+      liquidityRatio: 0,
+      lossRatio: 0,
+      lossCoverRatio: 0,
+      shortfallProb: 0,
+    };
+  }
+
+  const assetTotalPct =
+    murabahaPct + musharakahPct + sukukPct + cashPct || 1;
+  const murabahaShare = murabahaPct / assetTotalPct;
+  const musharakahShare = musharakahPct / assetTotalPct;
+  const sukukShare = sukukPct / assetTotalPct;
+  const cashShare = cashPct / assetTotalPct;
+
+  const fundTotalPct =
+    mudarabahPct + currentPct + equityPct || 1;
+  const equityShare = equityPct / fundTotalPct;
+
+  const murabaha = A * murabahaShare;
+  const musharakah = A * musharakahShare;
+  const sukuk = A * sukukShare;
+  const cash = A * cashShare;
+
+  const rwa =
+    murabaha * 0.75 +
+    musharakah * 1.0 +
+    sukuk * 0.2 +
+    cash * 0.0;
+
+  const equity = A * equityShare;
+  const capitalRatio = rwa > 0 ? equity / rwa : 0;
+
+  const hqla = sukuk + cash;
+  const liquidityRatio = hqla / A;
+
+  const basePdFactor =
+    system === "interest"
+      ? scenario.pdMultiplierInterest
+      : scenario.pdMultiplierIslamic;
+
+  let basePdMurabaha = system === "interest" ? 0.03 : 0.02;
+  let basePdMusharakah = system === "interest" ? 0.06 : 0.05;
+  let basePdSukuk = system === "interest" ? 0.007 : 0.005;
+
+  const pdMurabaha = basePdMurabaha * basePdFactor;
+  const pdMusharakah = basePdMusharakah * basePdFactor;
+  const pdSukuk = basePdSukuk * basePdFactor;
+
+  const lgd = 0.4;
+
+  const lossMurabaha = murabaha * pdMurabaha * lgd;
+  const lossMusharakah = musharakah * pdMusharakah * lgd;
+  const lossSukuk = sukuk * pdSukuk * lgd;
+
+  const totalLoss = lossMurabaha + lossMusharakah + lossSukuk;
+  const lossRatio = totalLoss / A;
+
+  const lossCoverRatio = totalLoss > 0 ? equity / totalLoss : 999;
+
+  const shortfallProbRaw =
+    totalLoss <= 0
+      ? 0
+      : clamp(1 / (lossCoverRatio + 0.1), 0, 1);
+  const shortfallProb =
+    scenarioKey === "severe"
+      ? shortfallProbRaw * 1.4
+      : scenarioKey === "stress"
+      ? shortfallProbRaw * 1.1
+      : shortfallProbRaw;
+
+  return {
+    capitalRatio,
+    liquidityRatio,
+    lossRatio,
+    lossCoverRatio,
+    shortfallProb: clamp(shortfallProb * 100, 0, 100),
+  };
+}
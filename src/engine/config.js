@@ -0,0 +1,725 @@
+export const SYSTEMS = {
+  interest: "UK Interest System",
+  islamic: "Islamic System",
+};
+
+export const CALIBRATION_MODES = {
+  stylised: {
+    label: "Stylised",
+    description: "Smooth, educational parameters not tied to a specific country.",
+    housing: {
+      housePriceGrowth: 0.02,
+      rentalYield: 0.04,
+      annualDefaultProb: 0.004,
+      ptiStress: 0.38,
+      medianGrossIncome: 45000,
+      medianDisposableIncome: 30000,
+      mortgageRateStress: 0.07,
+      maxStressedPti: 0.45,
+      averageLTV: 0.8,
+      ftbLTV: 0.9,
+      highRiskLTV: 0.95,
+      housePriceVolatility: 0.05,
+      incomeGrowth: 0.025,
+      incomeVolatility: 0.03,
+      jobLossProb: 0.03,
+      unemploymentMonths: 6,
+    },
+    sme: {
+      survival5yrInterest: 0.4,
+      annualInsolvency: 0.005,
+      loanRate: 0.07,
+      recessionShock: -0.35,
+      revenueVolatility: 0.12,
+      marginDefault: 0.15,
+    },
+    macro: {
+      gdpGrowth: 0.02,
+      gdpVolatility: 0.02,
+      inflationAvg: 0.025,
+      inflationVolatility: 0.012,
+      inflationTarget: 0.02,
+      baseRate: 0.04,
+      householdDebtIncome: 1.0,
+      privateCreditGDP: 1.0,
+      smeEmploymentShare: 0.6,
+    },
+  },
+  uk: {
+    label: "UK calibrated",
+    description:
+      "Parameters anchored to typical UK averages for mortgages, SMEs and macro series.",
+    housing: {
+      mortgageRate: 0.047,
+      mortgageRateStress: 0.06,
+      maxStressedPti: 0.5,
+      mortgageRateLow: 0.039,
+      termYearsDefault: 30,
+      averageLTV: 0.82,
+      ftbLTV: 0.88,
+      highRiskLTV: 0.95,
+      housePriceGrowth: 0.033,
+      rentalYield: 0.055,
+      annualDefaultProb: 0.006,
+      ptiStress: 0.4,
+      medianGrossIncome: 55200,
+      medianDisposableIncome: 34500,
+      housePriceVolatility: 0.07,
+      incomeGrowth: 0.03,
+      incomeVolatility: 0.04,
+      jobLossProb: 0.035,
+      unemploymentMonths: 6,
+    },
+    sme: {
+      survival5yrInterest: 0.41,
+      annualInsolvency: 0.0053,
+      loanRate: 0.076,
+      recessionShock: -0.4,
+      revenueVolatility: 0.15,
+      marginDefault: 0.15,
+    },
+    macro: {
+      gdpGrowth: 0.022,
+      gdpVolatility: 0.025,
+      inflationAvg: 0.03,
+      inflationVolatility: 0.013,
+      inflationTarget: 0.02,
+      baseRate: 0.04,
+      householdDebtIncome: 1.18,
+      privateCreditGDP: 1.14,
+      smeEmploymentShare: 0.6,
+    },
+  },
+};
+
+// Loan to value bands a lender works through, using the calibration's
+// LTV limits. Lenders lend less against income as the deposit shrinks,
+// and Islamic home purchase plans are not offered in the top band.
+export const LTV_BANDS = [
+  {
+    id: "standard",
+    label: "Standard",
+    ltvKey: "averageLTV",
+    ltiCap: 4.5,
+    islamic: true,
+  },
+  {
+    id: "first_time",
+    label: "First-time buyer",
+    ltvKey: "ftbLTV",
+    ltiCap: 4.5,
+    islamic: true,
+  },
+  {
+    id: "high_ltv",
+    label: "High LTV",
+    ltvKey: "highRiskLTV",
+    ltiCap: 4,
+    islamic: false,
+  },
+];
+
+// Stamp duty land tax for a main residence in England: each rate applies
+// to the slice of the price up to `upTo`. First-time buyers pay nothing
+// up to £300,000 and 5% up to £500,000, but only on homes priced at
+// £500,000 or less.
+export const SDLT_BANDS = [
+  { upTo: 125000, rate: 0 },
+  { upTo: 250000, rate: 0.02 },
+  { upTo: 925000, rate: 0.05 },
+  { upTo: 1500000, rate: 0.1 },
+  { upTo: Infinity, rate: 0.12 },
+];
+export const SDLT_FTB = {
+  maxPrice: 500000,
+  bands: [
+    { upTo: 300000, rate: 0 },
+    { upTo: 500000, rate: 0.05 },
+  ],
+};
+
+// Extra stamp duty on an additional dwelling, such as a buy-to-let, on
+// top of the standard rates
+export const SDLT_SURCHARGE = 0.05;
+
+const LBTT_BANDS = [
+  { upTo: 145000, rate: 0 },
+  { upTo: 250000, rate: 0.02 },
+  { upTo: 325000, rate: 0.05 },
+  { upTo: 750000, rate: 0.1 },
+  { upTo: Infinity, rate: 0.12 },
+];
+
+const surcharged = (bands, rate) =>
+  bands.map((band) => ({ ...band, rate: band.rate + rate }));
+
+// The tax on buying a home in each nation, keyed by HOUSING_REGIONS
+// taxRegime, in the same slices as SDLT_BANDS. England and Northern
+// Ireland pay SDLT. Scotland pays LBTT, where first-time buyers' nil
+// band rises to £175,000 at any price and an additional dwelling pays an
+// 8% supplement. Wales pays LTT, with no first-time buyer relief and a
+// separate higher scale for additional dwellings. firstTimeBuyer is
+// null where there is no relief.
+export const STAMP_DUTY_REGIMES = {
+  england: {
+    id: "england",
+    label: "SDLT",
+    bands: SDLT_BANDS,
+    firstTimeBuyer: SDLT_FTB,
+    additionalBands: surcharged(SDLT_BANDS, SDLT_SURCHARGE),
+  },
+  scotland: {
+    id: "scotland",
+    label: "LBTT",
+    bands: LBTT_BANDS,
+    firstTimeBuyer: {
+      maxPrice: Infinity,
+      bands: [{ upTo: 175000, rate: 0 }, ...LBTT_BANDS.slice(1)],
+    },
+    additionalBands: surcharged(LBTT_BANDS, 0.08),
+  },
+  wales: {
+    id: "wales",
+    label: "LTT",
+    bands: [
+      { upTo: 225000, rate: 0 },
+      { upTo: 400000, rate: 0.06 },
+      { upTo: 750000, rate: 0.075 },
+      { upTo: 1500000, rate: 0.1 },
+      { upTo: Infinity, rate: 0.12 },
+    ],
+    firstTimeBuyer: null,
+    additionalBands: [
+      { upTo: 180000, rate: 0.05 },
+      { upTo: 250000, rate: 0.085 },
+      { upTo: 400000, rate: 0.1 },
+      { upTo: 750000, rate: 0.125 },
+      { upTo: 1500000, rate: 0.15 },
+      { upTo: Infinity, rate: 0.17 },
+    ],
+  },
+};
+
+// How a landlord holds the property, which decides the tax on rental
+// profit. Individuals cannot deduct finance costs, mortgage interest or
+// the profit element of alternative finance alike, and get a basic rate
+// credit on them instead; companies deduct them and pay corporation tax.
+export const LANDLORD_STRUCTURES = {
+  individual: {
+    id: "individual",
+    label: "Individual",
+    description:
+      "Rental profit taxed at your marginal rate; finance costs earn a 20% tax credit instead of a deduction.",
+    financeDeductible: false,
+    financeCredit: 0.2,
+  },
+  company: {
+    id: "company",
+    label: "Company",
+    description:
+      "Rental profit taxed at the 25% corporation tax rate after deducting finance costs.",
+    financeDeductible: true,
+    financeCredit: 0,
+    taxRate: 0.25,
+  },
+};
+
+// Buy-to-let underwriting: rent must cover the finance cost at a
+// stressed rate by `icr`, or `icrHigherRate` for higher rate taxpayers
+// holding personally.
+export const BTL_LENDING = {
+  maxLTV: 0.75,
+  stressFloor: 0.055,
+  stressAdd: 0.02,
+  icr: 1.25,
+  icrHigherRate: 1.45,
+};
+
+// One-off and running costs of owning the home besides the monthly
+// payment. Insurance and maintenance are shares of the house value per
+// year; `majorMaintenanceShare` is the structural part an owner is
+// liable for.
+export const OWNERSHIP_COSTS = {
+  interest: {
+    arrangementFee: 999,
+    valuationFee: 400,
+    legalFees: 1500,
+  },
+  islamic: {
+    arrangementFee: 1499,
+    valuationFee: 500,
+    legalFees: 2500,
+  },
+  insuranceRate: 0.001,
+  maintenanceRate: 0.01,
+  majorMaintenanceShare: 0.5,
+};
+
+// Regional housing calibration for UK mode. Each set replaces the
+// national figures in CALIBRATION_MODES.uk.housing; averagePrice scales
+// the household presets. Typical recent ONS and Land Registry levels:
+// median gross household income, long-run house price growth and its
+// volatility, and the gross rental yield a home purchase plan prices off.
+// taxRegime picks the STAMP_DUTY_REGIMES entry, England's when absent.
+export const HOUSING_REGIONS = {
+  national: {
+    id: "national",
+    label: "UK average",
+    averagePrice: 270000,
+    housing: {},
+  },
+  london: {
+    id: "london",
+    label: "London",
+    averagePrice: 520000,
+    housing: {
+      medianGrossIncome: 71000,
+      medianDisposableIncome: 43000,
+      housePriceGrowth: 0.038,
+      housePriceVolatility: 0.09,
+      rentalYield: 0.045,
+    },
+  },
+  south_east: {
+    id: "south_east",
+    label: "South East",
+    averagePrice: 380000,
+    housing: {
+      medianGrossIncome: 60000,
+      medianDisposableIncome: 37500,
+      housePriceGrowth: 0.035,
+      housePriceVolatility: 0.075,
+      rentalYield: 0.048,
+    },
+  },
+  midlands: {
+    id: "midlands",
+    label: "Midlands",
+    averagePrice: 245000,
+    housing: {
+      medianGrossIncome: 50000,
+      medianDisposableIncome: 32000,
+      housePriceGrowth: 0.033,
+      housePriceVolatility: 0.065,
+      rentalYield: 0.057,
+    },
+  },
+  north_west: {
+    id: "north_west",
+    label: "North West",
+    averagePrice: 210000,
+    housing: {
+      medianGrossIncome: 49000,
+      medianDisposableIncome: 31500,
+      housePriceGrowth: 0.032,
+      housePriceVolatility: 0.065,
+      rentalYield: 0.062,
+    },
+  },
+  north_east: {
+    id: "north_east",
+    label: "North East",
+    averagePrice: 160000,
+    housing: {
+      medianGrossIncome: 45000,
+      medianDisposableIncome: 29500,
+      housePriceGrowth: 0.025,
+      housePriceVolatility: 0.06,
+      rentalYield: 0.068,
+    },
+  },
+  wales: {
+    id: "wales",
+    label: "Wales",
+    averagePrice: 215000,
+    taxRegime: "wales",
+    housing: {
+      medianGrossIncome: 46000,
+      medianDisposableIncome: 30000,
+      housePriceGrowth: 0.03,
+      housePriceVolatility: 0.065,
+      rentalYield: 0.06,
+    },
+  },
+  scotland: {
+    id: "scotland",
+    label: "Scotland",
+    averagePrice: 190000,
+    taxRegime: "scotland",
+    housing: {
+      medianGrossIncome: 50000,
+      medianDisposableIncome: 32000,
+      housePriceGrowth: 0.026,
+      housePriceVolatility: 0.06,
+      rentalYield: 0.063,
+    },
+  },
+  northern_ireland: {
+    id: "northern_ireland",
+    label: "Northern Ireland",
+    averagePrice: 180000,
+    housing: {
+      medianGrossIncome: 46000,
+      medianDisposableIncome: 30000,
+      housePriceGrowth: 0.028,
+      housePriceVolatility: 0.08,
+      rentalYield: 0.06,
+    },
+  },
+};
+
+export const HOUSEHOLD_PRESETS = [
+  {
+    id: "avg_buyer",
+    label: "Average buyer",
+    salary: 55000,
+    deposit: 55000,
+    propertyValue: 270000,
+    termYears: 30,
+    interestRate: 4.7,
+    rentalYield: 5.5,
+  },
+  {
+    id: "high_ltv",
+    label: "High LTV buyer",
+    salary: 50000,
+    deposit: 20000,
+    propertyValue: 270000,
+    termYears: 35,
+    interestRate: 5.2,
+    rentalYield: 5.7,
+  },
+  {
+    id: "stressed_rates",
+    label: "Rate shock",
+    salary: 55000,
+    deposit: 60000,
+    propertyValue: 270000,
+    termYears: 30,
+    interestRate: 6.0,
+    rentalYield: 5.5,
+  },
+];
+
+export const SME_PRESETS = [
+  {
+    id: "service_sme",
+    label: "Service business",
+    revenue: 250000,
+    marginPercent: 18,
+    financeRequired: 75000,
+    termYears: 5,
+  },
+  {
+    id: "retail_sme",
+    label: "Retail shop",
+    revenue: 400000,
+    marginPercent: 12,
+    financeRequired: 150000,
+    termYears: 7,
+  },
+  {
+    id: "growth_sme",
+    label: "High growth",
+    revenue: 600000,
+    marginPercent: 22,
+    financeRequired: 200000,
+    termYears: 6,
+  },
+];
+
+export const SME_SECTORS = {
+  services: {
+    label: "Services",
+    baseMargin: 0.18,
+    revenueVolatility: 0.12,
+    recessionShock: -0.35,
+  },
+  retail: {
+    label: "Retail",
+    baseMargin: 0.10,
+    revenueVolatility: 0.18,
+    recessionShock: -0.45,
+  },
+  manufacturing: {
+    label: "Manufacturing",
+    baseMargin: 0.15,
+    revenueVolatility: 0.20,
+    recessionShock: -0.5,
+  },
+  food: {
+    label: "Food & hospitality",
+    baseMargin: 0.12,
+    revenueVolatility: 0.22,
+    recessionShock: -0.55,
+  },
+  tech: {
+    label: "Tech / creative",
+    baseMargin: 0.22,
+    revenueVolatility: 0.25,
+    recessionShock: -0.4,
+  },
+};
+
+// Sector mixes for the SME portfolio, as percentages of the loans. A null
+// `weights` puts the whole book in the sector selected for the single
+// business, to show the effect of concentration.
+export const SME_PORTFOLIO_MIXES = {
+  uk_book: {
+    id: "uk_book",
+    label: "UK SME book",
+    weights: {
+      services: 40,
+      retail: 20,
+      manufacturing: 15,
+      food: 15,
+      tech: 10,
+    },
+  },
+  even: {
+    id: "even",
+    label: "Even split",
+    weights: {
+      services: 20,
+      retail: 20,
+      manufacturing: 20,
+      food: 20,
+      tech: 20,
+    },
+  },
+  cyclical: {
+    id: "cyclical",
+    label: "Cyclical heavy",
+    weights: {
+      services: 10,
+      retail: 25,
+      manufacturing: 30,
+      food: 25,
+      tech: 10,
+    },
+  },
+  single: {
+    id: "single",
+    label: "Selected sector only",
+    weights: null,
+  },
+};
+
+// Islamic SME finance structures. `key` names the owner income fields in
+// the SME income curve (ownerMudarabah and so on). Profit share
+// structures pay the bank a share of positive profit; loss sharing
+// applies to musharakah, scaled with the profit by the bank's part of the
+// partnership capital, while under mudarabah the bank as sole capital
+// provider takes its share of the whole profit and bears every loss. Murabaha and ijara use the markup rate.
+export const SME_STRUCTURES = {
+  profit_share: {
+    id: "profit_share",
+    label: "Flat profit share",
+    key: "ProfitShare",
+    description:
+      "The bank takes a share of each year's profit for the term, with no cap, no loss sharing and no return of capital.",
+  },
+  mudarabah: {
+    id: "mudarabah",
+    label: "Mudarabah",
+    key: "Mudarabah",
+    description:
+      "The bank provides the capital and takes a share of profit. Losses fall on the bank's capital, and what is left of it is repaid from reserves at the end of the term.",
+  },
+  musharakah: {
+    id: "musharakah",
+    label: "Musharakah",
+    key: "Musharakah",
+    description:
+      "A partnership beside the owner's own capital: the bank takes its profit share and bears the loss sharing percentage of any loss on its part of the capital, with its remaining capital repaid from reserves at the end of the term.",
+  },
+  diminishing_musharakah: {
+    id: "diminishing_musharakah",
+    label: "Diminishing musharakah",
+    key: "Diminishing",
+    description:
+      "The owner buys the bank's stake back in equal yearly instalments. Profit and loss are shared in proportion to the stake the bank still holds.",
+  },
+  murabaha: {
+    id: "murabaha",
+    label: "Murabaha",
+    key: "Murabaha",
+    description:
+      "The bank buys the assets and sells them on at cost plus a fixed markup a year, paid in equal instalments. Late payments carry no extra charge.",
+  },
+  ijara: {
+    id: "ijara",
+    label: "Ijara",
+    key: "Ijara",
+    description:
+      "The bank leases equipment to the business. Rent covers the cost over the term plus the markup on the cost not yet recovered, and ownership passes at the end.",
+  },
+};
+
+// Each shock is active for `duration` years from `startYear` (1–30) and
+// adds to GDP growth and inflation (percentage points), unemployment
+// (points per year) and government borrowing cost (percentage points).
+// recessionShockFactor scales the sector recession in the SME module.
+export const SCENARIOS = {
+  baseline: {
+    id: "baseline",
+    label: "Baseline cycle",
+    description: "Normal ups and downs with one moderate recession.",
+    recessionShockFactor: 1,
+    shocks: [],
+  },
+  severe: {
+    id: "severe",
+    label: "Severe crisis",
+    description:
+      "Deep recession similar in scale to 2008 to test system resilience.",
+    recessionShockFactor: 1.5,
+    shocks: [
+      {
+        startYear: 10,
+        duration: 2,
+        gdpShock: -3,
+        inflationShock: 1,
+        unemploymentJump: 0.8,
+        borrowingPremium: 0.5,
+      },
+    ],
+  },
+  stagflation_pandemic: {
+    id: "stagflation_pandemic",
+    label: "Stagflation then pandemic",
+    description:
+      "A three year 1970s style stagflation followed later by a short, sharp pandemic style collapse.",
+    recessionShockFactor: 1.6,
+    shocks: [
+      {
+        startYear: 6,
+        duration: 3,
+        gdpShock: -1.5,
+        inflationShock: 4,
+        unemploymentJump: 0.6,
+        borrowingPremium: 1.5,
+      },
+      {
+        startYear: 18,
+        duration: 1,
+        gdpShock: -9,
+        inflationShock: -0.5,
+        unemploymentJump: 2,
+        borrowingPremium: 0.3,
+      },
+    ],
+  },
+};
+
+export const EMPTY_SHOCK = {
+  startYear: 10,
+  duration: 2,
+  gdpShock: -3,
+  inflationShock: 1,
+  unemploymentJump: 0.8,
+  borrowingPremium: 0.5,
+};
+
+export const STABILITY_METHODS = {
+  volatility: {
+    id: "volatility",
+    label: "Volatility",
+    description:
+      "Standard deviation of annual GDP growth and inflation over the thirty years, relative to the calibrated historical volatility. A flat path scores 100 and a path as volatile as history scores 50.",
+  },
+  deviation: {
+    id: "deviation",
+    label: "Deviation from target",
+    description:
+      "Root mean square gap between annual GDP growth and trend growth, and between inflation and the 2 percent target. Penalises persistent misses as well as swings. A gap the size of historical volatility scores 50.",
+  },
+  band: {
+    id: "band",
+    label: "Years in band",
+    description:
+      "Share of years in which GDP growth is positive, and share of years in which inflation stays within one point of target.",
+  },
+};
+
+export const MORTGAGE_PRODUCTS = {
+  fixed: {
+    id: "fixed",
+    label: "Fixed",
+    description:
+      "One rate for the whole term, so the payment never changes.",
+  },
+  fixed_revert: {
+    id: "fixed_revert",
+    label: "Fixed then revert",
+    description:
+      "The entered rate for the fixed period, then the standard variable rate: the base rate path plus the revert margin. This is how most UK borrowers end up after a 2 or 5 year fix.",
+  },
+  tracker: {
+    id: "tracker",
+    label: "Tracker",
+    description:
+      "The base rate path plus a margin for the whole term. The payment is recalculated each time the rate moves.",
+  },
+  offset: {
+    id: "offset",
+    label: "Offset",
+    description:
+      "A fixed rate, but savings held in a linked account are netted off the balance before interest is charged. The payment stays the same, so the loan clears early.",
+  },
+};
+
+export const RENT_REVIEW_MODES = {
+  fixed: {
+    id: "fixed",
+    label: "Fixed",
+    description:
+      "Rent stays at the starting yield on the purchase price for the whole term.",
+  },
+  benchmark: {
+    id: "benchmark",
+    label: "Benchmark",
+    description:
+      "At each review the rental yield resets to the base rate path plus a margin, as most UK home purchase plans do.",
+  },
+  cpi: {
+    id: "cpi",
+    label: "CPI",
+    description:
+      "At each review rent rises with consumer prices since the last review, at the calibrated average inflation rate.",
+  },
+  market: {
+    id: "market",
+    label: "Market rent",
+    description:
+      "At each review rent is reset to the starting yield on the current house value, so it follows house prices.",
+  },
+};
+
+export const BANK_SCENARIOS = {
+  normal: {
+    id: "normal",
+    label: "Normal",
+    pdMultiplierInterest: 1,
+    pdMultiplierIslamic: 1,
+  },
+  stress: {
+    id: "stress",
+    label: "Stress",
+    pdMultiplierInterest: 1.5,
+    pdMultiplierIslamic: 1.3,
+  },
+  severe: {
+    id: "severe",
+    label: "Severe",
+    pdMultiplierInterest: 2.5,
+    pdMultiplierIslamic: 2.0,
+  },
+};
+
+export const SOCIAL_ELASTICITIES = {
+  povertyPerWealthPoint: 0.4,
+  crimePerWealthPoint: 0.25,
+  consumptionPerWealthPoint: 0.3,
+  gdpPerWealthPoint: 0.15,
+};
@@ -0,0 +1,589 @@
+import { clamp } from "./math.js";
+import { parseRatePath, ratePathAt } from "./rates.js";
+
+export const DEFAULT_RENT_REVIEW = {
+  mode: "fixed",
+  periodYears: 1,
+  capPercent: 10,
+  floorPercent: -10,
+  marginPercent: 2,
+};
+
+export const DEFAULT_MORTGAGE = {
+  product: "fixed",
+  fixedYears: 2,
+  trackerMarginPercent: 0.75,
+  revertMarginPercent: 3.5,
+  offsetSavings: 0,
+};
+
+export const DEFAULT_BEHAVIOUR = {
+  lumpSum: 0,
+  lumpSumYear: 5,
+  monthlyOverpayment: 0,
+  ercPercent: 3,
+  ercYears: 5,
+  exitYear: 0,
+  holidayYear: 0,
+  holidayMonths: 0,
+};
+
+// Share of the balance that can be overpaid each year without an ERC
+const ERC_FREE_SHARE = 0.1;
+
+// Turn behaviour inputs into month numbers; 0 or Infinity switch a
+// feature off
+function normaliseBehaviour(behaviour, N) {
+  const b = { ...DEFAULT_BEHAVIOUR, ...behaviour };
+  const num = (v) => Math.max(Number(v) || 0, 0);
+  const yearToMonth = (y) => {
+    const v = Math.round(num(y));
+    return v > 0 && v * 12 <= N ? (v - 1) * 12 + 1 : 0;
+  };
+  const holidayStart = yearToMonth(b.holidayYear);
+  const holidayMonths = Math.min(Math.round(num(b.holidayMonths)), 24);
+  const exitYear = Math.round(num(b.exitYear));
+  const plan = {
+    lumpSum: num(b.lumpSum),
+    lumpSumMonth: yearToMonth(b.lumpSumYear),
+    monthly: num(b.monthlyOverpayment),
+    erc: num(b.ercPercent) / 100,
+    ercMonths: Math.round(num(b.ercYears)) * 12,
+    exitMonth: exitYear > 0 && exitYear * 12 < N ? exitYear * 12 : 0,
+    holidayStart: holidayStart && holidayMonths ? holidayStart : Infinity,
+    holidayEnd:
+      holidayStart && holidayMonths ? holidayStart + holidayMonths : Infinity,
+  };
+  plan.active =
+    (plan.lumpSum > 0 && plan.lumpSumMonth > 0) ||
+    plan.monthly > 0 ||
+    plan.exitMonth > 0 ||
+    plan.holidayStart !== Infinity;
+  return plan;
+}
+
+// Level payment that clears `balance` over `months` at monthly rate `r`
+function annuity(balance, r, months) {
+  if (months <= 0) return balance;
+  if (r === 0) return balance / months;
+  return (balance * r) / (1 - Math.pow(1 + r, -months));
+}
+
+function normaliseRentReview(review) {
+  const merged = { ...DEFAULT_RENT_REVIEW, ...review };
+  const num = (v, fallback) =>
+    Number.isFinite(Number(v)) ? Number(v) : fallback;
+  const cap = num(merged.capPercent, DEFAULT_RENT_REVIEW.capPercent);
+  const floor = num(merged.floorPercent, DEFAULT_RENT_REVIEW.floorPercent);
+  return {
+    mode: merged.mode,
+    periodMonths:
+      clamp(Math.round(num(merged.periodYears, 1)) || 1, 1, 10) * 12,
+    cap: Math.max(cap, floor) / 100,
+    floor: Math.min(cap, floor) / 100,
+    margin: num(merged.marginPercent, DEFAULT_RENT_REVIEW.marginPercent),
+  };
+}
+
+/* ============= HOUSEHOLD CALCS ============= */
+
+/**
+ * Compare an amortising interest mortgage with a diminishing musharakah
+ * for one household. Missing inputs fall back to the calibration's
+ * housing defaults.
+ *
+ * `schedule` has one row per month. The mortgage side splits each payment
+ * into interest and principal; the musharakah side shows the bank's share
+ * (0–100) after that month's acquisition payment and the rent charged on
+ * it, with rentRate the annual rent as a percentage of the bank's share
+ * at the purchase price; bankStake is that share in pounds,
+ * which is what the customer still has to buy. Equity is at that month's
+ * house value.
+ *
+ * @param {object} input
+ * @param {number} input.salary Gross salary per year.
+ * @param {number} input.deposit Deposit paid up front.
+ * @param {number} input.propertyValue Purchase price.
+ * @param {number} input.termYears Term in years.
+ * @param {number} input.interestRatePercent Mortgage rate, e.g. 4.7.
+ * @param {number} input.rentalYieldPercent Musharakah rental yield, e.g. 5.5.
+ * @param {object} [input.rentReview] How musharakah rent is repriced:
+ *   `{ mode, periodYears, capPercent, floorPercent, marginPercent }`,
+ *   where mode is a key of RENT_REVIEW_MODES and cap and floor limit the
+ *   percentage change at any one review. Defaults to DEFAULT_RENT_REVIEW
+ *   (no reviews).
+ * @param {object} [input.mortgage] Mortgage product: `{ product,
+ *   fixedYears, trackerMarginPercent, revertMarginPercent, offsetSavings }`
+ *   where product is a key of MORTGAGE_PRODUCTS. Trackers and reverting
+ *   fixes follow baseRatePath, and the payment is recalculated over the
+ *   remaining term whenever the rate changes. Defaults to DEFAULT_MORTGAGE
+ *   (fixed for the whole term at interestRatePercent).
+ * @param {object} [input.behaviour] What the household does on top of
+ *   the contract, applied to both products alike (see DEFAULT_BEHAVIOUR):
+ *   a lump sum overpayment in `lumpSumYear`, a regular
+ *   `monthlyOverpayment`, settling everything at the end of `exitYear`,
+ *   and a payment holiday of `holidayMonths` from the start of
+ *   `holidayYear`. Mortgage overpayments above 10% of the balance a year
+ *   pay an early repayment charge of `ercPercent` during the first
+ *   `ercYears`. Musharakah overpayments buy extra share at the purchase
+ *   price. On a holiday mortgage interest and musharakah rent are added
+ *   to what is owed, and payments afterwards are respread over the
+ *   remaining term.
+ * @param {string | number[]} [input.baseRatePath] Yearly base rates in
+ *   percent (see parseRatePath), used by tracker and reverting mortgages
+ *   and by the "benchmark" rent mode.
+ * @param {boolean} [input.ijara] Also model an ijara wa iqtina on the
+ *   same rent rate: the bank keeps title until the last payment, and a
+ *   level payment covers rent on the price still owed plus acquisition,
+ *   recalculated whenever the rent is reviewed. Adds the `*Ijara` results
+ *   below, equityIjara and cumIjara to the curves, an `ijara` entry to
+ *   behaviourImpact and rentIjara, acquisitionIjara, overpaymentIjara,
+ *   paymentIjara, balanceIjara and equityIjara to each schedule row.
+ * @param {object} input.calibration An entry of CALIBRATION_MODES.
+ * @returns {{
+ *   totalPaidInterest: number,
+ *   totalPaidIslamic: number,
+ *   riskInterest: "Low" | "Moderate" | "High" | "N/A",
+ *   riskIslamic: "Low" | "Moderate" | "High" | "N/A",
+ *   equityCurve: { year: number, equityInterest: number, equityIslamic: number }[],
+ *   costCurve: { year: number, cumInterest: number, cumIslamic: number }[],
+ *   firstPaymentInterest: number,
+ *   peakPaymentInterest: number,
+ *   firstPaymentIslamic: number,
+ *   peakPaymentIslamic: number,
+ *   ercPaid: number,
+ *   ownedYearInterest: number | null,
+ *   ownedYearIslamic: number | null,
+ *   totalPaidIjara?: number,
+ *   riskIjara?: "Low" | "Moderate" | "High" | "N/A",
+ *   firstPaymentIjara?: number,
+ *   peakPaymentIjara?: number,
+ *   ownedYearIjara?: number | null,
+ *   behaviourImpact: null | Record<"interest" | "islamic", {
+ *     costChange: number, ownedYearsEarlier: number,
+ *     midTermYear: number, midTermEquityChange: number,
+ *   }>,
+ *   schedule: {
+ *     month: number, year: number, houseValue: number,
+ *     holiday: boolean,
+ *     rateInterest: number, paymentInterest: number, interestPaid: number,
+ *     principalPaid: number, overpaymentInterest: number,
+ *     ercInterest: number, balanceInterest: number,
+ *     equityInterest: number,
+ *     bankShare: number, rentRate: number, rent: number,
+ *     acquisition: number, overpaymentIslamic: number,
+ *     paymentIslamic: number, bankStake: number, equityIslamic: number,
+ *   }[],
+ * }}
+ */
+export function calculateHouseholdMetrics(input) {
+  const {
+    salary,
+    deposit,
+    propertyValue,
+    termYears,
+    interestRatePercent,
+    rentalYieldPercent,
+    rentReview,
+    mortgage,
+    behaviour,
+    baseRatePath,
+    ijara,
+    calibration,
+  } = input;
+  const P = Number(propertyValue) || 0;
+  const D = Number(deposit) || 0;
+  const years =
+    Number(termYears) ||
+    calibration?.housing?.termYearsDefault ||
+    25;
+  const income =
+    Number(salary) ||
+    calibration?.housing?.medianGrossIncome ||
+    45000;
+
+  const principal = Math.max(P - D, 0);
+  if (!P || !years || !income || principal <= 0) {
+    return {
+      totalPaidInterest: 0,
+      totalPaidIslamic: 0,
+      riskInterest: "N/A",
+      riskIslamic: "N/A",
+      equityCurve: [],
+      costCurve: [],
+      firstPaymentInterest: 0,
+      peakPaymentInterest: 0,
+      firstPaymentIslamic: 0,
+      peakPaymentIslamic: 0,
+      ercPaid: 0,
+      ownedYearInterest: null,
+      ownedYearIslamic: null,
+      ...(ijara && {
+        totalPaidIjara: 0,
+        riskIjara: "N/A",
+        firstPaymentIjara: 0,
+        peakPaymentIjara: 0,
+        ownedYearIjara: null,
+      }),
+      behaviourImpact: null,
+      schedule: [],
+    };
+  }
+
+  const N = years * 12;
+  const houseGrowth = calibration?.housing?.housePriceGrowth ?? 0.02;
+
+  const baseRate =
+    (interestRatePercent || 0) / 100 ||
+    calibration?.housing?.mortgageRate ||
+    0.05;
+  const annualRate = baseRate;
+
+  const product = { ...DEFAULT_MORTGAGE, ...mortgage };
+  const ratePath = parseRatePath(baseRatePath);
+  const fallbackBase = (calibration?.macro?.baseRate ?? 0.04) * 100;
+  const fixedMonths = Math.max(Number(product.fixedYears) || 0, 0) * 12;
+  const offsetSavings =
+    product.product === "offset"
+      ? Math.max(Number(product.offsetSavings) || 0, 0)
+      : 0;
+  const baseAt = (m) =>
+    ratePathAt(ratePath, Math.ceil(m / 12), fallbackBase) / 100;
+  const mortgageRateAt = (m) => {
+    let rate = annualRate;
+    if (product.product === "tracker") {
+      rate = baseAt(m) + (Number(product.trackerMarginPercent) || 0) / 100;
+    } else if (product.product === "fixed_revert" && m > fixedMonths) {
+      rate = baseAt(m) + (Number(product.revertMarginPercent) || 0) / 100;
+    }
+    return Math.max(rate, 0);
+  };
+
+  let totalPaidInterest = 0;
+  let balanceInterest = principal;
+  let rateInterest = null;
+  let paymentLevel = 0;
+  let ercAllowance = 0;
+  let ercPaid = 0;
+  let firstPaymentInterest = 0;
+  let peakPaymentInterest = 0;
+  let ownedMonthInterest = null;
+
+  const yP =
+    (Number(rentalYieldPercent) || 0) / 100 ||
+    calibration?.housing?.rentalYield ||
+    0.04;
+  const rentalYield = yP;
+
+  const review = normaliseRentReview(rentReview);
+  const cpi = calibration?.macro?.inflationAvg ?? 0.02;
+  // monthly rent on the whole property; the customer pays the bank's share
+  let fullRent = (P * rentalYield) / 12;
+
+  const S_bank0 = principal / P;
+  const deltaS = S_bank0 / N;
+  let S_bank = S_bank0;
+  let acquisitionLevel = P * deltaS;
+
+  let totalPaidIslamic = 0;
+  let regularPaidIslamic = 0;
+  let firstPaymentIslamic = 0;
+  let peakPaymentIslamic = 0;
+  let ownedMonthIslamic = null;
+
+  // ijara: the bank holds title until the end; a level payment covers
+  // rent on the unpaid price plus acquisition, repriced with the rent
+  let balanceIjara = principal;
+  let rateIjara = null;
+  let paymentLevelIjara = 0;
+  let totalPaidIjara = 0;
+  let firstPaymentIjara = 0;
+  let peakPaymentIjara = 0;
+  let ownedMonthIjara = null;
+
+  const plan = normaliseBehaviour(behaviour, N);
+
+  const equityCurve = [];
+  const costCurve = [];
+  const schedule = [];
+
+  for (let m = 0; m <= N; m++) {
+    const year = m / 12;
+    const houseValue = P * Math.pow(1 + houseGrowth, year);
+
+    if (m > 0) {
+      const holiday = m >= plan.holidayStart && m < plan.holidayEnd;
+      // lump sum and regular overpayments, or everything at exit
+      let extra = holiday
+        ? 0
+        : plan.monthly + (m === plan.lumpSumMonth ? plan.lumpSum : 0);
+      if (m === plan.exitMonth) extra = Infinity;
+
+      /* interest mortgage */
+      const rate = mortgageRateAt(m);
+      if (rate !== rateInterest || m === plan.holidayEnd) {
+        rateInterest = rate;
+        paymentLevel = annuity(balanceInterest, rate / 12, N - m + 1);
+      }
+      if ((m - 1) % 12 === 0) {
+        ercAllowance = ERC_FREE_SHARE * balanceInterest;
+      }
+      // an offset account reduces the balance interest is charged on,
+      // while the payment stays the same, so the loan clears early
+      const interest_m =
+        Math.max(balanceInterest - offsetSavings, 0) * (rate / 12);
+      // on a holiday the interest is added to the balance
+      const payment_m = holiday
+        ? 0
+        : Math.min(paymentLevel, balanceInterest + interest_m);
+      balanceInterest = Math.max(
+        balanceInterest + interest_m - payment_m,
+        0
+      );
+      const overpayInterest = Math.min(extra, balanceInterest);
+      let erc_m = 0;
+      if (overpayInterest > 0 && m <= plan.ercMonths) {
+        erc_m = Math.max(overpayInterest - ercAllowance, 0) * plan.erc;
+        ercAllowance = Math.max(ercAllowance - overpayInterest, 0);
+      }
+      balanceInterest -= overpayInterest;
+      ercPaid += erc_m;
+      totalPaidInterest += payment_m + overpayInterest + erc_m;
+      if (payment_m > 0 && !firstPaymentInterest) {
+        firstPaymentInterest = payment_m;
+      }
+      peakPaymentInterest = Math.max(peakPaymentInterest, payment_m);
+      if (balanceInterest < 0.005 && ownedMonthInterest === null) {
+        balanceInterest = 0;
+        ownedMonthInterest = m;
+      }
+
+      /* diminishing musharakah */
+      if (
+        review.mode !== "fixed" &&
+        m > 1 &&
+        (m - 1) % review.periodMonths === 0
+      ) {
+        let target = fullRent;
+        if (review.mode === "benchmark") {
+          const base = ratePathAt(
+            ratePath,
+            year,
+            rentalYield * 100 - review.margin
+          );
+          target = (P * (base + review.margin)) / 100 / 12;
+        } else if (review.mode === "cpi") {
+          target =
+            fullRent * Math.pow(1 + cpi, review.periodMonths / 12);
+        } else if (review.mode === "market") {
+          target = (houseValue * rentalYield) / 12;
+        }
+        const change = clamp(
+          target / fullRent - 1,
+          review.floor,
+          review.cap
+        );
+        fullRent *= 1 + change;
+      }
+
+      if (m === plan.holidayEnd) {
+        acquisitionLevel = (S_bank * P) / (N - m + 1);
+      }
+      const purchase_m = holiday
+        ? 0
+        : Math.min(acquisitionLevel, S_bank * P);
+      S_bank -= purchase_m / P;
+      const rent_m = S_bank * fullRent;
+      // rent missed on a holiday is added to the bank's share
+      if (holiday) S_bank += rent_m / P;
+      const regular_m = holiday ? 0 : rent_m + purchase_m;
+      const overpayIslamic = Math.min(extra, S_bank * P);
+      S_bank -= overpayIslamic / P;
+      regularPaidIslamic += regular_m;
+      totalPaidIslamic += regular_m + overpayIslamic;
+      if (regular_m > 0 && !firstPaymentIslamic) {
+        firstPaymentIslamic = regular_m;
+      }
+      peakPaymentIslamic = Math.max(peakPaymentIslamic, regular_m);
+      if (S_bank * P < 0.005 && ownedMonthIslamic === null) {
+        S_bank = 0;
+        ownedMonthIslamic = m;
+      }
+
+      /* ijara wa iqtina */
+      let ijaraRow = null;
+      if (ijara) {
+        const rentRate = (fullRent * 12) / P;
+        if (rentRate !== rateIjara || m === plan.holidayEnd) {
+          rateIjara = rentRate;
+          paymentLevelIjara = annuity(
+            balanceIjara,
+            rentRate / 12,
+            N - m + 1
+          );
+        }
+        const rentIjara = balanceIjara * (rateIjara / 12);
+        // on a holiday the rent is added to the price still owed
+        const paymentIjara = holiday
+          ? 0
+          : Math.min(paymentLevelIjara, balanceIjara + rentIjara);
+        balanceIjara = Math.max(
+          balanceIjara + rentIjara - paymentIjara,
+          0
+        );
+        const overpayIjara = Math.min(extra, balanceIjara);
+        balanceIjara -= overpayIjara;
+        totalPaidIjara += paymentIjara + overpayIjara;
+        if (paymentIjara > 0 && !firstPaymentIjara) {
+          firstPaymentIjara = paymentIjara;
+        }
+        peakPaymentIjara = Math.max(peakPaymentIjara, paymentIjara);
+        if (balanceIjara < 0.005 && ownedMonthIjara === null) {
+          balanceIjara = 0;
+          ownedMonthIjara = m;
+        }
+        ijaraRow = {
+          rentIjara,
+          acquisitionIjara: paymentIjara - rentIjara,
+          overpaymentIjara: overpayIjara,
+          paymentIjara,
+          balanceIjara,
+          equityIjara: houseValue - balanceIjara,
+        };
+      }
+
+      schedule.push({
+        month: m,
+        year: Math.ceil(m / 12),
+        holiday,
+        houseValue,
+        rateInterest: rateInterest * 100,
+        paymentInterest: payment_m,
+        interestPaid: interest_m,
+        principalPaid: payment_m - interest_m,
+        overpaymentInterest: overpayInterest,
+        ercInterest: erc_m,
+        balanceInterest,
+        equityInterest: houseValue - balanceInterest,
+        bankShare: S_bank * 100,
+        rentRate: ((fullRent * 12) / P) * 100,
+        rent: rent_m,
+        acquisition: purchase_m,
+        overpaymentIslamic: overpayIslamic,
+        paymentIslamic: regular_m,
+        bankStake: S_bank * P,
+        equityIslamic: (1 - S_bank) * houseValue,
+        ...ijaraRow,
+      });
+    }
+
+    if (m % 12 === 0) {
+      equityCurve.push({
+        year,
+        equityInterest: houseValue - balanceInterest,
+        equityIslamic: (1 - S_bank) * houseValue,
+        ...(ijara && { equityIjara: houseValue - balanceIjara }),
+      });
+      costCurve.push({
+        year,
+        cumInterest: totalPaidInterest,
+        cumIslamic: totalPaidIslamic,
+        ...(ijara && { cumIjara: totalPaidIjara }),
+      });
+    }
+  }
+
+  const ptiStress = calibration?.housing?.ptiStress ?? 0.4;
+  const disposableRatio =
+    calibration?.housing?.medianDisposableIncome &&
+    calibration?.housing?.medianGrossIncome
+      ? calibration.housing.medianDisposableIncome /
+        calibration.housing.medianGrossIncome
+      : 0.75;
+
+  const netMonthlyIncome = (income * disposableRatio) / 12;
+  const recessionIncome = netMonthlyIncome * (1 - 0.15);
+  // judged on the highest payment, which is where refinancing bites
+  const ptiInterest = peakPaymentInterest / recessionIncome;
+  const avgMonthlyIslamic = regularPaidIslamic / N;
+  const ptiIslamic = avgMonthlyIslamic / recessionIncome;
+
+  const ownedYearInterest =
+    ownedMonthInterest === null ? null : ownedMonthInterest / 12;
+  const ownedYearIslamic =
+    ownedMonthIslamic === null ? null : ownedMonthIslamic / 12;
+
+  const ptiToLabel = (v) => {
+    if (!isFinite(v)) return "N/A";
+    if (v < ptiStress * 0.7) return "Low";
+    if (v < ptiStress) return "Moderate";
+    return "High";
+  };
+
+  // level payments, so judged on the highest one like the mortgage
+  const ijaraResult = ijara
+    ? {
+        totalPaidIjara,
+        riskIjara: ptiToLabel(peakPaymentIjara / recessionIncome),
+        firstPaymentIjara,
+        peakPaymentIjara,
+        ownedYearIjara:
+          ownedMonthIjara === null ? null : ownedMonthIjara / 12,
+      }
+    : null;
+
+  return {
+    totalPaidInterest,
+    totalPaidIslamic,
+    riskInterest: ptiToLabel(ptiInterest),
+    riskIslamic: ptiToLabel(ptiIslamic),
+    equityCurve,
+    costCurve,
+    firstPaymentInterest,
+    peakPaymentInterest,
+    firstPaymentIslamic,
+    peakPaymentIslamic,
+    ercPaid,
+    ownedYearInterest,
+    ownedYearIslamic,
+    ...ijaraResult,
+    behaviourImpact: plan.active
+      ? compareWithPlain(
+          {
+            equityCurve,
+            totalPaidInterest,
+            totalPaidIslamic,
+            ownedYearInterest,
+            ownedYearIslamic,
+            ...ijaraResult,
+          },
+          calculateHouseholdMetrics({ ...input, behaviour: null })
+        )
+      : null,
+    schedule,
+  };
+}
+
+// Difference between a run with overpayments, exit or a holiday and the
+// same contract without them
+function compareWithPlain(run, plain) {
+  const mid = Math.floor(plain.equityCurve.length / 2);
+  const side = (key, total, owned) => ({
+    costChange: run[total] - plain[total],
+    ownedYearsEarlier: (plain[owned] ?? 0) - (run[owned] ?? 0),
+    midTermYear: plain.equityCurve[mid].year,
+    midTermEquityChange:
+      run.equityCurve[mid][key] - plain.equityCurve[mid][key],
+  });
+  return {
+    interest: side(
+      "equityInterest",
+      "totalPaidInterest",
+      "ownedYearInterest"
+    ),
+    islamic: side("equityIslamic", "totalPaidIslamic", "ownedYearIslamic"),
+    ...("totalPaidIjara" in plain && {
+      ijara: side("equityIjara", "totalPaidIjara", "ownedYearIjara"),
+    }),
+  };
+}
@@ -0,0 +1,354 @@
+import {
+  DEFAULT_SEED,
+  createRng,
+  randomNormal,
+  percentile,
+  proportionInterval,
+  clamp,
+} from "./math.js";
+import { calculateHouseholdMetrics } from "./household.js";
+
+/* ============= HOUSEHOLD MONTE CARLO ============= */
+
+export const DEFAULT_HOUSEHOLD_PATHS = 500;
+export const MAX_HOUSEHOLD_PATHS = 2000;
+
+// Months of missed payments that count as arrears, and that lead to
+// repossession
+const ARREARS_MONTHS = 3;
+const REPOSSESSION_MONTHS = 12;
+// Discount on a forced sale against the market value
+const FORCED_SALE_DISCOUNT = 0.15;
+// Share of net income a household can put towards housing
+const HOUSING_BUDGET_SHARE = 0.5;
+// Savings at the start, in months of the first payment
+const BUFFER_MONTHS = 3;
+// Benefits during unemployment as a share of net income
+const BENEFIT_REPLACEMENT = 0.3;
+// Persistence of annual house price shocks
+const PRICE_RHO = 0.5;
+
+
+/**
+ * Run one contract along one random path. `draws` holds the house value
+ * and net income for every month so both products see the same path.
+ */
+function runContract(draws, schedule, deposit, contract) {
+  const { pay, equityAt, saleAt } = contract;
+  let buffer = BUFFER_MONTHS * pay(schedule[0]);
+  let arrears = 0;
+  let everArrears = false;
+  let everNegative = false;
+  let repossessed = null;
+  const yearlyEquity = [deposit];
+
+  for (let m = 1; m <= schedule.length; m++) {
+    const row = schedule[m - 1];
+    const value = draws.value[m];
+
+    if (repossessed === null) {
+      const payment = pay(row);
+      const available = draws.income[m] * HOUSING_BUDGET_SHARE;
+      let surplus = available - payment;
+      if (surplus < 0 && buffer > 0) {
+        const used = Math.min(buffer, -surplus);
+        buffer -= used;
+        surplus += used;
+      }
+      if (surplus < 0) {
+        arrears -= surplus;
+      } else {
+        const repaid = Math.min(arrears, surplus);
+        arrears -= repaid;
+        buffer = Math.min(
+          buffer + surplus - repaid,
+          BUFFER_MONTHS * payment
+        );
+      }
+
+      const monthsBehind = payment > 0 ? arrears / payment : 0;
+      if (monthsBehind >= ARREARS_MONTHS) everArrears = true;
+
+      const equity = equityAt(row, value) - arrears;
+      if (equity < 0) everNegative = true;
+
+      if (monthsBehind >= REPOSSESSION_MONTHS) {
+        const sale = value * (1 - FORCED_SALE_DISCOUNT);
+        repossessed = {
+          month: m,
+          equityBefore: equity,
+          ...saleAt(row, sale, arrears),
+        };
+      }
+    }
+
+    if (m % 12 === 0) {
+      yearlyEquity.push(
+        repossessed
+          ? repossessed.household
+          : equityAt(row, value) - arrears
+      );
+    }
+  }
+
+  return { everArrears, everNegative, repossessed, yearlyEquity };
+}
+
+// Mortgage: the household owes the whole balance and bears the full fall
+// in price; any shortfall on sale is still owed
+const MORTGAGE = {
+  pay: (row) => row.paymentInterest,
+  equityAt: (row, value) => value - row.balanceInterest,
+  saleAt: (row, sale, arrears) => {
+    const debt = row.balanceInterest + arrears;
+    return {
+      household: sale - debt,
+      lender: Math.max(debt - sale, 0),
+    };
+  },
+};
+
+// Musharakah: sale proceeds are split by ownership share, so the bank
+// carries its share of any fall in price; rent arrears come out of the
+// household's part
+const MUSHARAKAH = {
+  pay: (row) => row.paymentIslamic,
+  equityAt: (row, value) => (1 - row.bankShare / 100) * value,
+  saleAt: (row, sale, arrears) => {
+    const bankPart = (row.bankShare / 100) * sale;
+    return {
+      household: sale - bankPart - arrears,
+      lender: Math.max(row.bankStake - bankPart, 0),
+    };
+  },
+};
+
+// Ijara: the bank holds the title, so sale proceeds first clear the
+// acquisition balance and the bank bears any shortfall on it; rent
+// arrears are still owed by the household
+const IJARA = {
+  pay: (row) => row.paymentIjara,
+  equityAt: (row, value) => value - row.balanceIjara,
+  saleAt: (row, sale, arrears) => ({
+    household: Math.max(sale - row.balanceIjara, 0) - arrears,
+    lender: Math.max(row.balanceIjara - sale, 0),
+  }),
+};
+
+function drawPath(rng, housing, income, months, P) {
+  const growth = housing.housePriceGrowth ?? 0.02;
+  const priceVol = housing.housePriceVolatility ?? 0.05;
+  const incomeGrowth = housing.incomeGrowth ?? 0.025;
+  const incomeVol = housing.incomeVolatility ?? 0.03;
+  const jobLoss = housing.jobLossProb ?? 0.03;
+  const spellMonths = housing.unemploymentMonths ?? 6;
+
+  const value = new Float64Array(months + 1);
+  const net = new Float64Array(months + 1);
+  value[0] = P;
+  let yearIncome = income;
+  let priceShock = 0;
+  let monthlyPrice = 0;
+  let hazard = jobLoss / 12;
+  let unemployedFor = 0;
+
+  for (let m = 1; m <= months; m++) {
+    if ((m - 1) % 12 === 0) {
+      // one macro draw drives prices, incomes and job losses together
+      const macro = randomNormal(rng);
+      priceShock =
+        PRICE_RHO * priceShock +
+        Math.sqrt(1 - PRICE_RHO * PRICE_RHO) *
+          (0.6 * macro + 0.8 * randomNormal(rng));
+      monthlyPrice =
+        (Math.log(1 + growth) -
+          (priceVol * priceVol) / 2 +
+          priceVol * priceShock) /
+        12;
+      if (m > 1) {
+        yearIncome *= Math.exp(
+          incomeGrowth +
+            incomeVol * (0.5 * macro + 0.87 * randomNormal(rng))
+        );
+      }
+      hazard = (jobLoss * (1 + 2 * Math.max(-macro, 0))) / 12;
+    }
+    value[m] = value[m - 1] * Math.exp(monthlyPrice);
+
+    if (unemployedFor > 0) {
+      unemployedFor--;
+    } else if (rng() < hazard) {
+      unemployedFor = Math.max(
+        1,
+        Math.round(-Math.log(1 - rng()) * spellMonths)
+      );
+    }
+    net[m] =
+      (yearIncome / 12) * (unemployedFor > 0 ? BENEFIT_REPLACEMENT : 1);
+  }
+  return { value, income: net };
+}
+
+/**
+ * Monte Carlo household risk: random house price, income and
+ * unemployment paths applied to the contract schedules of
+ * calculateHouseholdMetrics. Every product sees the same draws on each
+ * path, including the ijara when `input.ijara` is set.
+ *
+ * Each month the household puts up to half its net income towards the
+ * payment, drawing on three months of savings and then falling into
+ * arrears. Three months behind counts as arrears and twelve as
+ * repossession, with the home sold 15% under market value. On a
+ * mortgage the household owes any shortfall; on a musharakah the sale
+ * proceeds are split by share, so the bank bears its part of a price
+ * fall; on an ijara the proceeds clear the acquisition balance and the
+ * bank bears any shortfall on it. Payments follow the contract schedule, so overpayments are kept
+ * up even in bad months and "market" rent reviews use the central house
+ * price path.
+ *
+ * Probabilities are on a 0–100 scale with 95% intervals.
+ *
+ * @param {object} input calculateHouseholdMetrics input.
+ * @param {object} [options]
+ * @param {number} [options.paths] Default DEFAULT_HOUSEHOLD_PATHS, at
+ *   most MAX_HOUSEHOLD_PATHS.
+ * @param {number} [options.seed] PRNG seed.
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ *   Called every few percent of paths, for the worker.
+ * @returns {{
+ *   paths: number,
+ *   seed: number,
+ *   interest: HouseholdRisk,
+ *   islamic: HouseholdRisk,
+ *   ijara?: HouseholdRisk,
+ *   bands: { year: number, houseValueP10: number, ... }[],
+ * }} where HouseholdRisk is `{ arrears, repossession, negativeEquity }`,
+ *   each `{ value, low, high }`, plus `householdLoss` (mean equity lost
+ *   by repossessed households) and `lenderLoss` (mean loss to the lender
+ *   per path), and bands hold P10/P50/P90 per year of houseValue,
+ *   equityInterest, equityIslamic and, with the ijara, equityIjara.
+ */
+export function simulateHouseholdPaths(input, options = {}) {
+  const paths = clamp(
+    Math.round(Number(options.paths)) || DEFAULT_HOUSEHOLD_PATHS,
+    1,
+    MAX_HOUSEHOLD_PATHS
+  );
+  const seed = Number.isFinite(Number(options.seed ?? DEFAULT_SEED))
+    ? Number(options.seed ?? DEFAULT_SEED) >>> 0
+    : DEFAULT_SEED;
+
+  const base = calculateHouseholdMetrics(input);
+  const schedule = base.schedule;
+  const P = Number(input.propertyValue) || 0;
+  const housing = input.calibration?.housing || {};
+  if (!schedule.length) {
+    return { paths: 0, seed, interest: null, islamic: null, bands: [] };
+  }
+  const deposit = Math.min(Number(input.deposit) || 0, P);
+
+  const disposableRatio =
+    housing.medianDisposableIncome && housing.medianGrossIncome
+      ? housing.medianDisposableIncome / housing.medianGrossIncome
+      : 0.75;
+  const income =
+    (Number(input.salary) || housing.medianGrossIncome || 45000) *
+    disposableRatio;
+
+  const contracts = {
+    interest: MORTGAGE,
+    islamic: MUSHARAKAH,
+    ...(input.ijara && { ijara: IJARA }),
+  };
+  const bandFields = [
+    "houseValue",
+    ...Object.keys(contracts).map(
+      (key) => `equity${key[0].toUpperCase()}${key.slice(1)}`
+    ),
+  ];
+
+  const rng = createRng(seed);
+  const months = schedule.length;
+  const years = Math.floor(months / 12);
+  const yearly = bandFields.map(() =>
+    Array.from({ length: years + 1 }, () => [])
+  );
+  const emptyTotals = () => ({
+    arrears: 0,
+    repossession: 0,
+    negative: 0,
+    lost: 0,
+    lender: 0,
+  });
+  const totals = Object.fromEntries(
+    Object.keys(contracts).map((key) => [key, emptyTotals()])
+  );
+  const progressEvery = Math.max(1, Math.floor(paths / 50));
+
+  for (let k = 0; k < paths; k++) {
+    const draws = drawPath(rng, housing, income, months, P);
+    const runs = Object.fromEntries(
+      Object.entries(contracts).map(([key, contract]) => [
+        key,
+        runContract(draws, schedule, deposit, contract),
+      ])
+    );
+    for (const [key, run] of Object.entries(runs)) {
+      const t = totals[key];
+      if (run.everArrears) t.arrears++;
+      if (run.everNegative) t.negative++;
+      if (run.repossessed) {
+        const { equityBefore, household, lender } = run.repossessed;
+        t.repossession++;
+        t.lost += Math.max(equityBefore - household, 0);
+        t.lender += lender;
+      }
+    }
+    const equities = Object.values(runs).map((run) => run.yearlyEquity);
+    for (let y = 0; y <= years; y++) {
+      yearly[0][y].push(draws.value[y * 12]);
+      equities.forEach((equity, i) => yearly[i + 1][y].push(equity[y]));
+    }
+    if (
+      options.onProgress &&
+      ((k + 1) % progressEvery === 0 || k + 1 === paths)
+    ) {
+      options.onProgress(k + 1, paths);
+    }
+  }
+
+  const bands = [];
+  for (let y = 0; y <= years; y++) {
+    const band = { year: y };
+    bandFields.forEach((field, i) => {
+      const sorted = yearly[i][y].sort((a, b) => a - b);
+      band[`${field}P10`] = percentile(sorted, 0.1);
+      band[`${field}P50`] = percentile(sorted, 0.5);
+      band[`${field}P90`] = percentile(sorted, 0.9);
+    });
+    bands.push(band);
+  }
+
+  const summarise = (t) => {
+    const interval = (n) => {
+      const { value, low, high } = proportionInterval(n, paths);
+      return { value, low, high };
+    };
+    return {
+      arrears: interval(t.arrears),
+      repossession: interval(t.repossession),
+      negativeEquity: interval(t.negative),
+      householdLoss: t.repossession ? t.lost / t.repossession : 0,
+      lenderLoss: t.lender / paths,
+    };
+  };
+
+  return {
+    paths,
+    seed,
+    ...Object.fromEntries(
+      Object.entries(totals).map(([key, t]) => [key, summarise(t)])
+    ),
+    bands,
+  };
+}
@@ -0,0 +1,225 @@
+/*
+ * Headless simulation engine.
+ *
+ * Everything here is plain JavaScript with no React or DOM dependency, so
+ * it can be imported from the app, from Node scripts or from notebooks:
+ *
+ *   import { runSimulation } from "./src/engine/index.js";
+ *
+ * The individual model functions are exported as well for callers that
+ * only need one module. Result shapes are documented on each function.
+ */
+
+import { CALIBRATION_MODES, SCENARIOS, SME_SECTORS } from "./config.js";
+import { normaliseScenario } from "./scenarios.js";
+import { regionalCalibration } from "./regions.js";
+import { calculateHouseholdMetrics } from "./household.js";
+import { calculateSmeMetrics } from "./sme.js";
+import {
+  simulateAllNational,
+  simulateNationalPaths,
+} from "./national.js";
+import {
+  simulateWealthDistribution,
+  computeHousingSupport,
+} from "./wealth.js";
+import { simulateBankSystem } from "./bank.js";
+
+export {
+  SYSTEMS,
+  CALIBRATION_MODES,
+  HOUSEHOLD_PRESETS,
+  HOUSING_REGIONS,
+  SME_PRESETS,
+  SME_SECTORS,
+  SME_STRUCTURES,
+  SME_PORTFOLIO_MIXES,
+  SCENARIOS,
+  BANK_SCENARIOS,
+  SOCIAL_ELASTICITIES,
+  STABILITY_METHODS,
+  RENT_REVIEW_MODES,
+  MORTGAGE_PRODUCTS,
+  LTV_BANDS,
+  SDLT_BANDS,
+  SDLT_FTB,
+  OWNERSHIP_COSTS,
+  SDLT_SURCHARGE,
+  STAMP_DUTY_REGIMES,
+  LANDLORD_STRUCTURES,
+  BTL_LENDING,
+  EMPTY_SHOCK,
+} from "./config.js";
+export {
+  SCENARIO_HORIZON,
+  normaliseScenario,
+  scenarioShockAt,
+  firstDownturnYear,
+} from "./scenarios.js";
+export {
+  clamp,
+  stdDev,
+  randomNormal,
+  percentile,
+  proportionInterval,
+  createRng,
+  DEFAULT_SEED,
+} from "./math.js";
+export { parseRatePath, ratePathAt } from "./rates.js";
+export {
+  regionalCalibration,
+  regionalHousePreset,
+} from "./regions.js";
+export { assessAffordability } from "./affordability.js";
+export {
+  stampDuty,
+  stampDutyRegime,
+  calculateOwnershipCosts,
+} from "./ownershipCosts.js";
+export {
+  calculateLandlordMetrics,
+  DEFAULT_LANDLORD,
+} from "./landlord.js";
+export {
+  simulateHouseholdPaths,
+  DEFAULT_HOUSEHOLD_PATHS,
+  MAX_HOUSEHOLD_PATHS,
+} from "./householdPaths.js";
+export {
+  calculateHouseholdMetrics,
+  DEFAULT_RENT_REVIEW,
+  DEFAULT_MORTGAGE,
+  DEFAULT_BEHAVIOUR,
+} from "./household.js";
+export {
+  simulateOneBusiness,
+  calculateSmeMetrics,
+  DEFAULT_SME_RUNS,
+  DEFAULT_SME_STRUCTURE,
+  DEFAULT_SME_RECESSION,
+  DEFAULT_SME_LIQUIDITY,
+  MIN_SME_RUNS,
+  MAX_SME_RUNS,
+} from "./sme.js";
+export {
+  calculateSmePortfolio,
+  DEFAULT_SME_PORTFOLIO,
+  DEFAULT_PORTFOLIO_RUNS,
+  MIN_PORTFOLIO_RUNS,
+  MAX_PORTFOLIO_RUNS,
+} from "./smePortfolio.js";
+export {
+  scoreStability,
+  simulateNationalSystem,
+  simulateAllNational,
+  simulateNationalPaths,
+  DEFAULT_NATIONAL_PATHS,
+  MAX_NATIONAL_PATHS,
+} from "./national.js";
+export {
+  simulateWealthDistribution,
+  computeHousingSupport,
+} from "./wealth.js";
+export { simulateBankSystem } from "./bank.js";
+
+/**
+ * Run every module for one configuration, in the same order the app does.
+ *
+ * @param {object} config
+ * @param {string} [config.mode] Key of CALIBRATION_MODES, default "uk".
+ * @param {string} [config.region] Key of HOUSING_REGIONS for the
+ *   household, default "national"; applies in UK mode only.
+ * @param {string} [config.scenarioId] Key of SCENARIOS, default "baseline".
+ * @param {object} [config.scenario] A custom scenario (see
+ *   normaliseScenario); takes precedence over scenarioId.
+ * @param {string} [config.zakatPolicy] "standard" or "enhanced".
+ * @param {string} [config.sector] Key of SME_SECTORS, default "services".
+ * @param {string} [config.stabilityMethod] Key of STABILITY_METHODS,
+ *   default "volatility".
+ * @param {object} [config.national] `{ stochastic, paths, seed }`; when
+ *   stochastic is true the national model uses simulateNationalPaths.
+ * @param {object} [config.household] calculateHouseholdMetrics input,
+ *   without calibration.
+ * @param {object} [config.sme] calculateSmeMetrics input, without
+ *   calibration, scenario or sector.
+ * @param {object} [config.bank] simulateBankSystem inputs.
+ * @returns {{
+ *   household: object,
+ *   sme: object,
+ *   national: { interest: object, islamic: object },
+ *   wealth: { interest: object, islamic: object },
+ *   housingSupport: object,
+ *   bank: { interest: object, islamic: object } | null,
+ * }}
+ */
+export function runSimulation({
+  mode = "uk",
+  region = "national",
+  scenarioId = "baseline",
+  scenario: customScenario,
+  zakatPolicy = "standard",
+  sector = "services",
+  stabilityMethod = "volatility",
+  national: nationalOptions = {},
+  household = {},
+  sme = {},
+  bank = null,
+} = {}) {
+  const calibration = CALIBRATION_MODES[mode] || CALIBRATION_MODES.uk;
+  const scenario = customScenario
+    ? normaliseScenario(customScenario)
+    : SCENARIOS[scenarioId] || SCENARIOS.baseline;
+  const sectorConfig = SME_SECTORS[sector] || SME_SECTORS.services;
+
+  const householdResult = calculateHouseholdMetrics({
+    ...household,
+    calibration:
+      mode === "uk" ? regionalCalibration(calibration, region) : calibration,
+  });
+  const smeResult = calculateSmeMetrics({
+    ...sme,
+    calibration,
+    scenario,
+    sectorConfig,
+  });
+  const national = nationalOptions.stochastic
+    ? simulateNationalPaths(calibration, smeResult, scenario, {
+        stabilityMethod,
+        paths: nationalOptions.paths,
+        seed: nationalOptions.seed,
+      })
+    : simulateAllNational(calibration, smeResult, scenario, {
+        stabilityMethod,
+      });
+
+  const wealth = {
+    interest: simulateWealthDistribution(
+      calibration,
+      "interest",
+      zakatPolicy
+    ),
+    islamic: simulateWealthDistribution(
+      calibration,
+      "islamic",
+      zakatPolicy
+    ),
+  };
+  const housingSupport = computeHousingSupport(
+    wealth.islamic,
+    calibration
+  );
+
+  return {
+    household: householdResult,
+    sme: smeResult,
+    national,
+    wealth,
+    housingSupport,
+    bank: bank
+      ? {
+          interest: simulateBankSystem("interest", bank),
+          islamic: simulateBankSystem("islamic", bank),
+        }
+      : null,
+  };
+}
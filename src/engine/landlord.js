@@ -0,0 +1,257 @@
+import {
+  LANDLORD_STRUCTURES,
+  BTL_LENDING,
+  OWNERSHIP_COSTS,
+} from "./config.js";
+import { calculateHouseholdMetrics } from "./household.js";
+import { stampDuty, stampDutyRegime } from "./ownershipCosts.js";
+
+export const DEFAULT_LANDLORD = {
+  monthlyRent: 1500,
+  voidMonths: 1,
+  lettingPercent: 12,
+  rentGrowthPercent: 3,
+  structure: "individual",
+  taxRatePercent: 40,
+};
+
+/* ============= BUY-TO-LET ============= */
+
+/**
+ * Landlord comparison of an interest-only buy-to-let mortgage with an
+ * Islamic equivalent: an ijara, where the bank keeps its share for the
+ * whole term, the landlord pays rent on it and buys it back at the
+ * purchase price at the end. Both are rent-only, so the finance cost is
+ * flat and the landlord keeps all of the price growth.
+ *
+ * Rates and profit rates come from calculateHouseholdMetrics for the same
+ * inputs: the mortgage pays that month's mortgage rate on the whole loan,
+ * and the ijara pays that month's rent rate (after any rent reviews) on
+ * the bank's share. Behaviour inputs are ignored.
+ *
+ * Stamp duty is the calibration nation's rate for an additional
+ * dwelling (see stampDutyRegime), named by `stampDutyName`.
+ *
+ * Tenant rent grows once a year, voids are whole months without rent a
+ * year, and letting costs are a share of rent collected. Insurance and
+ * maintenance follow OWNERSHIP_COSTS, with the bank bearing its share of
+ * insurance and structural repairs under the ijara. Tax follows
+ * LANDLORD_STRUCTURES, with losses and unrelieved finance costs carried
+ * forward; capital gains tax on a later sale is not modelled.
+ *
+ * The lending test stresses the first year's rate by
+ * BTL_LENDING.stressAdd points, but not below stressFloor, and needs
+ * gross rent to cover the stressed finance cost by the ICR.
+ *
+ * @param {object} input calculateHouseholdMetrics input plus
+ *   `landlord` (see DEFAULT_LANDLORD): `{ monthlyRent, voidMonths,
+ *   lettingPercent, rentGrowthPercent, structure, taxRatePercent }`,
+ *   where structure is a key of LANDLORD_STRUCTURES and taxRatePercent is
+ *   the individual's marginal rate.
+ * @returns {{
+ *   stampDutyName: string,
+ *   grossYield: number,
+ *   ltv: number,
+ *   interest: LandlordResult,
+ *   islamic: LandlordResult,
+ *   curve: { year: number, cashInterest: number, cashIslamic: number }[],
+ * }} with grossYield and ltv in percent, where LandlordResult is
+ *   `{ firstYear: { collected, letting, upkeep, finance, tax, cashflow },
+ *   financeCost, taxPaid, netIncome, netYield, upfront, equityAtEnd,
+ *   totalReturn, stressRate, icr, icrRequired, maxLoan, offered, reasons }`.
+ *   netYield is the first year's after-tax cash flow as a percentage of
+ *   the deposit and upfront costs, totalReturn adds the equity left after
+ *   repaying the loan at the end and takes off that cash, and icr and
+ *   icrRequired are ratios.
+ */
+export function calculateLandlordMetrics(input) {
+  const { landlord, behaviour, ...householdInput } = input;
+  const settings = { ...DEFAULT_LANDLORD, ...landlord };
+  const base = calculateHouseholdMetrics(householdInput);
+  const schedule = base.schedule;
+  const P = Math.max(Number(input.propertyValue) || 0, 0);
+  const D = Math.min(Math.max(Number(input.deposit) || 0, 0), P);
+  const principal = P - D;
+  const S0 = P > 0 ? principal / P : 0;
+
+  const num = (v, fallback) =>
+    Number.isFinite(Number(v)) ? Number(v) : fallback;
+  const monthlyRent = Math.max(num(settings.monthlyRent, 0), 0);
+  const occupancy =
+    1 - Math.min(Math.max(num(settings.voidMonths, 0), 0), 12) / 12;
+  const letting = Math.max(num(settings.lettingPercent, 0), 0) / 100;
+  const rentGrowth = num(settings.rentGrowthPercent, 0) / 100;
+  const structure =
+    LANDLORD_STRUCTURES[settings.structure] ||
+    LANDLORD_STRUCTURES.individual;
+  const taxRate =
+    structure.taxRate ??
+    Math.min(Math.max(num(settings.taxRatePercent, 0), 0), 100) / 100;
+  const { insuranceRate, maintenanceRate, majorMaintenanceShare } =
+    OWNERSHIP_COSTS;
+
+  const regime = stampDutyRegime(input.calibration);
+  const sdlt = stampDuty(P, false, { regime: regime.id, additional: true });
+  const icrRequired =
+    !structure.financeDeductible && taxRate > 0.2
+      ? BTL_LENDING.icrHigherRate
+      : BTL_LENDING.icr;
+
+  const run = (key, financeAt, bankShare) => {
+    const fees = OWNERSHIP_COSTS[key];
+    const upfront =
+      sdlt + fees.arrangementFee + fees.valuationFee + fees.legalFees;
+    const yearly = [];
+    let year = null;
+    for (const row of schedule) {
+      if (!year || year.year !== row.year) {
+        year = {
+          year: row.year,
+          collected: 0,
+          letting: 0,
+          upkeep: 0,
+          finance: 0,
+        };
+        yearly.push(year);
+      }
+      const collected =
+        monthlyRent * Math.pow(1 + rentGrowth, row.year - 1) * occupancy;
+      const insure = (row.houseValue * insuranceRate) / 12;
+      const upkeep = (row.houseValue * maintenanceRate) / 12;
+      year.collected += collected;
+      year.letting += collected * letting;
+      year.upkeep +=
+        (insure + upkeep * majorMaintenanceShare) * (1 - bankShare) +
+        upkeep * (1 - majorMaintenanceShare);
+      year.finance += financeAt(row);
+    }
+
+    // losses and unrelieved finance costs carry forward
+    let lossCarried = 0;
+    let financeCarried = 0;
+    let cumulative = 0;
+    let financeCost = 0;
+    let taxPaid = 0;
+    for (const y of yearly) {
+      const profit = y.collected - y.letting - y.upkeep;
+      if (structure.financeDeductible) {
+        const taxable = profit - y.finance + lossCarried;
+        y.tax = Math.max(taxable, 0) * taxRate;
+        lossCarried = Math.min(taxable, 0);
+      } else {
+        const taxable = profit + lossCarried;
+        lossCarried = Math.min(taxable, 0);
+        const finance = y.finance + financeCarried;
+        const relieved = Math.min(finance, Math.max(taxable, 0));
+        financeCarried = finance - relieved;
+        y.tax = Math.max(
+          Math.max(taxable, 0) * taxRate -
+            relieved * structure.financeCredit,
+          0
+        );
+      }
+      y.cashflow = profit - y.finance - y.tax;
+      cumulative += y.cashflow;
+      y.cumulative = cumulative;
+      financeCost += y.finance;
+      taxPaid += y.tax;
+    }
+
+    const last = schedule[schedule.length - 1];
+    const equityAtEnd = last ? last.houseValue - principal : 0;
+    const first = yearly[0];
+    const invested = D + upfront;
+    return {
+      yearly,
+      result: {
+        firstYear: first
+          ? {
+              collected: first.collected,
+              letting: first.letting,
+              upkeep: first.upkeep,
+              finance: first.finance,
+              tax: first.tax,
+              cashflow: first.cashflow,
+            }
+          : null,
+        financeCost,
+        taxPaid,
+        netIncome: cumulative,
+        netYield:
+          first && invested > 0 ? (first.cashflow / invested) * 100 : 0,
+        upfront,
+        equityAtEnd,
+        totalReturn: cumulative + equityAtEnd - invested,
+      },
+    };
+  };
+
+  // Interest-only mortgage on the whole loan; ijara rent on the bank share
+  const interest = run(
+    "interest",
+    (row) => (principal * row.rateInterest) / 100 / 12,
+    0
+  );
+  const islamic = run(
+    "islamic",
+    (row) => (S0 * P * row.rentRate) / 100 / 12,
+    S0
+  );
+
+  const lendingTest = (firstRate, result) => {
+    const stressRate = Math.max(
+      firstRate + BTL_LENDING.stressAdd,
+      BTL_LENDING.stressFloor
+    );
+    const stressedCost = (principal * stressRate) / 12;
+    const icr = stressedCost > 0 ? monthlyRent / stressedCost : Infinity;
+    const maxLoan = Math.min(
+      BTL_LENDING.maxLTV * P,
+      monthlyRent / ((icrRequired * stressRate) / 12)
+    );
+    const reasons = [];
+    if (principal > BTL_LENDING.maxLTV * P + 1e-6) {
+      reasons.push(
+        `LTV ${((principal / P) * 100).toFixed(1)}% is above the ${(
+          BTL_LENDING.maxLTV * 100
+        ).toFixed(0)}% buy-to-let maximum.`
+      );
+    }
+    if (icr < icrRequired) {
+      reasons.push(
+        `Rent covers the stressed cost ${(icr * 100).toFixed(
+          0
+        )}%, below the ${(icrRequired * 100).toFixed(0)}% required.`
+      );
+    }
+    return {
+      ...result,
+      stressRate: stressRate * 100,
+      icr,
+      icrRequired,
+      maxLoan,
+      offered: principal > 0 && reasons.length === 0,
+      reasons,
+    };
+  };
+
+  const first = schedule[0];
+  return {
+    stampDutyName: regime.label,
+    grossYield: P > 0 ? ((monthlyRent * 12) / P) * 100 : 0,
+    ltv: P > 0 ? (principal / P) * 100 : 0,
+    interest: lendingTest(
+      first ? first.rateInterest / 100 : 0,
+      interest.result
+    ),
+    islamic: lendingTest(first ? first.rentRate / 100 : 0, islamic.result),
+    curve: [
+      { year: 0, cashInterest: 0, cashIslamic: 0 },
+      ...interest.yearly.map((y, i) => ({
+        year: y.year,
+        cashInterest: y.cumulative,
+        cashIslamic: islamic.yearly[i].cumulative,
+      })),
+    ],
+  };
+}
@@ -0,0 +1,65 @@
+export function clamp(num, min, max) {
+  return Math.min(Math.max(num, min), max);
+}
+
+export function stdDev(arr) {
+  const n = arr.length;
+  if (n <= 1) return 0;
+  const mean = arr.reduce((s, x) => s + x, 0) / n;
+  const v = arr.reduce((s, x) => s + (x - mean) * (x - mean), 0) / (n - 1);
+  return Math.sqrt(v);
+}
+
+// linear interpolation between closest ranks; `sorted` must be ascending
+export function percentile(sorted, q) {
+  const n = sorted.length;
+  if (n === 0) return 0;
+  const pos = clamp(q, 0, 1) * (n - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// share of successes with its binomial standard error and a Wilson 95%
+// interval, all on a 0–100 scale. Unlike p ± 1.96 se, the Wilson interval
+// keeps some width when every run (or none) succeeds; se is still 0 then
+export function proportionInterval(successes, n) {
+  if (!n) return { value: 0, se: 0, low: 0, high: 0 };
+  const z = 1.96;
+  const p = successes / n;
+  const se = Math.sqrt((p * (1 - p)) / n);
+  const denom = 1 + (z * z) / n;
+  const centre = (p + (z * z) / (2 * n)) / denom;
+  const half =
+    (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return {
+    value: p * 100,
+    se: se * 100,
+    low: clamp(centre - half, 0, 1) * 100,
+    high: clamp(centre + half, 0, 1) * 100,
+  };
+}
+
+export const DEFAULT_SEED = 20240601;
+
+// mulberry32: small, fast and good enough for Monte Carlo paths.
+// Returns a function with the same contract as Math.random.
+export function createRng(seed = DEFAULT_SEED) {
+  let a = Number(seed) >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// approximate N(0,1)
+export function randomNormal(rng = Math.random) {
+  let u = 0;
+  let v = 0;
+  while (u === 0) u = rng();
+  while (v === 0) v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
@@ -0,0 +1,398 @@
+import {
+  DEFAULT_SEED,
+  clamp,
+  createRng,
+  percentile,
+  randomNormal,
+  stdDev,
+} from "./math.js";
+import { scenarioShockAt } from "./scenarios.js";
+
+/* ============= NATIONAL 30 YEAR SIM ============= */
+
+/**
+ * Score simulated GDP growth and inflation paths on a 0–100 scale, where
+ * higher is more stable. Methods are described in STABILITY_METHODS.
+ *
+ * @param {number[]} growthRates Annual GDP growth in percent.
+ * @param {number[]} inflationSeries Annual inflation in percent.
+ * @param {object} calibration An entry of CALIBRATION_MODES.
+ * @param {string} [method] A key of STABILITY_METHODS, default "volatility".
+ * @returns {{ gdp: number, inflation: number }}
+ */
+export function scoreStability(
+  growthRates,
+  inflationSeries,
+  calibration,
+  method = "volatility"
+) {
+  const macro = calibration.macro;
+  const gdpRef = macro.gdpVolatility * 100 || 2.5;
+  const piRef = macro.inflationVolatility * 100 || 1.3;
+  const trendG = macro.gdpGrowth * 100;
+  const targetPi = (macro.inflationTarget ?? 0.02) * 100;
+
+  // a deviation equal to the historical reference scores 50
+  const fromDeviation = (dev, ref) => clamp(100 - 50 * (dev / ref), 0, 100);
+  const rms = (arr, centre) =>
+    Math.sqrt(
+      arr.reduce((s, x) => s + (x - centre) * (x - centre), 0) /
+        (arr.length || 1)
+    );
+  const shareOf = (arr, test) =>
+    (arr.filter(test).length / (arr.length || 1)) * 100;
+
+  switch (method) {
+    case "deviation":
+      return {
+        gdp: fromDeviation(rms(growthRates, trendG), gdpRef),
+        inflation: fromDeviation(rms(inflationSeries, targetPi), piRef),
+      };
+    case "band":
+      return {
+        gdp: shareOf(growthRates, (g) => g > 0),
+        inflation: shareOf(
+          inflationSeries,
+          (pi) => Math.abs(pi - targetPi) <= 1
+        ),
+      };
+    case "volatility":
+    default:
+      return {
+        gdp: fromDeviation(stdDev(growthRates), gdpRef),
+        inflation: fromDeviation(stdDev(inflationSeries), piRef),
+      };
+  }
+}
+
+/**
+ * Thirty year national path for one system.
+ *
+ * @param {"interest" | "islamic"} system
+ * @param {object} calibration An entry of CALIBRATION_MODES.
+ * @param {object} sme Result of calculateSmeMetrics.
+ * @param {object} scenario An entry of SCENARIOS or a normalised custom
+ *   scenario; its shocks are added in the years they are active.
+ * @param {object} [options]
+ * @param {string} [options.stabilityMethod] A key of STABILITY_METHODS
+ *   used for economicStability and inflationStability.
+ * @param {() => number} [options.rng] Uniform generator. When given, the
+ *   path is stochastic: GDP growth and inflation get AR(1) shocks scaled
+ *   by the calibrated volatilities. Without it the path is deterministic.
+ * @returns {{
+ *   stabilityMethod: string,
+ *   metrics: {
+ *     economicStability: number,
+ *     inflationStability: number,
+ *     householdDebtRatio: number,
+ *     smeDefaultRate: number,
+ *     unemploymentRate: number,
+ *     govBorrowCost: number,
+ *   },
+ *   series: {
+ *     year: number,
+ *     gdp: number,
+ *     inflation: number,
+ *     debtRatio: number,
+ *     unemployment: number,
+ *     borrowingCost: number,
+ *   }[],
+ * }}
+ */
+export function simulateNationalSystem(
+  system,
+  calibration,
+  sme,
+  scenario,
+  options = {}
+) {
+  const years = 30;
+  const series = [];
+  const gdpIndex = [];
+  const inflationSeries = [];
+  const debtRatio = [];
+  const unemploymentSeries = [];
+  const borrowingSeries = [];
+
+  const isInterest = system === "interest";
+
+  const macro = calibration.macro;
+  const baseG = macro.gdpGrowth;
+  const basePi = macro.inflationAvg;
+
+  let gdp = 100;
+  let debt = macro.householdDebtIncome * 100;
+  let unemp = isInterest ? 5.0 : 4.5;
+
+  gdpIndex.push(gdp);
+
+  const rng = options.rng;
+  const gdpVol = macro.gdpVolatility * 100;
+  const piVol = macro.inflationVolatility * 100;
+  let shockG = 0;
+  let shockPi = 0;
+
+  for (let t = 1; t <= years; t++) {
+    if (rng) {
+      // persistent shocks, scaled so the stationary sd matches calibration
+      shockG =
+        0.3 * shockG + Math.sqrt(1 - 0.09) * gdpVol * randomNormal(rng);
+      shockPi =
+        0.5 * shockPi + Math.sqrt(1 - 0.25) * piVol * randomNormal(rng);
+    }
+
+    // fixed repayments push debt to income up when income undershoots,
+    // shared risk finance absorbs part of the loss
+    const debtTrend = isInterest ? 2 : 0.5;
+    debt += debtTrend - (isInterest ? 1 : 0.5) * shockG;
+    debtRatio.push(debt);
+
+    const drag = isInterest
+      ? 0.03 * Math.max(0, debt - 80)
+      : 0.015 * Math.max(0, debt - 60);
+
+    const crisis = scenarioShockAt(scenario, t);
+    const g = baseG * 100 - drag + shockG + crisis.gdp;
+
+    const creditTerm = isInterest
+      ? 0.03 * (debt - macro.householdDebtIncome * 120) / 50
+      : 0.01 * (debt - macro.householdDebtIncome * 70) / 50;
+
+    const cyc = (isInterest ? 0.7 : 0.35) * Math.sin(t / 3);
+    const pi =
+      basePi * 100 + creditTerm * 100 + cyc + shockPi + crisis.inflation;
+
+    gdp = gdp * (1 + g / 100);
+    gdpIndex.push(gdp);
+    inflationSeries.push(pi);
+
+    const growthGap = g - baseG * 100;
+    unemp = clamp(
+      unemp -
+        0.15 * (growthGap / 1.0) +
+        crisis.unemployment,
+      3,
+      16
+    );
+    unemploymentSeries.push(unemp);
+
+    const basePolicy = 4;
+    const riskSpread = isInterest
+      ? 0.02 * Math.max(0, debt - 100) / 100
+      : 0.012 * Math.max(0, debt - 80) / 100;
+    const crisisPremium = crisis.borrowing;
+    const borrowingCost =
+      basePolicy + riskSpread + crisisPremium - (isInterest ? 0 : 0.4);
+    borrowingSeries.push(borrowingCost);
+
+    series.push({
+      year: t,
+      gdp,
+      inflation: pi,
+      debtRatio: debt,
+      unemployment: unemp,
+      borrowingCost,
+    });
+  }
+
+  const growthRates = [];
+  for (let t = 1; t < gdpIndex.length; t++) {
+    const gr = ((gdpIndex[t] / gdpIndex[t - 1]) - 1) * 100;
+    growthRates.push(gr);
+  }
+
+  const { gdp: gdpStability, inflation: piStability } = scoreStability(
+    growthRates,
+    inflationSeries,
+    calibration,
+    options.stabilityMethod
+  );
+
+  const smeDefaultRate = isInterest
+    ? 100 - sme.survivalInterest
+    : 100 - sme.survivalIslamic;
+
+  const tailDebt = debtRatio.slice(-5);
+  const avgDebt =
+    tailDebt.reduce((s, x) => s + x, 0) / (tailDebt.length || 1);
+
+  const tailUnemp = unemploymentSeries.slice(-5);
+  const avgUnemp =
+    tailUnemp.reduce((s, x) => s + x, 0) / (tailUnemp.length || 1);
+
+  const tailBorrow = borrowingSeries.slice(-5);
+  const avgBorrow =
+    tailBorrow.reduce((s, x) => s + x, 0) / (tailBorrow.length || 1);
+
+  return {
+    stabilityMethod: options.stabilityMethod || "volatility",
+    metrics: {
+      economicStability: Math.round(gdpStability),
+      inflationStability: Math.round(piStability),
+      householdDebtRatio: Math.round(avgDebt),
+      smeDefaultRate: Number(smeDefaultRate.toFixed(1)),
+      unemploymentRate: Number(avgUnemp.toFixed(1)),
+      govBorrowCost: Number(avgBorrow.toFixed(1)),
+    },
+    series,
+  };
+}
+
+/**
+ * Run simulateNationalSystem for both systems.
+ *
+ * @returns {{ interest: object, islamic: object }}
+ */
+export function simulateAllNational(
+  calibration,
+  sme,
+  scenario,
+  options = {}
+) {
+  const interest = simulateNationalSystem(
+    "interest",
+    calibration,
+    sme,
+    scenario,
+    options
+  );
+  const islamic = simulateNationalSystem(
+    "islamic",
+    calibration,
+    sme,
+    scenario,
+    options
+  );
+  return { interest, islamic };
+}
+
+export const DEFAULT_NATIONAL_PATHS = 500;
+export const MAX_NATIONAL_PATHS = 2000;
+
+const BAND_FIELDS = ["gdp", "inflation", "unemployment", "debtRatio"];
+const METRIC_FIELDS = [
+  "economicStability",
+  "inflationStability",
+  "householdDebtRatio",
+  "smeDefaultRate",
+  "unemploymentRate",
+  "govBorrowCost",
+];
+
+function summarise(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    mean: sorted.reduce((s, x) => s + x, 0) / (sorted.length || 1),
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+  };
+}
+
+function aggregatePaths(runs) {
+  const years = runs[0].series.length;
+
+  const bands = [];
+  const series = [];
+  for (let t = 0; t < years; t++) {
+    const band = { year: runs[0].series[t].year };
+    const median = { year: band.year };
+    for (const field of BAND_FIELDS) {
+      const stats = summarise(runs.map((r) => r.series[t][field]));
+      band[`${field}P10`] = stats.p10;
+      band[`${field}P50`] = stats.p50;
+      band[`${field}P90`] = stats.p90;
+      median[field] = stats.p50;
+    }
+    median.borrowingCost = summarise(
+      runs.map((r) => r.series[t].borrowingCost)
+    ).p50;
+    bands.push(band);
+    series.push(median);
+  }
+
+  const distributions = {};
+  const metrics = {};
+  for (const field of METRIC_FIELDS) {
+    distributions[field] = summarise(runs.map((r) => r.metrics[field]));
+    metrics[field] = Number(distributions[field].p50.toFixed(1));
+  }
+  metrics.economicStability = Math.round(metrics.economicStability);
+  metrics.inflationStability = Math.round(metrics.inflationStability);
+  metrics.householdDebtRatio = Math.round(metrics.householdDebtRatio);
+
+  return {
+    stabilityMethod: runs[0].stabilityMethod,
+    metrics,
+    series,
+    bands,
+    distributions,
+  };
+}
+
+/**
+ * Stochastic national model: many thirty year paths per system. Both
+ * systems see the same shock draws on each path, so differences come from
+ * how each system transmits the shocks.
+ *
+ * metrics and series hold medians across paths so they can be used
+ * wherever a deterministic result is expected.
+ *
+ * @param {object} calibration An entry of CALIBRATION_MODES.
+ * @param {object} sme Result of calculateSmeMetrics.
+ * @param {object} scenario An entry of SCENARIOS.
+ * @param {object} [options]
+ * @param {number} [options.paths] Paths per system, default
+ *   DEFAULT_NATIONAL_PATHS, at most MAX_NATIONAL_PATHS.
+ * @param {number} [options.seed] PRNG seed.
+ * @param {string} [options.stabilityMethod] A key of STABILITY_METHODS.
+ * @returns {{
+ *   paths: number,
+ *   seed: number,
+ *   interest: NationalDistribution,
+ *   islamic: NationalDistribution,
+ * }} where NationalDistribution is the simulateNationalSystem shape plus
+ *   `bands` (per year P10/P50/P90 of gdp, inflation, unemployment and
+ *   debtRatio, e.g. gdpP10) and `distributions` (mean, p10, p50, p90 of
+ *   every metric across paths).
+ */
+export function simulateNationalPaths(
+  calibration,
+  sme,
+  scenario,
+  options = {}
+) {
+  const paths = clamp(
+    Math.round(Number(options.paths)) || DEFAULT_NATIONAL_PATHS,
+    1,
+    MAX_NATIONAL_PATHS
+  );
+  const seed = Number.isFinite(Number(options.seed ?? DEFAULT_SEED))
+    ? Number(options.seed ?? DEFAULT_SEED) >>> 0
+    : DEFAULT_SEED;
+  const runOptions = { stabilityMethod: options.stabilityMethod };
+
+  const interestRuns = [];
+  const islamicRuns = [];
+  for (let k = 0; k < paths; k++) {
+    interestRuns.push(
+      simulateNationalSystem("interest", calibration, sme, scenario, {
+        ...runOptions,
+        rng: createRng(seed + k),
+      })
+    );
+    islamicRuns.push(
+      simulateNationalSystem("islamic", calibration, sme, scenario, {
+        ...runOptions,
+        rng: createRng(seed + k),
+      })
+    );
+  }
+
+  return {
+    paths,
+    seed,
+    interest: aggregatePaths(interestRuns),
+    islamic: aggregatePaths(islamicRuns),
+  };
+}
@@ -0,0 +1,210 @@
+import { STAMP_DUTY_REGIMES, OWNERSHIP_COSTS } from "./config.js";
+import { calculateHouseholdMetrics } from "./household.js";
+
+/* ============= COST OF OWNERSHIP ============= */
+
+function sliceTax(price, bands) {
+  let tax = 0;
+  let from = 0;
+  for (const { upTo, rate } of bands) {
+    if (price <= from) break;
+    tax += (Math.min(price, upTo) - from) * rate;
+    from = upTo;
+  }
+  return tax;
+}
+
+/**
+ * The STAMP_DUTY_REGIMES entry for a calibration: the one named by its
+ * `taxRegime` (set by regionalCalibration), England's otherwise.
+ *
+ * @param {object} [calibration]
+ * @returns {object}
+ */
+export function stampDutyRegime(calibration) {
+  return (
+    STAMP_DUTY_REGIMES[calibration?.taxRegime] || STAMP_DUTY_REGIMES.england
+  );
+}
+
+/**
+ * Stamp duty on a purchase under one nation's regime (see
+ * STAMP_DUTY_REGIMES): SDLT by default, LBTT in Scotland, LTT in Wales.
+ * First-time buyer relief applies when asked for, the regime has one and
+ * the price is within its maxPrice. An additional dwelling, such as a
+ * buy-to-let, pays the regime's higher rates and gets no relief.
+ *
+ * @param {number} price Purchase price.
+ * @param {boolean} [firstTimeBuyer]
+ * @param {{ regime?: string, additional?: boolean }} [options] regime is
+ *   a key of STAMP_DUTY_REGIMES, "england" by default.
+ * @returns {number} Tax in pounds.
+ */
+export function stampDuty(price, firstTimeBuyer = false, options = {}) {
+  const P = Math.max(Number(price) || 0, 0);
+  const regime =
+    STAMP_DUTY_REGIMES[options.regime] || STAMP_DUTY_REGIMES.england;
+  if (options.additional) return sliceTax(P, regime.additionalBands);
+  const relief = regime.firstTimeBuyer;
+  if (firstTimeBuyer && relief && P <= relief.maxPrice) {
+    return sliceTax(P, relief.bands);
+  }
+  return sliceTax(P, regime.bands);
+}
+
+/**
+ * Total cost of ownership over the term for both structures: the
+ * monthly payments from calculateHouseholdMetrics plus stamp duty,
+ * arrangement, valuation and legal fees, buildings insurance and
+ * maintenance (see OWNERSHIP_COSTS).
+ *
+ * On a home purchase plan the bank buys the property and the customer
+ * buys it back over time. Alternative property finance relief means
+ * stamp duty is charged once, on the bank's purchase, as it would be on
+ * a mortgage; `sdltRelief` is the second charge that relief avoids. As
+ * co-owner the bank is liable for its share of buildings insurance and
+ * structural maintenance, so the customer pays those only on their own
+ * share; routine upkeep falls on the occupier under both structures.
+ * When the household result includes an ijara, the bank holds the whole
+ * title until the last payment, so it bears all insurance and
+ * structural repairs until then.
+ * There is no income tax relief on mortgage interest or musharakah rent
+ * for an owner-occupier, so neither side has a tax credit.
+ *
+ * Stamp duty follows the calibration's nation (see stampDutyRegime), and
+ * `stampDutyName` names the tax: SDLT, LBTT or LTT.
+ *
+ * @param {object} input calculateHouseholdMetrics input, plus an
+ *   optional `firstTimeBuyer` flag.
+ * @param {object} [household] calculateHouseholdMetrics result for the
+ *   same input, to save running it again.
+ * @returns {{
+ *   stampDutyName: string,
+ *   sdltRelief: number,
+ *   interest: OwnershipCost,
+ *   islamic: OwnershipCost,
+ *   ijara?: OwnershipCost,
+ *   cheaper: "interest" | "islamic" | "ijara" | null,
+ *   cheaperBy: number,
+ *   flipped: boolean,
+ * }} where OwnershipCost is `{ payments, sdlt, arrangementFee,
+ *   valuationFee, legalFees, insurance, maintenance, upfront, total }` in
+ *   pounds, `cheaper` is the structure with the lowest total, including
+ *   the ijara when there is one, or null within £1 of the next,
+ *   `cheaperBy` is its lead over the next cheapest, and `flipped` is true
+ *   when the cheapest structure on total cost differs from the cheapest
+ *   on payments alone.
+ */
+export function calculateOwnershipCosts(input, household) {
+  const result = household || calculateHouseholdMetrics(input);
+  if (!result.schedule.length) {
+    const none = {
+      payments: 0,
+      sdlt: 0,
+      arrangementFee: 0,
+      valuationFee: 0,
+      legalFees: 0,
+      insurance: 0,
+      maintenance: 0,
+      upfront: 0,
+      total: 0,
+    };
+    return {
+      stampDutyName: stampDutyRegime(input.calibration).label,
+      sdltRelief: 0,
+      interest: none,
+      islamic: { ...none },
+      ...("totalPaidIjara" in result && { ijara: { ...none } }),
+      cheaper: null,
+      cheaperBy: 0,
+      flipped: false,
+    };
+  }
+  const P = Math.max(Number(input.propertyValue) || 0, 0);
+  const regime = stampDutyRegime(input.calibration).id;
+  const sdlt = stampDuty(P, Boolean(input.firstTimeBuyer), { regime });
+  const { insuranceRate, maintenanceRate, majorMaintenanceShare } =
+    OWNERSHIP_COSTS;
+
+  // running costs month by month, at that month's house value
+  let insurance = 0;
+  let maintenance = 0;
+  let insuranceIslamic = 0;
+  let maintenanceIslamic = 0;
+  let insuranceIjara = 0;
+  let maintenanceIjara = 0;
+  for (const row of result.schedule) {
+    const ownShare = 1 - row.bankShare / 100;
+    const insure = (row.houseValue * insuranceRate) / 12;
+    const upkeep = (row.houseValue * maintenanceRate) / 12;
+    insurance += insure;
+    maintenance += upkeep;
+    insuranceIslamic += insure * ownShare;
+    maintenanceIslamic +=
+      upkeep * (1 - majorMaintenanceShare) +
+      upkeep * majorMaintenanceShare * ownShare;
+    if (row.balanceIjara !== undefined && row.balanceIjara <= 0) {
+      insuranceIjara += insure;
+      maintenanceIjara += upkeep;
+    } else {
+      maintenanceIjara += upkeep * (1 - majorMaintenanceShare);
+    }
+  }
+
+  // fees by structure; the ijara pays the Islamic fees
+  const build = (key, payments, running) => {
+    const fees = OWNERSHIP_COSTS[key];
+    const upfront =
+      sdlt + fees.arrangementFee + fees.valuationFee + fees.legalFees;
+    return {
+      payments,
+      sdlt,
+      arrangementFee: fees.arrangementFee,
+      valuationFee: fees.valuationFee,
+      legalFees: fees.legalFees,
+      ...running,
+      upfront,
+      total: payments + upfront + running.insurance + running.maintenance,
+    };
+  };
+
+  const interest = build("interest", result.totalPaidInterest, {
+    insurance,
+    maintenance,
+  });
+  const islamic = build("islamic", result.totalPaidIslamic, {
+    insurance: insuranceIslamic,
+    maintenance: maintenanceIslamic,
+  });
+
+  const ijara =
+    "totalPaidIjara" in result
+      ? build("islamic", result.totalPaidIjara, {
+          insurance: insuranceIjara,
+          maintenance: maintenanceIjara,
+        })
+      : null;
+
+  const structures = { interest, islamic, ...(ijara && { ijara }) };
+  // the cheapest structure on a field and its lead over the next
+  const cheapestBy = (field) => {
+    const [first, second] = Object.entries(structures).sort(
+      ([, a], [, b]) => a[field] - b[field]
+    );
+    const lead = second[1][field] - first[1][field];
+    return lead < 1 ? [null, 0] : [first[0], lead];
+  };
+  const [cheaper, cheaperBy] = cheapestBy("total");
+  const [paymentsCheaper] = cheapestBy("payments");
+
+  return {
+    stampDutyName: stampDutyRegime(input.calibration).label,
+    sdltRelief: stampDuty(P, false, { regime }),
+    ...structures,
+    cheaper,
+    cheaperBy,
+    flipped: Boolean(
+      cheaper && paymentsCheaper && cheaper !== paymentsCheaper
+    ),
+  };
+}
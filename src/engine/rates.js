@@ -0,0 +1,36 @@
+import { clamp } from "./math.js";
+
+/* ============= RATE PATHS ============= */
+
+/**
+ * Parse a yearly rate path typed as text, e.g. "5.25, 4.75, 4.5".
+ * Values are percentages for year 1, 2, 3 and so on; anything that is
+ * not a number is dropped and values are clamped to -1..25.
+ *
+ * @param {string | number[]} input
+ * @returns {number[]} Percentages, possibly empty.
+ */
+export function parseRatePath(input) {
+  const parts = Array.isArray(input)
+    ? input
+    : String(input ?? "").split(/[\s,;]+/);
+  return parts
+    .filter((x) => x !== "")
+    .map(Number)
+    .filter(Number.isFinite)
+    .map((x) => clamp(x, -1, 25));
+}
+
+/**
+ * Rate in force in year `t` (1-based). The last value carries forward
+ * past the end of the path; an empty path gives `fallback`.
+ *
+ * @param {number[]} path Percentages from parseRatePath.
+ * @param {number} t
+ * @param {number} fallback Percentage.
+ * @returns {number} Percentage.
+ */
+export function ratePathAt(path, t, fallback) {
+  if (!path?.length) return fallback;
+  return path[clamp(Math.ceil(t), 1, path.length) - 1];
+}
@@ -0,0 +1,60 @@
+import { CALIBRATION_MODES, HOUSING_REGIONS } from "./config.js";
+
+/* ============= HOUSING REGIONS ============= */
+
+/**
+ * Calibration with a region's housing figures in place of the national
+ * ones (see HOUSING_REGIONS). Only the housing block changes; SME and
+ * macro figures stay national. An unknown region, or "national", returns
+ * the calibration unchanged.
+ *
+ * @param {object} calibration A CALIBRATION_MODES entry.
+ * @param {string} [regionId] Key of HOUSING_REGIONS.
+ * @returns {object} Calibration, with `region` set to the region label
+ *   and `taxRegime` to its STAMP_DUTY_REGIMES key when one applies.
+ */
+export function regionalCalibration(calibration, regionId) {
+  const region = HOUSING_REGIONS[regionId];
+  if (!region || region.id === "national") return calibration;
+  return {
+    ...calibration,
+    region: region.label,
+    taxRegime: region.taxRegime || "england",
+    housing: { ...calibration.housing, ...region.housing },
+  };
+}
+
+/**
+ * Household preset moved to a region: the price and deposit scale with
+ * the region's average price, the salary with its median income, and the
+ * rental yield moves by the gap between the regional and national
+ * yields. Presets are written for the UK average, so "national" returns
+ * the preset unchanged.
+ *
+ * @param {object} preset A HOUSEHOLD_PRESETS entry.
+ * @param {string} [regionId] Key of HOUSING_REGIONS.
+ * @returns {object} Preset with the same id and label.
+ */
+export function regionalHousePreset(preset, regionId) {
+  const region = HOUSING_REGIONS[regionId];
+  if (!region || region.id === "national") return preset;
+  const national = CALIBRATION_MODES.uk.housing;
+  const housing = { ...national, ...region.housing };
+  const priceRatio =
+    region.averagePrice / HOUSING_REGIONS.national.averagePrice;
+  const incomeRatio =
+    housing.medianGrossIncome / national.medianGrossIncome;
+  const round = (x, step) => Math.round(x / step) * step;
+  return {
+    ...preset,
+    salary: round(preset.salary * incomeRatio, 500),
+    deposit: round(preset.deposit * priceRatio, 1000),
+    propertyValue: round(preset.propertyValue * priceRatio, 5000),
+    rentalYield:
+      Math.round(
+        (preset.rentalYield +
+          (housing.rentalYield - national.rentalYield) * 100) *
+          10
+      ) / 10,
+  };
+}
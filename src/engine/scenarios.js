@@ -0,0 +1,100 @@
+import { EMPTY_SHOCK } from "./config.js";
+import { clamp } from "./math.js";
+
+/* ============= MACRO SCENARIOS ============= */
+
+export const SCENARIO_HORIZON = 30;
+
+const SHOCK_LIMITS = {
+  startYear: [1, SCENARIO_HORIZON],
+  duration: [1, SCENARIO_HORIZON],
+  gdpShock: [-20, 10],
+  inflationShock: [-5, 20],
+  unemploymentJump: [-5, 10],
+  borrowingPremium: [-5, 10],
+};
+
+function normaliseShock(shock) {
+  const out = {};
+  for (const [key, [min, max]] of Object.entries(SHOCK_LIMITS)) {
+    const v = Number(shock?.[key]);
+    out[key] = clamp(Number.isFinite(v) ? v : EMPTY_SHOCK[key], min, max);
+  }
+  out.startYear = Math.round(out.startYear);
+  out.duration = Math.round(out.duration);
+  return out;
+}
+
+/**
+ * Clean up a user built scenario: fills missing fields, clamps shock
+ * sizes to plausible ranges and rounds years.
+ *
+ * @param {object} scenario
+ * @returns {{
+ *   id: string,
+ *   label: string,
+ *   description: string,
+ *   recessionShockFactor: number,
+ *   shocks: {
+ *     startYear: number, duration: number, gdpShock: number,
+ *     inflationShock: number, unemploymentJump: number,
+ *     borrowingPremium: number,
+ *   }[],
+ * }}
+ */
+export function normaliseScenario(scenario) {
+  const factor = Number(scenario?.recessionShockFactor);
+  return {
+    id: String(scenario?.id || "custom"),
+    label: String(scenario?.label || "Custom scenario"),
+    description: String(scenario?.description || ""),
+    recessionShockFactor: clamp(
+      Number.isFinite(factor) ? factor : 1,
+      0,
+      3
+    ),
+    shocks: Array.isArray(scenario?.shocks)
+      ? scenario.shocks.map(normaliseShock)
+      : [],
+  };
+}
+
+/**
+ * Sum of every shock active in year `t` (1-based).
+ *
+ * @returns {{ gdp: number, inflation: number, unemployment: number,
+ *   borrowing: number, active: boolean }}
+ */
+export function scenarioShockAt(scenario, t) {
+  const total = {
+    gdp: 0,
+    inflation: 0,
+    unemployment: 0,
+    borrowing: 0,
+    active: false,
+  };
+  for (const shock of scenario?.shocks || []) {
+    if (t >= shock.startYear && t < shock.startYear + shock.duration) {
+      total.gdp += shock.gdpShock;
+      total.inflation += shock.inflationShock;
+      total.unemployment += shock.unemploymentJump;
+      total.borrowing += shock.borrowingPremium;
+      total.active = true;
+    }
+  }
+  return total;
+}
+
+/**
+ * First year within SCENARIO_HORIZON where the scenario's shocks add up
+ * to a fall in GDP, the year a business following the scenario should
+ * start in to meet the downturn. 1 when there is none.
+ *
+ * @returns {number}
+ */
+export function firstDownturnYear(scenario) {
+  for (let t = 1; t <= SCENARIO_HORIZON; t++) {
+    if (scenarioShockAt(scenario, t).gdp < 0) return t;
+  }
+  return 1;
+}
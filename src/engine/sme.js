@@ -0,0 +1,858 @@
+import {
+  DEFAULT_SEED,
+  createRng,
+  randomNormal,
+  percentile,
+  proportionInterval,
+  clamp,
+} from "./math.js";
+import { SME_STRUCTURES } from "./config.js";
+import { scenarioShockAt } from "./scenarios.js";
+
+/* ============= SME MONTE CARLO ============= */
+
+export const DEFAULT_SME_RUNS = 350;
+export const MIN_SME_RUNS = 100;
+export const MAX_SME_RUNS = 100_000;
+
+export const DEFAULT_SME_STRUCTURE = {
+  structure: "profit_share",
+  profitSharePercent: 30,
+  lossSharePercent: 50,
+  profitCapPercent: 0,
+  markupPercent: 7,
+  ownerCapitalPercent: 100,
+};
+
+// Start year 0 puts a fixed recession in the middle of the term
+export const DEFAULT_SME_RECESSION = {
+  mode: "fixed",
+  startYear: 0,
+  lengthYears: 1,
+  persistence: 0,
+  scenarioStartYear: 1,
+};
+
+// Cash model, off by default so default reflects solvency alone. Cash,
+// working capital and the facility are percentages of starting revenue
+export const DEFAULT_SME_LIQUIDITY = {
+  enabled: false,
+  openingCashPercent: 10,
+  workingCapitalPercent: 15,
+  facilityPercent: 10,
+  overdraftRatePercent: 11,
+  covenantCover: 1.25,
+  restructure: true,
+};
+
+// A national GDP shock of this many points a year hits revenue with the
+// full sector recession shock; deeper shocks hit harder
+const REFERENCE_GDP_SHOCK = -3;
+// Revenue never falls below this share of trend in a downturn year
+const MIN_REVENUE_SHARE = 0.05;
+
+// The original Islamic case: 30% of positive profit
+const FLAT_SHARE = { id: "profit_share", profitShare: 0.3 };
+
+// Cash model settings for simulateOneBusiness, as fractions of revenue,
+// or null when it is off
+function resolveLiquidity(settings, revenue) {
+  if (!settings.enabled) return null;
+  const num = (v, fallback) =>
+    Number.isFinite(Number(v)) ? Number(v) : fallback;
+  const share = (v, fallback) =>
+    (Math.max(num(v, fallback), 0) / 100) * revenue;
+  return {
+    openingCash: share(settings.openingCashPercent, 10),
+    workingCapital: Math.max(num(settings.workingCapitalPercent, 15), 0) / 100,
+    facility: share(settings.facilityPercent, 10),
+    overdraftRate: Math.max(num(settings.overdraftRatePercent, 11), 0) / 100,
+    covenantCover: Math.max(num(settings.covenantCover, 1.25), 0),
+    restructure: Boolean(settings.restructure),
+  };
+}
+
+/**
+ * Contract terms for simulateOneBusiness from structure settings (see
+ * DEFAULT_SME_STRUCTURE), as fractions. An unknown id falls back to the
+ * default structure.
+ *
+ * @param {string} id Key of SME_STRUCTURES.
+ * @param {object} settings `{ profitSharePercent, lossSharePercent,
+ *   profitCapPercent, markupPercent, ownerCapitalPercent }`, where
+ *   ownerCapitalPercent is the owner's capital in a musharakah as a
+ *   percentage of the bank's, and may exceed 100.
+ * @returns {{ id: string, profitShare: number, lossShare: number,
+ *   profitCap: number, markup: number, ownerCapital: number }}
+ */
+export function resolveTerms(id, settings) {
+  const pct = (v, fallback) =>
+    Number.isFinite(Number(v)) ? clamp(Number(v), 0, 100) / 100 : fallback;
+  return {
+    id: SME_STRUCTURES[id] ? id : DEFAULT_SME_STRUCTURE.structure,
+    profitShare: pct(settings.profitSharePercent, 0.3),
+    lossShare: pct(settings.lossSharePercent, 0.5),
+    profitCap: pct(settings.profitCapPercent, 0),
+    markup: pct(settings.markupPercent, 0.07),
+    ownerCapital: Number.isFinite(Number(settings.ownerCapitalPercent))
+      ? Math.max(Number(settings.ownerCapitalPercent), 0) / 100
+      : 1,
+  };
+}
+
+/**
+ * Revenue multiplier for each year of the term from the recession
+ * settings: 1 outside a downturn. The sector shock is scaled by the
+ * scenario's recessionShockFactor in both modes. A fixed recession
+ * applies it in every year it lasts. In "scenario" mode term year t is
+ * national year scenarioStartYear + t - 1, and every year with a
+ * negative GDP shock in the scenario, the same shocks
+ * simulateNationalSystem applies, is a downturn in proportion to
+ * REFERENCE_GDP_SHOCK.
+ */
+function recessionPath(settings, years, recessionShock, scenario) {
+  const path = Array.from({ length: years }, () => 1);
+  const factor = scenario?.recessionShockFactor ?? 1;
+  if (settings.mode === "scenario") {
+    const first = Math.max(
+      Math.round(Number(settings.scenarioStartYear)) || 1,
+      1
+    );
+    for (let t = 1; t <= years; t++) {
+      const { gdp } = scenarioShockAt(scenario, first + t - 1);
+      if (gdp < 0) {
+        path[t - 1] = Math.max(
+          1 + recessionShock * factor * (gdp / REFERENCE_GDP_SHOCK),
+          MIN_REVENUE_SHARE
+        );
+      }
+    }
+    return path;
+  }
+  const start =
+    clamp(Math.round(Number(settings.startYear)) || 0, 0, years) ||
+    Math.round(years / 2);
+  const length = clamp(
+    Math.round(Number(settings.lengthYears)) || 1,
+    1,
+    years
+  );
+  const hit = 1 + recessionShock * factor;
+  for (let t = start; t < start + length && t <= years; t++) {
+    if (t >= 1) path[t - 1] = hit;
+  }
+  return path;
+}
+
+/**
+ * The resolved calibration simulateOneBusiness takes as `cal`: the loan
+ * rate, sector shocks and growth, the recession path, shock persistence
+ * and, when enabled, the cash model.
+ *
+ * @param {object} input
+ * @param {object} input.calibration An entry of CALIBRATION_MODES.
+ * @param {object} [input.sectorConfig] An entry of SME_SECTORS.
+ * @param {object} input.scenario An entry of SCENARIOS.
+ * @param {number} input.years Term in years.
+ * @param {number} input.revenue Annual revenue, which scales the cash
+ *   model.
+ * @param {object} [input.recession] See DEFAULT_SME_RECESSION.
+ * @param {object} [input.liquidity] See DEFAULT_SME_LIQUIDITY.
+ * @returns {object}
+ */
+export function smeCalibration({
+  calibration,
+  sectorConfig,
+  scenario,
+  years,
+  revenue,
+  recession: recessionInput,
+  liquidity: liquidityInput,
+}) {
+  const cal = {
+    loanRate: calibration?.sme?.loanRate ?? 0.07,
+    recessionShock:
+      sectorConfig?.recessionShock ??
+      calibration?.sme?.recessionShock ??
+      -0.35,
+    revenueVolatility:
+      sectorConfig?.revenueVolatility ??
+      calibration?.sme?.revenueVolatility ??
+      0.12,
+    smeGrowth: calibration?.macro?.gdpGrowth ?? 0.02,
+  };
+  const recession = { ...DEFAULT_SME_RECESSION, ...recessionInput };
+  cal.recessionPath = recessionPath(
+    recession,
+    years,
+    cal.recessionShock,
+    scenario
+  );
+  cal.shockPersistence = clamp(Number(recession.persistence) || 0, 0, 0.95);
+  cal.liquidity = resolveLiquidity(
+    { ...DEFAULT_SME_LIQUIDITY, ...liquidityInput },
+    revenue
+  );
+  return cal;
+}
+
+/**
+ * Simulate one business path under either debt or Islamic finance.
+ * `cal` is the resolved SME calibration built by calculateSmeMetrics
+ * (loanRate, recessionShock, revenueVolatility, smeGrowth, and optionally
+ * recessionPath, shockPersistence and liquidity). `rng` is a uniform
+ * generator such as one from createRng; it defaults to Math.random.
+ *
+ * recessionPath holds a revenue multiplier per year; without it a single
+ * recession hits in the middle of the term. Revenue shocks follow an
+ * AR(1) with coefficient shockPersistence (default 0, independent years),
+ * scaled so their spread stays at revenueVolatility. When `systematic`
+ * is given, a `correlation` share of each year's shock variance comes
+ * from systematic[t - 1], a standard normal shared with other businesses,
+ * and the rest is the business's own draw.
+ *
+ * When `isIslamic` is set, `terms` picks the structure (see
+ * SME_STRUCTURES) as `{ id, profitShare, lossShare, profitCap, markup,
+ * ownerCapital }` in fractions, with profitCap a share of the finance and
+ * 0 for no cap. Profit and loss go by the bank's stake: its capital over
+ * the finance under diminishing musharakah, its share of the partnership
+ * capital, with the owner's ownerCapital times the finance beside it,
+ * under musharakah, and all of it under mudarabah, where the bank
+ * provides the only capital. The musharakah loss share applies on top.
+ * Without terms it is a flat 30% profit share. Capital the bank gets back
+ * at the end of a mudarabah or musharakah comes out of reserves, not
+ * owner income.
+ *
+ * Without `cal.liquidity` the business defaults when equity, which starts
+ * at the finance amount, goes below zero. With it (see resolveLiquidity)
+ * the business also holds opening cash, which adds to equity, ties up working capital in
+ * proportion to revenue, and can draw on a facility: an overdraft at
+ * overdraftRate under debt, a qard hasan with no charge under the Islamic
+ * structures. A year where profit covers a fixed instalment (debt,
+ * murabaha, ijara, the diminishing musharakah buyout) less than
+ * covenantCover times is a covenant breach and freezes the facility at
+ * what is drawn. When cash would run past the facility the financier
+ * may restructure once, deferring that year's instalment over the years
+ * left, with interest under debt and at no extra charge otherwise. If
+ * cash still runs past the facility the business fails for liquidity;
+ * negative equity is still a solvency failure.
+ *
+ * @returns {{
+ *   defaulted: boolean,
+ *   defaultReason: "solvency" | "liquidity" | null,
+ *   incomePath: { year: number, ownerIncome: number }[],
+ *   hadSevereDrop: boolean,
+ *   received: number,
+ *   outstanding: number,
+ *   breached: boolean,
+ *   restructured: boolean,
+ * }} where received is everything paid to the financier and outstanding
+ *   is the finance not yet returned: the loan balance under debt, the
+ *   cost not yet recovered under murabaha and ijara, the bank's remaining
+ *   capital under the partnerships, and all of it under a flat profit
+ *   share.
+ */
+export function simulateOneBusiness({
+  revenue,
+  margin,
+  financeRequired,
+  years,
+  isIslamic,
+  terms,
+  severeThreshold,
+  cal,
+  scenario,
+  systematic,
+  correlation = 0,
+  rng = Math.random,
+}) {
+  const growth = cal.smeGrowth || 0.02;
+  const rLoan = cal.loanRate;
+  const F = financeRequired;
+  const contract = isIslamic ? terms || FLAT_SHARE : null;
+  const id = contract?.id;
+
+  const A_interest =
+    (F * rLoan * Math.pow(1 + rLoan, years)) /
+    (Math.pow(1 + rLoan, years) - 1);
+  // murabaha: cost plus the markup for every year, in equal instalments
+  const instalment =
+    id === "murabaha" ? (F * (1 + contract.markup * years)) / years : 0;
+
+  const liquidity = cal.liquidity;
+  // the business's own buffer: the financed assets, plus opening cash
+  // when the cash model holds it
+  let equity = F + (liquidity ? liquidity.openingCash : 0);
+  // bank capital still at risk in the partnership structures
+  let capital = F;
+  let profitPaid = 0;
+  let received = 0;
+  const incomePath = [];
+  let hadSevereDrop = false;
+
+  let cash = liquidity ? liquidity.openingCash : 0;
+  let limit = liquidity ? liquidity.facility : 0;
+  let workingCapital = liquidity ? liquidity.workingCapital * revenue : 0;
+  let breached = false;
+  let restructured = false;
+  // deferred instalments, added to each year left after a restructuring
+  let rescheduled = 0;
+  // finance not yet returned to the financier
+  let outstanding = F;
+  const result = (defaultReason) => ({
+    defaulted: defaultReason !== null,
+    defaultReason,
+    incomePath,
+    hadSevereDrop,
+    received,
+    outstanding: Math.max(outstanding, 0),
+    breached,
+    restructured,
+  });
+
+  const recessionYear = Math.round(years / 2);
+  const rho = clamp(Number(cal.shockPersistence) || 0, 0, 0.95);
+  let macroShock = 0;
+
+  for (let t = 1; t <= years; t++) {
+    let baseRev = revenue * Math.pow(1 + growth, t - 1);
+    const vol = cal.revenueVolatility;
+    const draw = systematic
+      ? Math.sqrt(correlation) * systematic[t - 1] +
+        Math.sqrt(1 - correlation) * randomNormal(rng)
+      : randomNormal(rng);
+    macroShock = rho * macroShock + Math.sqrt(1 - rho * rho) * draw * vol;
+    baseRev = baseRev * (1 + macroShock);
+
+    if (cal.recessionPath) {
+      baseRev = baseRev * cal.recessionPath[t - 1];
+    } else if (t === recessionYear) {
+      baseRev =
+        baseRev *
+        (1 + cal.recessionShock * scenario.recessionShockFactor);
+    }
+
+    let profit = baseRev * margin;
+    profit += randomNormal(rng) * (0.05 * baseRev);
+
+    let payment;
+    // share of a loss the bank takes on its capital
+    let absorbed = 0;
+    // the part of the payment due whatever the year's profit
+    let fixed = 0;
+    // the part of the payment that is the financier's return, not capital
+    let charge = 0;
+    if (!contract) {
+      payment = A_interest + rescheduled;
+      fixed = payment;
+    } else if (id === "profit_share") {
+      payment = profit > 0 ? contract.profitShare * profit : 0;
+    } else if (id === "murabaha") {
+      payment = instalment + rescheduled;
+      fixed = payment;
+    } else if (id === "ijara") {
+      const unrecovered = F - (F * (t - 1)) / years;
+      charge = contract.markup * unrecovered;
+      payment = F / years + charge + rescheduled;
+      fixed = payment;
+    } else {
+      // profit and loss go by the stake the bank still holds
+      const stake =
+        id === "diminishing_musharakah"
+          ? capital / F
+          : id === "musharakah"
+            ? capital / (F * (1 + contract.ownerCapital))
+            : 1;
+      const lossShare = id === "mudarabah" ? 1 : contract.lossShare;
+      payment = 0;
+      if (profit > 0) {
+        let profitShare = contract.profitShare * profit * stake;
+        if (contract.profitCap > 0) {
+          profitShare = Math.min(
+            profitShare,
+            Math.max(contract.profitCap * F - profitPaid, 0)
+          );
+        }
+        profitPaid += profitShare;
+        payment = profitShare;
+      } else {
+        absorbed = Math.min(-profit * lossShare * stake, capital);
+        capital -= absorbed;
+      }
+      if (id === "diminishing_musharakah") {
+        const buyout = Math.min(F / years + rescheduled, capital);
+        capital -= buyout;
+        payment += buyout;
+        fixed = buyout;
+      }
+    }
+
+    let financeCharge = 0;
+    if (liquidity) {
+      const drawn = Math.max(-cash, 0);
+      financeCharge = contract ? 0 : drawn * liquidity.overdraftRate;
+      const needed = liquidity.workingCapital * baseRev;
+      const tiedUp = needed - workingCapital;
+      workingCapital = needed;
+
+      if (fixed > 0 && profit < liquidity.covenantCover * fixed) {
+        breached = true;
+        limit = Math.min(limit, drawn);
+      }
+
+      const cashFlow = profit + absorbed - payment - financeCharge - tiedUp;
+      if (
+        cash + cashFlow < -limit &&
+        liquidity.restructure &&
+        !restructured &&
+        fixed > 0 &&
+        t < years
+      ) {
+        restructured = true;
+        payment -= fixed;
+        if (id === "diminishing_musharakah") capital += fixed;
+        const left = years - t;
+        rescheduled +=
+          contract || rLoan <= 0
+            ? fixed / left
+            : (fixed * rLoan) / (1 - Math.pow(1 + rLoan, -left));
+      }
+      cash += profit + absorbed - payment - financeCharge - tiedUp;
+    }
+
+    if (!contract) {
+      outstanding = outstanding * (1 + rLoan) - payment;
+    } else if (id === "murabaha") {
+      outstanding -= payment / (1 + contract.markup * years);
+    } else if (id === "ijara") {
+      outstanding -= Math.max(payment - charge, 0);
+    } else if (id !== "profit_share") {
+      outstanding = capital;
+    }
+
+    const ownerIncome = profit + absorbed - payment - financeCharge;
+    const ownerNonNegative = Math.max(ownerIncome, 0);
+
+    if (ownerNonNegative < severeThreshold) {
+      hadSevereDrop = true;
+    }
+
+    equity += ownerIncome;
+    received += payment;
+
+    // what is left of the bank's capital comes back from reserves; any
+    // shortfall is the bank's loss
+    if (t === years && (id === "mudarabah" || id === "musharakah")) {
+      const redemption = Math.min(
+        capital,
+        Math.max(equity, 0),
+        liquidity ? Math.max(cash + limit, 0) : Infinity
+      );
+      equity -= redemption;
+      cash -= redemption;
+      received += redemption;
+      outstanding -= redemption;
+    }
+
+    incomePath.push({
+      year: t,
+      ownerIncome: ownerNonNegative,
+    });
+
+    if (equity < 0) return result("solvency");
+    if (liquidity && cash < -limit) return result("liquidity");
+  }
+
+  return result(null);
+}
+
+/**
+ * Monte Carlo comparison of one SME financed by an amortising loan versus
+ * an Islamic structure, a flat profit share unless `structure` picks
+ * another. Percentages are on a 0–100 scale.
+ *
+ * Survival rates come with a standard error and a Wilson 95% interval,
+ * and the Islamic minus interest gap with an Agresti–Caffo interval, so
+ * neither collapses to zero width when every run survives.
+ * Each incomeCurve point carries the mean owner income plus P10, P50 and
+ * P90 across runs (defaulted paths count as zero income after default).
+ *
+ * @param {object} input
+ * @param {number} input.revenue Annual revenue.
+ * @param {number} input.marginPercent Profit margin, e.g. 18.
+ * @param {number} input.financeRequired Amount financed.
+ * @param {number} input.termYears Repayment period in years.
+ * @param {object} input.calibration An entry of CALIBRATION_MODES.
+ * @param {object} input.scenario An entry of SCENARIOS.
+ * @param {object} [input.sectorConfig] An entry of SME_SECTORS.
+ * @param {number} [input.seed] PRNG seed; the same seed and inputs always
+ *   give the same result.
+ * @param {number} [input.runs] Paths per system, clamped to
+ *   MIN_SME_RUNS..MAX_SME_RUNS. Defaults to DEFAULT_SME_RUNS.
+ * @param {object} [input.structure] Islamic structure settings (see
+ *   DEFAULT_SME_STRUCTURE): `{ structure, profitSharePercent,
+ *   lossSharePercent, profitCapPercent, markupPercent,
+ *   ownerCapitalPercent }`, where structure is a key of SME_STRUCTURES,
+ *   profitCapPercent caps the bank's total profit share as a percentage
+ *   of the finance (0 for no cap) and ownerCapitalPercent is the owner's
+ *   capital beside the bank's in a musharakah.
+ * @param {object} [input.recession] Recession timing (see
+ *   DEFAULT_SME_RECESSION): `{ mode, startYear, lengthYears, persistence,
+ *   scenarioStartYear }`. mode "fixed" hits for lengthYears from
+ *   startYear of the term (0 for the middle); "scenario" follows the
+ *   downturn years of the macro scenario, with the business starting in
+ *   national year scenarioStartYear. persistence is the year to year
+ *   autocorrelation of revenue shocks, 0 to 0.95.
+ * @param {object} [input.liquidity] Cash model (see DEFAULT_SME_LIQUIDITY
+ *   and simulateOneBusiness): `{ enabled, openingCashPercent,
+ *   workingCapitalPercent, facilityPercent, overdraftRatePercent,
+ *   covenantCover, restructure }`, with cash, working capital and the
+ *   facility as percentages of revenue and covenantCover the profit to
+ *   instalment ratio the financier requires.
+ * @param {boolean} [input.compareStructures] Also run every other
+ *   structure, each on its own random stream so the headline results do
+ *   not change. Adds `owner<key>` means to the income curve and an entry
+ *   per structure to `structures`.
+ * @param {(done: number, total: number) => void} [input.onProgress] Called
+ *   about fifty times during the loop, for progress bars.
+ * @returns {{
+ *   survivalInterest: number,
+ *   survivalIslamic: number,
+ *   ownerStability: "High" | "Medium" | "Low" | "N/A",
+ *   survivalInterestCI: { se: number, low: number, high: number },
+ *   survivalIslamicCI: { se: number, low: number, high: number },
+ *   survivalGap: {
+ *     value: number, se: number, low: number, high: number,
+ *     significant: boolean,
+ *   },
+ *   incomeCurve: {
+ *     year: number,
+ *     ownerInterest: number, ownerIslamic: number,
+ *     ownerInterestP10: number, ownerInterestP50: number,
+ *     ownerInterestP90: number,
+ *     ownerIslamicP10: number, ownerIslamicP50: number,
+ *     ownerIslamicP90: number,
+ *   }[],
+ *   runs: number,
+ *   severeShockInterest: number,
+ *   severeShockIslamic: number,
+ *   seed: number,
+ *   structure: string,
+ *   recessionYears: number[],
+ *   liquidity: boolean,
+ *   structures: Record<string, {
+ *     label: string, survival: number, low: number, high: number,
+ *     severeShock: number, financierReturn: number,
+ *     liquidityDefault: number, breach: number, restructured: number,
+ *   }>,
+ * }} where recessionYears lists the years of the term with a downturn,
+ *   structures holds "debt", the chosen structure and, when
+ *   compared, the others; financierReturn is the mean of everything paid
+ *   to the financier less the finance, as a percentage of the finance.
+ *   liquidityDefault, breach and restructured are the percentages of runs
+ *   that failed for want of cash, breached a covenant or were
+ *   restructured, all 0 without the cash model.
+ */
+export function calculateSmeMetrics({
+  revenue,
+  marginPercent,
+  financeRequired,
+  termYears,
+  calibration,
+  scenario,
+  sectorConfig,
+  seed = DEFAULT_SEED,
+  runs: runsInput = DEFAULT_SME_RUNS,
+  structure: structureInput,
+  recession: recessionInput,
+  liquidity: liquidityInput,
+  compareStructures = false,
+  onProgress,
+}) {
+  const R = Number(revenue) || 0;
+  const F = Number(financeRequired) || 0;
+  const years = Number(termYears) || 5;
+  const seedValue = Number.isFinite(Number(seed))
+    ? Number(seed) >>> 0
+    : DEFAULT_SEED;
+  const settings = { ...DEFAULT_SME_STRUCTURE, ...structureInput };
+  const terms = resolveTerms(settings.structure, settings);
+
+  if (!R || !F || !years) {
+    return {
+      survivalInterest: 0,
+      survivalIslamic: 0,
+      survivalInterestCI: { se: 0, low: 0, high: 0 },
+      survivalIslamicCI: { se: 0, low: 0, high: 0 },
+      survivalGap: { value: 0, se: 0, low: 0, high: 0, significant: false },
+      ownerStability: "N/A",
+      incomeCurve: [],
+      runs: 0,
+      severeShockInterest: 0,
+      severeShockIslamic: 0,
+      seed: seedValue,
+      structure: terms.id,
+      recessionYears: [],
+      liquidity: false,
+      structures: {},
+    };
+  }
+
+  const marginBase =
+    (Number(marginPercent) || 0) / 100 ||
+    sectorConfig?.baseMargin ||
+    calibration?.sme?.marginDefault ||
+    0.15;
+
+  const baseProfit = R * marginBase;
+  const severeThreshold = 0.4 * baseProfit;
+
+  const cal = smeCalibration({
+    calibration,
+    sectorConfig,
+    scenario,
+    years,
+    revenue: R,
+    recession: recessionInput,
+    liquidity: liquidityInput,
+  });
+
+  const runs = clamp(
+    Math.round(Number(runsInput)) || DEFAULT_SME_RUNS,
+    MIN_SME_RUNS,
+    MAX_SME_RUNS
+  );
+  const progressEvery = Math.max(1, Math.floor(runs / 50));
+  const rng = createRng(seedValue);
+  let surviveInterest = 0;
+  let surviveIslamic = 0;
+  let severeInterest = 0;
+  let severeIslamic = 0;
+  let receivedInterest = 0;
+  let receivedIslamic = 0;
+  const cashInterest = { liquidity: 0, breached: 0, restructured: 0 };
+  const cashIslamic = { liquidity: 0, breached: 0, restructured: 0 };
+  const tallyCash = (tally, sim) => {
+    if (sim.defaultReason === "liquidity") tally.liquidity++;
+    if (sim.breached) tally.breached++;
+    if (sim.restructured) tally.restructured++;
+  };
+
+  const pathsInterest = Array.from({ length: years }, () => []);
+  const pathsIslamic = Array.from({ length: years }, () => []);
+
+  // the other structures, each with its own stream off the seed
+  const others = compareStructures
+    ? Object.keys(SME_STRUCTURES)
+        .filter((id) => id !== terms.id)
+        .map((id, k) => ({
+          id,
+          terms: resolveTerms(id, settings),
+          rng: createRng((seedValue + k + 1) >>> 0),
+          survived: 0,
+          severe: 0,
+          received: 0,
+          cash: { liquidity: 0, breached: 0, restructured: 0 },
+          income: Array.from({ length: years }, () => 0),
+        }))
+    : [];
+
+  for (let i = 0; i < runs; i++) {
+    const simInterest = simulateOneBusiness({
+      revenue: R,
+      margin: marginBase,
+      financeRequired: F,
+      years,
+      isIslamic: false,
+      severeThreshold,
+      cal,
+      scenario,
+      rng,
+    });
+    const simIslamic = simulateOneBusiness({
+      revenue: R,
+      margin: marginBase,
+      financeRequired: F,
+      years,
+      isIslamic: true,
+      terms,
+      severeThreshold,
+      cal,
+      scenario,
+      rng,
+    });
+
+    if (!simInterest.defaulted) surviveInterest++;
+    if (!simIslamic.defaulted) surviveIslamic++;
+
+    if (simInterest.hadSevereDrop) severeInterest++;
+    if (simIslamic.hadSevereDrop) severeIslamic++;
+    receivedInterest += simInterest.received;
+    receivedIslamic += simIslamic.received;
+    tallyCash(cashInterest, simInterest);
+    tallyCash(cashIslamic, simIslamic);
+
+    for (const other of others) {
+      const sim = simulateOneBusiness({
+        revenue: R,
+        margin: marginBase,
+        financeRequired: F,
+        years,
+        isIslamic: true,
+        terms: other.terms,
+        severeThreshold,
+        cal,
+        scenario,
+        rng: other.rng,
+      });
+      if (!sim.defaulted) other.survived++;
+      if (sim.hadSevereDrop) other.severe++;
+      other.received += sim.received;
+      tallyCash(other.cash, sim);
+      sim.incomePath.forEach((p, t) => {
+        other.income[t] += p.ownerIncome;
+      });
+    }
+
+    for (let t = 0; t < years; t++) {
+      const pi = simInterest.incomePath[t]
+        ? simInterest.incomePath[t].ownerIncome
+        : 0;
+      const pa = simIslamic.incomePath[t]
+        ? simIslamic.incomePath[t].ownerIncome
+        : 0;
+      pathsInterest[t].push(pi);
+      pathsIslamic[t].push(pa);
+    }
+
+    if (onProgress && ((i + 1) % progressEvery === 0 || i + 1 === runs)) {
+      onProgress(i + 1, runs);
+    }
+  }
+
+  const mean = (arr) => arr.reduce((s, x) => s + x, 0) / runs;
+
+  const incomeCurve = [];
+  for (let t = 0; t < years; t++) {
+    const sortedInterest = pathsInterest[t].sort((a, b) => a - b);
+    const sortedIslamic = pathsIslamic[t].sort((a, b) => a - b);
+    incomeCurve.push({
+      year: t + 1,
+      ownerInterest: mean(sortedInterest),
+      ownerIslamic: mean(sortedIslamic),
+      ownerInterestP10: percentile(sortedInterest, 0.1),
+      ownerInterestP50: percentile(sortedInterest, 0.5),
+      ownerInterestP90: percentile(sortedInterest, 0.9),
+      ownerIslamicP10: percentile(sortedIslamic, 0.1),
+      ownerIslamicP50: percentile(sortedIslamic, 0.5),
+      ownerIslamicP90: percentile(sortedIslamic, 0.9),
+      ...Object.fromEntries(
+        others.map((other) => [
+          `owner${SME_STRUCTURES[other.id].key}`,
+          other.income[t] / runs,
+        ])
+      ),
+    });
+  }
+
+  const ciInterest = proportionInterval(surviveInterest, runs);
+  const ciIslamic = proportionInterval(surviveIslamic, runs);
+  const survivalInterest = ciInterest.value;
+  const survivalIslamic = ciIslamic.value;
+
+  // The two systems use independent draws, so the variances add. The
+  // Agresti–Caffo interval adds one success and one failure to each, so
+  // it does not collapse to zero width when every run survives
+  const gapValue = survivalIslamic - survivalInterest;
+  const adjusted = (survived) => (survived + 1) / (runs + 2);
+  const adjustedVar = (p) => (p * (1 - p)) / (runs + 2);
+  const pInterest = adjusted(surviveInterest);
+  const pIslamic = adjusted(surviveIslamic);
+  const gapSe =
+    Math.sqrt(adjustedVar(pInterest) + adjustedVar(pIslamic)) * 100;
+  const gapCentre = (pIslamic - pInterest) * 100;
+  const survivalGap = {
+    value: gapValue,
+    se: gapSe,
+    low: gapCentre - 1.96 * gapSe,
+    high: gapCentre + 1.96 * gapSe,
+    significant:
+      gapCentre - 1.96 * gapSe > 0 || gapCentre + 1.96 * gapSe < 0,
+  };
+  const severeShockInterest = (severeInterest / runs) * 100;
+  const severeShockIslamic = (severeIslamic / runs) * 100;
+
+  const financierReturn = (received) => ((received / runs - F) / F) * 100;
+  const summary = (label, survived, severe, received, cash) => {
+    const ci = proportionInterval(survived, runs);
+    return {
+      label,
+      survival: ci.value,
+      low: ci.low,
+      high: ci.high,
+      severeShock: (severe / runs) * 100,
+      financierReturn: financierReturn(received),
+      liquidityDefault: (cash.liquidity / runs) * 100,
+      breach: (cash.breached / runs) * 100,
+      restructured: (cash.restructured / runs) * 100,
+    };
+  };
+  const structures = {
+    debt: summary(
+      "Debt",
+      surviveInterest,
+      severeInterest,
+      receivedInterest,
+      cashInterest
+    ),
+    [terms.id]: summary(
+      SME_STRUCTURES[terms.id].label,
+      surviveIslamic,
+      severeIslamic,
+      receivedIslamic,
+      cashIslamic
+    ),
+  };
+  for (const other of others) {
+    structures[other.id] = summary(
+      SME_STRUCTURES[other.id].label,
+      other.survived,
+      other.severe,
+      other.received,
+      other.cash
+    );
+  }
+
+  let ownerStability;
+  if (survivalIslamic >= 90) ownerStability = "High";
+  else if (survivalIslamic >= 75) ownerStability = "Medium";
+  else ownerStability = "Low";
+
+  return {
+    survivalInterest,
+    survivalIslamic,
+    survivalInterestCI: {
+      se: ciInterest.se,
+      low: ciInterest.low,
+      high: ciInterest.high,
+    },
+    survivalIslamicCI: {
+      se: ciIslamic.se,
+      low: ciIslamic.low,
+      high: ciIslamic.high,
+    },
+    survivalGap,
+    ownerStability,
+    incomeCurve,
+    runs,
+    severeShockInterest,
+    severeShockIslamic,
+    seed: seedValue,
+    structure: terms.id,
+    recessionYears: cal.recessionPath
+      .map((m, i) => (m < 1 ? i + 1 : 0))
+      .filter(Boolean),
+    liquidity: Boolean(cal.liquidity),
+    structures,
+  };
+}
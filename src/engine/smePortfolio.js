@@ -0,0 +1,345 @@
+import {
+  DEFAULT_SEED,
+  createRng,
+  randomNormal,
+  percentile,
+  stdDev,
+  clamp,
+} from "./math.js";
+import { SME_SECTORS, SME_PORTFOLIO_MIXES } from "./config.js";
+import {
+  DEFAULT_SME_STRUCTURE,
+  resolveTerms,
+  smeCalibration,
+  simulateOneBusiness,
+} from "./sme.js";
+
+/* ============= SME PORTFOLIO ============= */
+
+// At least 500 books, so the 99th percentile rests on five or more
+export const DEFAULT_PORTFOLIO_RUNS = 1000;
+export const MIN_PORTFOLIO_RUNS = 500;
+export const MAX_PORTFOLIO_RUNS = 5000;
+
+// Correlations are shares of each business's revenue shock variance
+export const DEFAULT_SME_PORTFOLIO = {
+  loans: 250,
+  macroCorrelationPercent: 20,
+  sectorCorrelationPercent: 10,
+  recoveryPercent: 30,
+};
+
+const MIN_LOANS = 10;
+const MAX_LOANS = 2000;
+// Bins in the loss distribution
+const LOSS_BINS = 20;
+
+// Loan counts per sector from percentage weights, largest remainder first
+function allocateLoans(weights, loans) {
+  const entries = Object.entries(weights).filter(
+    ([id, w]) => SME_SECTORS[id] && Number(w) > 0
+  );
+  const total = entries.reduce((s, [, w]) => s + Number(w), 0);
+  if (!total) return [];
+  const shares = entries.map(([id, w]) => {
+    const exact = (Number(w) / total) * loans;
+    return { id, count: Math.floor(exact), rest: exact - Math.floor(exact) };
+  });
+  let left = loans - shares.reduce((s, x) => s + x.count, 0);
+  for (const share of [...shares].sort((a, b) => b.rest - a.rest)) {
+    if (left <= 0) break;
+    share.count++;
+    left--;
+  }
+  return shares.filter((s) => s.count > 0);
+}
+
+/**
+ * Lender's view of a book of SMEs, each like the business in the SME
+ * inputs (revenue, finance and term) but with its own sector's margin and
+ * shocks. Every run draws one macro factor a year shared by the whole
+ * book and one factor a year per sector; macroCorrelationPercent and
+ * sectorCorrelationPercent of each business's revenue shock variance
+ * come from them, and the rest is its own. Recession timing and the cash
+ * model apply to every business. The debt and Islamic books face the
+ * same macro and sector draws.
+ *
+ * A loan's loss is the finance outstanding when the business fails (see
+ * simulateOneBusiness), less recoveryPercent of it. A business that
+ * survives loses nothing, even under a flat profit share that never
+ * returns capital; that shortfall shows in the lender's return instead,
+ * which is everything received plus recoveries less the finance, over
+ * the term. Unexpected loss is the 99th percentile loss less the
+ * expected loss, floored at 0: when defaults are rare the percentile
+ * can sit below the mean.
+ *
+ * @param {object} input
+ * @param {number} input.revenue Annual revenue of each business.
+ * @param {number} input.financeRequired Finance per business.
+ * @param {number} input.termYears Term in years.
+ * @param {object} input.calibration An entry of CALIBRATION_MODES.
+ * @param {object} input.scenario An entry of SCENARIOS.
+ * @param {string} [input.mix] Key of SME_PORTFOLIO_MIXES.
+ * @param {string} [input.sector] Key of SME_SECTORS, for the "single"
+ *   mix.
+ * @param {object} [input.portfolio] See DEFAULT_SME_PORTFOLIO: `{ loans,
+ *   macroCorrelationPercent, sectorCorrelationPercent,
+ *   recoveryPercent }`. The two correlations together are capped at 95.
+ * @param {object} [input.structure] As for calculateSmeMetrics.
+ * @param {object} [input.recession] As for calculateSmeMetrics.
+ * @param {object} [input.liquidity] As for calculateSmeMetrics.
+ * @param {number} [input.seed] PRNG seed.
+ * @param {number} [input.runs] Simulated books, clamped to
+ *   MIN_PORTFOLIO_RUNS..MAX_PORTFOLIO_RUNS.
+ * @param {(done: number, total: number) => void} [input.onProgress]
+ * @returns {{
+ *   runs: number,
+ *   loans: number,
+ *   exposure: number,
+ *   seed: number,
+ *   structure: string,
+ *   debt: PortfolioResult,
+ *   islamic: PortfolioResult,
+ *   sectors: {
+ *     id: string, label: string, loans: number, exposureShare: number,
+ *     debt: SectorResult, islamic: SectorResult,
+ *   }[],
+ *   concentration: { hhi: number, effectiveSectors: number,
+ *     largest: string | null },
+ *   distribution: { from: number, to: number, debt: number,
+ *     islamic: number }[],
+ * } | null} null without revenue, finance or a term. PortfolioResult is
+ *   `{ defaultRate, expectedLoss, unexpectedLoss, lossStd, lossP50,
+ *   lossP90, lossP99, meanReturn, returnP10, returnP90 }` and SectorResult
+ *   is `{ defaultRate, expectedLoss, lossShare }`, all percentages: losses
+ *   and returns of the exposure, lossShare of the book's expected loss.
+ *   hhi is the Herfindahl index of sector exposure shares, 0 to 1, and
+ *   distribution gives the percentage of runs in each loss bin.
+ */
+export function calculateSmePortfolio({
+  revenue,
+  financeRequired,
+  termYears,
+  calibration,
+  scenario,
+  mix = "uk_book",
+  sector,
+  portfolio: portfolioInput,
+  structure: structureInput,
+  recession,
+  liquidity,
+  seed = DEFAULT_SEED,
+  runs: runsInput = DEFAULT_PORTFOLIO_RUNS,
+  onProgress,
+}) {
+  const R = Number(revenue) || 0;
+  const F = Number(financeRequired) || 0;
+  const years = Number(termYears) || 5;
+  if (!R || !F || !years) return null;
+
+  const settings = { ...DEFAULT_SME_PORTFOLIO, ...portfolioInput };
+  const num = (v, fallback) =>
+    Number.isFinite(Number(v)) ? Number(v) : fallback;
+  const loans = clamp(
+    Math.round(num(settings.loans, DEFAULT_SME_PORTFOLIO.loans)),
+    MIN_LOANS,
+    MAX_LOANS
+  );
+  const macroWeight =
+    clamp(num(settings.macroCorrelationPercent, 0), 0, 95) / 100;
+  const sectorWeight = clamp(
+    num(settings.sectorCorrelationPercent, 0) / 100,
+    0,
+    0.95 - macroWeight
+  );
+  const correlation = macroWeight + sectorWeight;
+  const recovery = clamp(num(settings.recoveryPercent, 0), 0, 100) / 100;
+  const seedValue = Number.isFinite(Number(seed))
+    ? Number(seed) >>> 0
+    : DEFAULT_SEED;
+  const runs = clamp(
+    Math.round(Number(runsInput)) || DEFAULT_PORTFOLIO_RUNS,
+    MIN_PORTFOLIO_RUNS,
+    MAX_PORTFOLIO_RUNS
+  );
+  const structureSettings = { ...DEFAULT_SME_STRUCTURE, ...structureInput };
+  const terms = resolveTerms(structureSettings.structure, structureSettings);
+
+  const weights =
+    (SME_PORTFOLIO_MIXES[mix] || SME_PORTFOLIO_MIXES.uk_book).weights ||
+    { [SME_SECTORS[sector] ? sector : "services"]: 100 };
+  const groups = allocateLoans(weights, loans).map(({ id, count }) => {
+    const sectorConfig = SME_SECTORS[id];
+    return {
+      id,
+      count,
+      margin: sectorConfig.baseMargin,
+      cal: smeCalibration({
+        calibration,
+        sectorConfig,
+        scenario,
+        years,
+        revenue: R,
+        recession,
+        liquidity,
+      }),
+      systematic: new Array(years),
+      debt: { defaults: 0, loss: 0 },
+      islamic: { defaults: 0, loss: 0 },
+    };
+  });
+  const exposure = loans * F;
+
+  const rng = createRng(seedValue);
+  const progressEvery = Math.max(1, Math.floor(runs / 50));
+  const book = () => ({ defaults: [], losses: [], returns: [] });
+  const books = { debt: book(), islamic: book() };
+  const macro = new Array(years);
+
+  for (let i = 0; i < runs; i++) {
+    for (let t = 0; t < years; t++) macro[t] = randomNormal(rng);
+    for (const group of groups) {
+      // shared part of the shock, scaled back to unit variance
+      for (let t = 0; t < years; t++) {
+        group.systematic[t] =
+          correlation > 0
+            ? (Math.sqrt(macroWeight) * macro[t] +
+                Math.sqrt(sectorWeight) * randomNormal(rng)) /
+              Math.sqrt(correlation)
+            : 0;
+      }
+    }
+
+    const totals = {
+      debt: { defaults: 0, loss: 0, received: 0 },
+      islamic: { defaults: 0, loss: 0, received: 0 },
+    };
+    for (const group of groups) {
+      for (let k = 0; k < group.count; k++) {
+        for (const system of ["debt", "islamic"]) {
+          const sim = simulateOneBusiness({
+            revenue: R,
+            margin: group.margin,
+            financeRequired: F,
+            years,
+            isIslamic: system === "islamic",
+            terms,
+            severeThreshold: 0,
+            cal: group.cal,
+            scenario,
+            systematic: group.systematic,
+            correlation,
+            rng,
+          });
+          let received = sim.received;
+          if (sim.defaulted) {
+            const loss = sim.outstanding * (1 - recovery);
+            received += sim.outstanding * recovery;
+            totals[system].defaults++;
+            totals[system].loss += loss;
+            group[system].defaults++;
+            group[system].loss += loss;
+          }
+          totals[system].received += received;
+        }
+      }
+    }
+
+    for (const system of ["debt", "islamic"]) {
+      const t = totals[system];
+      books[system].defaults.push((t.defaults / loans) * 100);
+      books[system].losses.push((t.loss / exposure) * 100);
+      books[system].returns.push(((t.received - exposure) / exposure) * 100);
+    }
+
+    if (onProgress && ((i + 1) % progressEvery === 0 || i + 1 === runs)) {
+      onProgress(i + 1, runs);
+    }
+  }
+
+  const mean = (arr) => arr.reduce((s, x) => s + x, 0) / arr.length;
+  const summarise = ({ defaults, losses, returns }) => {
+    const sortedLosses = [...losses].sort((a, b) => a - b);
+    const sortedReturns = [...returns].sort((a, b) => a - b);
+    const expectedLoss = mean(losses);
+    const lossP99 = percentile(sortedLosses, 0.99);
+    return {
+      defaultRate: mean(defaults),
+      expectedLoss,
+      unexpectedLoss: Math.max(lossP99 - expectedLoss, 0),
+      lossStd: stdDev(losses),
+      lossP50: percentile(sortedLosses, 0.5),
+      lossP90: percentile(sortedLosses, 0.9),
+      lossP99,
+      meanReturn: mean(returns),
+      returnP10: percentile(sortedReturns, 0.1),
+      returnP90: percentile(sortedReturns, 0.9),
+    };
+  };
+  const debt = summarise(books.debt);
+  const islamic = summarise(books.islamic);
+
+  const sectorResult = (group, system, bookLoss) => {
+    const sectorExposure = group.count * F * runs;
+    const { defaults, loss } = group[system];
+    return {
+      defaultRate: (defaults / (group.count * runs)) * 100,
+      expectedLoss: (loss / sectorExposure) * 100,
+      lossShare: bookLoss > 0 ? (loss / bookLoss) * 100 : 0,
+    };
+  };
+  const bookLoss = (system) =>
+    groups.reduce((s, g) => s + g[system].loss, 0);
+  const debtLoss = bookLoss("debt");
+  const islamicLoss = bookLoss("islamic");
+  const sectors = groups.map((group) => ({
+    id: group.id,
+    label: SME_SECTORS[group.id].label,
+    loans: group.count,
+    exposureShare: (group.count / loans) * 100,
+    debt: sectorResult(group, "debt", debtLoss),
+    islamic: sectorResult(group, "islamic", islamicLoss),
+  }));
+
+  const hhi = sectors.reduce(
+    (s, x) => s + (x.exposureShare / 100) * (x.exposureShare / 100),
+    0
+  );
+  const largest = sectors.reduce(
+    (best, x) => (!best || x.loans > best.loans ? x : best),
+    null
+  );
+
+  // both books on the same bins so they can share a chart
+  const top = Math.max(...books.debt.losses, ...books.islamic.losses, 0);
+  const width = top > 0 ? top / LOSS_BINS : 1;
+  const distribution = Array.from({ length: LOSS_BINS }, (_, b) => ({
+    from: b * width,
+    to: (b + 1) * width,
+    debt: 0,
+    islamic: 0,
+  }));
+  for (const system of ["debt", "islamic"]) {
+    for (const loss of books[system].losses) {
+      const b = Math.min(Math.floor(loss / width), LOSS_BINS - 1);
+      distribution[b][system] += 100 / runs;
+    }
+  }
+
+  return {
+    runs,
+    loans,
+    exposure,
+    seed: seedValue,
+    structure: terms.id,
+    debt,
+    islamic,
+    sectors,
+    concentration: {
+      hhi,
+      effectiveSectors: hhi > 0 ? 1 / hhi : 0,
+      largest: largest ? largest.id : null,
+    },
+    distribution,
+  };
+}
@@ -0,0 +1,146 @@
+import { clamp } from "./math.js";
+
+/* ============= WEALTH, ZAKAT & SOCIAL ============= */
+
+/**
+ * Evolve stylised quintile wealth shares for thirty years. Shares and
+ * zakat flows are on a 0–100 scale.
+ *
+ * @param {object} calibration An entry of CALIBRATION_MODES.
+ * @param {"interest" | "islamic"} system
+ * @param {"standard" | "enhanced"} zakatPolicy
+ * @returns {{
+ *   top20: number,
+ *   bottom40: number,
+ *   inequalityScore: number,
+ *   zakatShareYear: number,
+ *   zakatShareAvg: number,
+ * }}
+ */
+export function simulateWealthDistribution(calibration, system, zakatPolicy) {
+  let shares = [0.06, 0.1, 0.16, 0.24, 0.44];
+  const years = 30;
+
+  const zakatBaseRate =
+    system === "islamic"
+      ? zakatPolicy === "enhanced"
+        ? 0.03
+        : 0.025
+      : 0;
+
+  let lastZakatShare = 0;
+  let sumZakatShare = 0;
+
+  for (let t = 1; t <= years; t++) {
+    let growthFactors;
+    if (system === "interest") {
+      growthFactors = [1.01, 1.015, 1.02, 1.025, 1.03];
+    } else {
+      growthFactors = [1.018, 1.02, 1.022, 1.022, 1.022];
+    }
+
+    let wealth = shares.map((s, i) => s * growthFactors[i]);
+
+    let totalZakat = 0;
+
+    if (system === "islamic" && zakatBaseRate > 0) {
+      const base = calibration.macro.householdDebtIncome;
+      const nisabMultiplier = base && base > 1.1 ? 1 : 0.9;
+      const zakatable = wealth.map((w, i) =>
+        i >= 2 ? w * nisabMultiplier : 0
+      );
+
+      totalZakat =
+        zakatable.reduce((s, w) => s + w * zakatBaseRate, 0);
+
+      wealth = wealth.map((w, i) => {
+        const paid =
+          i >= 2 ? zakatable[i] * zakatBaseRate : 0;
+        const received =
+          i <= 1 ? (totalZakat * (i === 0 ? 0.6 : 0.4)) : 0;
+        return w - paid + received;
+      });
+    }
+
+    const total = wealth.reduce((s, w) => s + w, 0) || 1;
+    shares = wealth.map((w) => w / total);
+
+    const zakatShareThisYear = total > 0 ? totalZakat / total : 0;
+    lastZakatShare = zakatShareThisYear;
+    sumZakatShare += zakatShareThisYear;
+  }
+
+  const top20 = shares[4] * 100;
+  const bottom40 = (shares[0] + shares[1]) * 100;
+
+  const lorenz = [0];
+  let cum = 0;
+  for (let i = 0; i < shares.length; i++) {
+    cum += shares[i];
+    lorenz.push(cum);
+  }
+  const n = 5;
+  let B = 0;
+  for (let i = 0; i < n; i++) {
+    B += (lorenz[i] + lorenz[i + 1]) / 2 / n;
+  }
+  const gini = 1 - 2 * B;
+  const inequalityScore = clamp(100 - gini * 100, 0, 100);
+
+  const zakatShareYear = lastZakatShare * 100;
+  const zakatShareAvg = (sumZakatShare / years) * 100;
+
+  return {
+    top20,
+    bottom40,
+    inequalityScore,
+    zakatShareYear,
+    zakatShareAvg,
+  };
+}
+
+/**
+ * Size the share of annual zakat that could clear housing arrears.
+ *
+ * @param {object} wealthIslamic Result of simulateWealthDistribution.
+ * @param {object} calibration An entry of CALIBRATION_MODES.
+ * @returns {{
+ *   housingFund: number,
+ *   householdsSaved: number,
+ *   shareSaved: number,
+ *   defaultReduction: number,
+ * }}
+ */
+export function computeHousingSupport(wealthIslamic, calibration) {
+  if (!wealthIslamic) {
+    return {
+      housingFund: 0,
+      householdsSaved: 0,
+      shareSaved: 0,
+      defaultReduction: 0,
+    };
+  }
+
+  const MUSLIM_WEALTH = 200_000_000_000; // £200bn stylised
+  const HOUSING_SHARE = 0.35;
+  const AVG_ARREARS = 5000;
+  const AT_RISK = 50_000;
+
+  const annualZakat =
+    MUSLIM_WEALTH * (wealthIslamic.zakatShareYear / 100);
+  const housingFund = annualZakat * HOUSING_SHARE;
+  const householdsSaved = housingFund / AVG_ARREARS;
+  const shareSaved = Math.min(householdsSaved / AT_RISK, 1);
+
+  const baselineDefaultRateAnnual =
+    (calibration?.housing?.annualDefaultProb ?? 0.006) * 100;
+  const defaultReduction =
+    baselineDefaultRateAnnual * shareSaved;
+
+  return {
+    housingFund,
+    householdsSaved,
+    shareSaved,
+    defaultReduction,
+  };
+}
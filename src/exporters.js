@@ -0,0 +1,916 @@
+// CSV and JSON downloads of the simulator results. Each section export
+// carries the input parameters it was run with, so a file is
+// self-describing once it has left the app.
+
+// Units for config keys; keys missing here are labels or plain counts
+const PARAMETER_UNITS = {
+  salary: "£/yr",
+  deposit: "£",
+  propertyValue: "£",
+  termYears: "years",
+  interestRate: "%",
+  fixedYears: "years",
+  trackerMargin: "%",
+  revertMargin: "%",
+  offsetSavings: "£",
+  lumpSum: "£",
+  lumpSumYear: "year",
+  monthlyOverpayment: "£/month",
+  ercPercent: "%",
+  ercYears: "years",
+  exitYear: "year, 0 = none",
+  holidayYear: "year, 0 = none",
+  holidayMonths: "months",
+  rentalYield: "%",
+  rentReviewYears: "years",
+  rentCap: "% per review",
+  rentFloor: "% per review",
+  rentMargin: "%",
+  baseRatePath: "% per year",
+  btlRent: "£/month",
+  btlVoidMonths: "months/yr",
+  btlLettingPercent: "% of rent",
+  btlRentGrowth: "%/yr",
+  btlTaxRate: "%",
+  revenue: "£/yr",
+  marginPercent: "%",
+  financeRequired: "£",
+  smeTermYears: "years",
+  smeProfitShare: "% of profit",
+  smeLossShare: "% of losses",
+  smeOwnerCapital: "% of finance",
+  smeProfitCap: "% of finance, 0 = none",
+  smeMarkup: "% per year",
+  smeRecessionYear: "year of term, 0 = middle",
+  smeRecessionLength: "years",
+  smeShockPersistence: "AR(1) coefficient",
+  smeStartYear: "national year",
+  smeOpeningCash: "% of revenue",
+  smeWorkingCapital: "% of revenue",
+  smeFacility: "% of revenue",
+  smeOverdraftRate: "% per year",
+  smeCovenantCover: "× instalment",
+  portfolioLoans: "loans",
+  portfolioRuns: "books",
+  portfolioMacroCorrelation: "% of shock variance",
+  portfolioSectorCorrelation: "% of shock variance",
+  portfolioRecovery: "% of outstanding",
+  bankAssets: "£m",
+  bankMurabaha: "% of assets",
+  bankMusharakah: "% of assets",
+  bankSukuk: "% of assets",
+  bankCash: "% of assets",
+  bankMudarabah: "% of funding",
+  bankCurrent: "% of funding",
+  bankEquity: "% of funding",
+};
+
+const SECTION_PARAMETERS = {
+  household: [
+    "mode",
+    "housingRegion",
+    "salary",
+    "deposit",
+    "propertyValue",
+    "termYears",
+    "interestRate",
+    "mortgageProduct",
+    "fixedYears",
+    "trackerMargin",
+    "revertMargin",
+    "offsetSavings",
+    "rentalYield",
+    "lumpSum",
+    "lumpSumYear",
+    "monthlyOverpayment",
+    "ercPercent",
+    "ercYears",
+    "exitYear",
+    "holidayYear",
+    "holidayMonths",
+    "rentReviewMode",
+    "rentReviewYears",
+    "rentCap",
+    "rentFloor",
+    "rentMargin",
+    "baseRatePath",
+    "ijara",
+    "firstTimeBuyer",
+    "purchaseMode",
+    "btlRent",
+    "btlVoidMonths",
+    "btlLettingPercent",
+    "btlRentGrowth",
+    "btlStructure",
+    "btlTaxRate",
+    "householdStochastic",
+    "householdPaths",
+    "householdSeed",
+  ],
+  schedule: [
+    "mode",
+    "salary",
+    "deposit",
+    "propertyValue",
+    "termYears",
+    "interestRate",
+    "mortgageProduct",
+    "fixedYears",
+    "trackerMargin",
+    "revertMargin",
+    "offsetSavings",
+    "rentalYield",
+    "lumpSum",
+    "lumpSumYear",
+    "monthlyOverpayment",
+    "ercPercent",
+    "ercYears",
+    "exitYear",
+    "holidayYear",
+    "holidayMonths",
+    "rentReviewMode",
+    "rentReviewYears",
+    "rentCap",
+    "rentFloor",
+    "rentMargin",
+    "baseRatePath",
+    "ijara",
+  ],
+  sme: [
+    "mode",
+    "scenarioId",
+    "sector",
+    "revenue",
+    "marginPercent",
+    "financeRequired",
+    "smeTermYears",
+    "smeSeed",
+    "smeRuns",
+    "smeStructure",
+    "smeProfitShare",
+    "smeLossShare",
+    "smeOwnerCapital",
+    "smeProfitCap",
+    "smeMarkup",
+    "smeCompareStructures",
+    "smeRecessionMode",
+    "smeRecessionYear",
+    "smeRecessionLength",
+    "smeShockPersistence",
+    "smeStartYear",
+    "smeLiquidity",
+    "smeOpeningCash",
+    "smeWorkingCapital",
+    "smeFacility",
+    "smeOverdraftRate",
+    "smeCovenantCover",
+    "smeRestructure",
+  ],
+  portfolio: [
+    "mode",
+    "scenarioId",
+    "sector",
+    "revenue",
+    "financeRequired",
+    "smeTermYears",
+    "smeSeed",
+    "smeStructure",
+    "smeProfitShare",
+    "smeLossShare",
+    "smeOwnerCapital",
+    "smeProfitCap",
+    "smeMarkup",
+    "smeRecessionMode",
+    "smeRecessionYear",
+    "smeRecessionLength",
+    "smeShockPersistence",
+    "smeStartYear",
+    "smeLiquidity",
+    "smeOpeningCash",
+    "smeWorkingCapital",
+    "smeFacility",
+    "smeOverdraftRate",
+    "smeCovenantCover",
+    "smeRestructure",
+    "portfolioMix",
+    "portfolioLoans",
+    "portfolioRuns",
+    "portfolioMacroCorrelation",
+    "portfolioSectorCorrelation",
+    "portfolioRecovery",
+  ],
+  national: [
+    "mode",
+    "scenarioId",
+    "stabilityMethod",
+    "nationalStochastic",
+    "nationalPaths",
+    "nationalSeed",
+    "smeSeed",
+  ],
+  bank: [
+    "bankScenario",
+    "bankAssets",
+    "bankMurabaha",
+    "bankMusharakah",
+    "bankSukuk",
+    "bankCash",
+    "bankMudarabah",
+    "bankCurrent",
+    "bankEquity",
+  ],
+  wealth: ["mode", "zakatPolicy"],
+};
+
+const NATIONAL_UNITS = {
+  gdp: "index from 100",
+  inflation: "%",
+  debtRatio: "% of income",
+  unemployment: "%",
+  borrowingCost: "%",
+};
+
+function parametersFor(section, config) {
+  return SECTION_PARAMETERS[section].map((name) => ({
+    name,
+    value: config[name],
+    unit: PARAMETER_UNITS[name] || "",
+  }));
+}
+
+// Build a table from row objects; `columns` is [key, unit] pairs
+function table(name, columns, rows) {
+  return {
+    name,
+    columns: columns.map(([key, unit]) => ({ key, unit })),
+    rows: rows.map((row) => columns.map(([key]) => row[key])),
+  };
+}
+
+// `ijara` adds a third column when the household result models one
+function metricTable(name, metrics, interest, islamic, ijara) {
+  return table(
+    name,
+    [
+      ["metric", ""],
+      ["unit", ""],
+      ["interest", ""],
+      ["islamic", ""],
+      ...(ijara ? [["ijara", ""]] : []),
+    ],
+    metrics.map(([metric, unit]) => ({
+      metric,
+      unit,
+      interest: interest[metric],
+      islamic: islamic[metric],
+      ijara: ijara?.[metric],
+    }))
+  );
+}
+
+function householdTables(
+  household,
+  householdRisk,
+  ownershipCosts,
+  affordability,
+  landlord
+) {
+  const hasIjara = "totalPaidIjara" in household;
+  const rows = household.equityCurve.map((point, i) => ({
+    ...point,
+    ...household.costCurve[i],
+  }));
+  const tables = [
+    table(
+      "curves",
+      [
+        ["year", "years"],
+        ["equityInterest", "£"],
+        ["equityIslamic", "£"],
+        ...(hasIjara ? [["equityIjara", "£"]] : []),
+        ["cumInterest", "£"],
+        ["cumIslamic", "£"],
+        ...(hasIjara ? [["cumIjara", "£"]] : []),
+      ],
+      rows
+    ),
+    metricTable(
+      "summary",
+      [
+        ["totalPaid", "£"],
+        ["firstPayment", "£/month"],
+        ["peakPayment", "£/month"],
+        ["ownedYear", "years"],
+        ["ercPaid", "£"],
+        ["recessionRisk", ""],
+        ["repossessionProbability", "% of paths"],
+      ],
+      {
+        totalPaid: household.totalPaidInterest,
+        firstPayment: household.firstPaymentInterest,
+        peakPayment: household.peakPaymentInterest,
+        ownedYear: household.ownedYearInterest,
+        ercPaid: household.ercPaid,
+        recessionRisk: household.riskInterest,
+        repossessionProbability: householdRisk?.interest?.repossession.value,
+      },
+      {
+        totalPaid: household.totalPaidIslamic,
+        firstPayment: household.firstPaymentIslamic,
+        peakPayment: household.peakPaymentIslamic,
+        ownedYear: household.ownedYearIslamic,
+        ercPaid: 0,
+        recessionRisk: household.riskIslamic,
+        repossessionProbability: householdRisk?.islamic?.repossession.value,
+      },
+      hasIjara && {
+        totalPaid: household.totalPaidIjara,
+        firstPayment: household.firstPaymentIjara,
+        peakPayment: household.peakPaymentIjara,
+        ownedYear: household.ownedYearIjara,
+        ercPaid: 0,
+        recessionRisk: household.riskIjara,
+        repossessionProbability: householdRisk?.ijara?.repossession.value,
+      }
+    ),
+  ];
+  if (ownershipCosts) {
+    tables.push(
+      metricTable(
+        "ownershipCosts",
+        [
+          ["payments", "£"],
+          ["sdlt", "£"],
+          ["arrangementFee", "£"],
+          ["valuationFee", "£"],
+          ["legalFees", "£"],
+          ["insurance", "£"],
+          ["maintenance", "£"],
+          ["upfront", "£"],
+          ["total", "£"],
+        ],
+        ownershipCosts.interest,
+        ownershipCosts.islamic,
+        ownershipCosts.ijara
+      )
+    );
+  }
+  if (affordability) {
+    const flatten = (check) => ({
+      offered: check.offered,
+      stressedPayment: check.stressedPayment,
+      stressedPti: check.stressedPti,
+      maxLoan: check.maxLoan,
+      maxPropertyValue: check.maxPropertyValue,
+      reasons: check.reasons.join(" "),
+    });
+    tables.push(
+      metricTable(
+        "affordability",
+        [
+          ["offered", ""],
+          ["stressedPayment", "£/month"],
+          ["stressedPti", "% of net income"],
+          ["maxLoan", "£"],
+          ["maxPropertyValue", "£"],
+          ["reasons", ""],
+        ],
+        flatten(affordability.interest),
+        flatten(affordability.islamic),
+        affordability.ijara && flatten(affordability.ijara)
+      )
+    );
+  }
+  if (landlord) {
+    const flatten = (r) => ({
+      ...r.firstYear,
+      netYield: r.netYield,
+      financeCost: r.financeCost,
+      taxPaid: r.taxPaid,
+      netIncome: r.netIncome,
+      upfront: r.upfront,
+      equityAtEnd: r.equityAtEnd,
+      totalReturn: r.totalReturn,
+      stressRate: r.stressRate,
+      icr: r.icr,
+      icrRequired: r.icrRequired,
+      maxLoan: r.maxLoan,
+      offered: r.offered,
+      reasons: r.reasons.join(" "),
+    });
+    tables.push(
+      metricTable(
+        "landlord",
+        [
+          ["collected", "£ first year"],
+          ["letting", "£ first year"],
+          ["upkeep", "£ first year"],
+          ["finance", "£ first year"],
+          ["tax", "£ first year"],
+          ["cashflow", "£ first year"],
+          ["netYield", "%"],
+          ["financeCost", "£"],
+          ["taxPaid", "£"],
+          ["netIncome", "£"],
+          ["upfront", "£"],
+          ["equityAtEnd", "£"],
+          ["totalReturn", "£"],
+          ["stressRate", "%"],
+          ["icr", "ratio"],
+          ["icrRequired", "ratio"],
+          ["maxLoan", "£"],
+          ["offered", ""],
+          ["reasons", ""],
+        ],
+        flatten(landlord.interest),
+        flatten(landlord.islamic)
+      ),
+      table(
+        "landlordCashflow",
+        [
+          ["year", "years"],
+          ["cashInterest", "£ cumulative"],
+          ["cashIslamic", "£ cumulative"],
+        ],
+        landlord.curve
+      )
+    );
+  }
+  if (household.behaviourImpact) {
+    tables.push(
+      metricTable(
+        "behaviourImpact",
+        [
+          ["costChange", "£"],
+          ["ownedYearsEarlier", "years"],
+          ["midTermYear", "year"],
+          ["midTermEquityChange", "£"],
+        ],
+        household.behaviourImpact.interest,
+        household.behaviourImpact.islamic,
+        household.behaviourImpact.ijara
+      )
+    );
+  }
+  if (householdRisk?.interest) {
+    const flatten = (risk) => ({
+      arrears: risk.arrears.value,
+      arrearsLow: risk.arrears.low,
+      arrearsHigh: risk.arrears.high,
+      repossession: risk.repossession.value,
+      repossessionLow: risk.repossession.low,
+      repossessionHigh: risk.repossession.high,
+      negativeEquity: risk.negativeEquity.value,
+      householdLoss: risk.householdLoss,
+      lenderLoss: risk.lenderLoss,
+    });
+    tables.push(
+      metricTable(
+        "pathRisk",
+        [
+          ["arrears", "% of paths"],
+          ["arrearsLow", "% of paths"],
+          ["arrearsHigh", "% of paths"],
+          ["repossession", "% of paths"],
+          ["repossessionLow", "% of paths"],
+          ["repossessionHigh", "% of paths"],
+          ["negativeEquity", "% of paths"],
+          ["householdLoss", "£ per repossession"],
+          ["lenderLoss", "£ per path"],
+        ],
+        flatten(householdRisk.interest),
+        flatten(householdRisk.islamic),
+        householdRisk.ijara && flatten(householdRisk.ijara)
+      ),
+      table(
+        "pathBands",
+        [
+          ["year", "years"],
+          ...[
+            "houseValue",
+            "equityInterest",
+            "equityIslamic",
+            ...(householdRisk.ijara ? ["equityIjara"] : []),
+          ].flatMap((field) => [
+            [`${field}P10`, "£"],
+            [`${field}P50`, "£"],
+            [`${field}P90`, "£"],
+          ]),
+        ],
+        householdRisk.bands
+      )
+    );
+  }
+  return tables;
+}
+
+function scheduleTables(household) {
+  return [
+    table(
+      "monthly",
+      [
+        ["month", ""],
+        ["year", ""],
+        ["holiday", ""],
+        ["houseValue", "£"],
+        ["rateInterest", "%"],
+        ["paymentInterest", "£"],
+        ["interestPaid", "£"],
+        ["principalPaid", "£"],
+        ["overpaymentInterest", "£"],
+        ["ercInterest", "£"],
+        ["balanceInterest", "£"],
+        ["equityInterest", "£"],
+        ["bankShare", "%"],
+        ["rentRate", "% of purchase price"],
+        ["rent", "£"],
+        ["acquisition", "£"],
+        ["overpaymentIslamic", "£"],
+        ["paymentIslamic", "£"],
+        ["bankStake", "£"],
+        ["equityIslamic", "£"],
+        ...("totalPaidIjara" in household
+          ? [
+              ["rentIjara", "£"],
+              ["acquisitionIjara", "£"],
+              ["overpaymentIjara", "£"],
+              ["paymentIjara", "£"],
+              ["balanceIjara", "£"],
+              ["equityIjara", "£"],
+            ]
+          : []),
+      ],
+      household.schedule
+    ),
+  ];
+}
+
+function smeTables(sme) {
+  const incomeColumns = [["year", "years"]];
+  for (const system of ["Interest", "Islamic"]) {
+    for (const suffix of ["", "P10", "P50", "P90"]) {
+      incomeColumns.push([`owner${system}${suffix}`, "£/yr"]);
+    }
+  }
+  // means for the other structures, when they were compared
+  const known = new Set(incomeColumns.map(([key]) => key));
+  for (const key of Object.keys(sme.incomeCurve[0] || {})) {
+    if (!known.has(key)) incomeColumns.push([key, "£/yr"]);
+  }
+  const structures = Object.entries(sme.structures || {}).map(
+    ([id, s]) => ({ structure: id, ...s })
+  );
+  return [
+    table("incomeCurve", incomeColumns, sme.incomeCurve),
+    table(
+      "structures",
+      [
+        ["structure", ""],
+        ["label", ""],
+        ["survival", "%"],
+        ["low", "%"],
+        ["high", "%"],
+        ["severeShock", "%"],
+        ["financierReturn", "% of finance"],
+        ["liquidityDefault", "%"],
+        ["breach", "%"],
+        ["restructured", "%"],
+      ],
+      structures
+    ),
+    metricTable(
+      "summary",
+      [
+        ["survival", "%"],
+        ["survivalLow95", "%"],
+        ["survivalHigh95", "%"],
+        ["severeShock", "%"],
+      ],
+      {
+        survival: sme.survivalInterest,
+        survivalLow95: sme.survivalInterestCI.low,
+        survivalHigh95: sme.survivalInterestCI.high,
+        severeShock: sme.severeShockInterest,
+      },
+      {
+        survival: sme.survivalIslamic,
+        survivalLow95: sme.survivalIslamicCI.low,
+        survivalHigh95: sme.survivalIslamicCI.high,
+        severeShock: sme.severeShockIslamic,
+      }
+    ),
+  ];
+}
+
+function portfolioTables(portfolio) {
+  return [
+    metricTable(
+      "summary",
+      [
+        ["defaultRate", "%"],
+        ["expectedLoss", "% of exposure"],
+        ["unexpectedLoss", "% of exposure"],
+        ["lossStd", "% of exposure"],
+        ["lossP50", "% of exposure"],
+        ["lossP90", "% of exposure"],
+        ["lossP99", "% of exposure"],
+        ["meanReturn", "% of exposure"],
+        ["returnP10", "% of exposure"],
+        ["returnP90", "% of exposure"],
+      ],
+      portfolio.debt,
+      portfolio.islamic
+    ),
+    table(
+      "sectors",
+      [
+        ["sector", ""],
+        ["loans", "loans"],
+        ["exposureShare", "%"],
+        ["defaultRateInterest", "%"],
+        ["defaultRateIslamic", "%"],
+        ["expectedLossInterest", "% of sector exposure"],
+        ["expectedLossIslamic", "% of sector exposure"],
+        ["lossShareInterest", "% of book loss"],
+        ["lossShareIslamic", "% of book loss"],
+      ],
+      portfolio.sectors.map((s) => ({
+        sector: s.id,
+        loans: s.loans,
+        exposureShare: s.exposureShare,
+        defaultRateInterest: s.debt.defaultRate,
+        defaultRateIslamic: s.islamic.defaultRate,
+        expectedLossInterest: s.debt.expectedLoss,
+        expectedLossIslamic: s.islamic.expectedLoss,
+        lossShareInterest: s.debt.lossShare,
+        lossShareIslamic: s.islamic.lossShare,
+      }))
+    ),
+    table(
+      "lossDistribution",
+      [
+        ["from", "% of exposure"],
+        ["to", "% of exposure"],
+        ["debt", "% of books"],
+        ["islamic", "% of books"],
+      ],
+      portfolio.distribution
+    ),
+  ];
+}
+
+function nationalTables(nationalAll) {
+  const fields = Object.keys(NATIONAL_UNITS);
+  const banded = Boolean(nationalAll.interest.bands);
+  const columns = [
+    ["system", ""],
+    ["year", "years"],
+  ];
+  for (const field of fields) {
+    columns.push([field, NATIONAL_UNITS[field]]);
+    if (banded && field !== "borrowingCost") {
+      for (const q of ["P10", "P90"]) {
+        columns.push([`${field}${q}`, NATIONAL_UNITS[field]]);
+      }
+    }
+  }
+  const rows = [];
+  for (const system of ["interest", "islamic"]) {
+    const result = nationalAll[system];
+    result.series.forEach((point, i) => {
+      rows.push({ system, ...point, ...(result.bands?.[i] || {}) });
+    });
+  }
+  return [
+    table("series", columns, rows),
+    metricTable(
+      "metrics",
+      [
+        ["economicStability", "/100"],
+        ["inflationStability", "/100"],
+        ["householdDebtRatio", "% of income"],
+        ["smeDefaultRate", "%"],
+        ["unemploymentRate", "%"],
+        ["govBorrowCost", "%"],
+      ],
+      nationalAll.interest.metrics,
+      nationalAll.islamic.metrics
+    ),
+  ];
+}
+
+function bankTables(bankInterest, bankIslamic) {
+  return [
+    metricTable(
+      "metrics",
+      [
+        ["capitalRatio", "fraction"],
+        ["liquidityRatio", "fraction"],
+        ["lossRatio", "fraction"],
+        ["lossCoverRatio", "fraction"],
+        ["shortfallProb", "%"],
+      ],
+      bankInterest,
+      bankIslamic
+    ),
+  ];
+}
+
+function wealthTables(wealthInterest, wealthIslamic, housingSupport) {
+  return [
+    metricTable(
+      "metrics",
+      [
+        ["top20", "% of wealth"],
+        ["bottom40", "% of wealth"],
+        ["inequalityScore", "/100"],
+        ["zakatShareYear", "% of wealth"],
+        ["zakatShareAvg", "% of wealth"],
+      ],
+      wealthInterest,
+      wealthIslamic
+    ),
+    table(
+      "housingSupport",
+      [
+        ["housingFund", "£/yr"],
+        ["householdsSaved", "households/yr"],
+        ["shareSaved", "fraction"],
+        ["defaultReduction", "pts"],
+      ],
+      [housingSupport]
+    ),
+  ];
+}
+
+/**
+ * Collect every section of a run into exportable form.
+ *
+ * @param {object} run
+ * @param {object} run.config Values keyed like DEFAULT_CONFIG.
+ * @param {object} run.labels `{ mode, scenario, sector, stability }`
+ *   display names for the selected ids.
+ * @param {object | null} [run.portfolio] calculateSmePortfolio result;
+ *   the portfolio section is left out when it is null.
+ * @returns {Record<string, {
+ *   id: string,
+ *   title: string,
+ *   labels: object,
+ *   parameters: { name: string, value: unknown, unit: string }[],
+ *   tables: {
+ *     name: string,
+ *     columns: { key: string, unit: string }[],
+ *     rows: unknown[][],
+ *   }[],
+ *   results: object,
+ * }>} Keyed by section id.
+ */
+export function buildExports({
+  config,
+  labels,
+  household,
+  householdRisk,
+  ownershipCosts,
+  affordability,
+  landlord,
+  sme,
+  portfolio,
+  nationalAll,
+  wealthInterest,
+  wealthIslamic,
+  housingSupport,
+  bankInterest,
+  bankIslamic,
+}) {
+  const section = (id, title, tables, results) => ({
+    id,
+    title,
+    labels,
+    parameters: parametersFor(id, config),
+    tables,
+    results,
+  });
+  // the schedule is its own section, so keep it out of the household one
+  const { schedule, ...householdSummary } = household;
+  return {
+    household: section(
+      "household",
+      "Household scenario",
+      householdTables(
+        household,
+        householdRisk,
+        ownershipCosts,
+        affordability,
+        landlord
+      ),
+      {
+        ...householdSummary,
+        ownershipCosts,
+        affordability,
+        ...(landlord && { landlord }),
+        ...(householdRisk && { pathRisk: householdRisk }),
+      }
+    ),
+    schedule: section(
+      "schedule",
+      "Monthly repayment schedule",
+      scheduleTables(household),
+      schedule
+    ),
+    sme: section("sme", "SME scenario", smeTables(sme), sme),
+    ...(portfolio && {
+      portfolio: section(
+        "portfolio",
+        "SME lending portfolio",
+        portfolioTables(portfolio),
+        portfolio
+      ),
+    }),
+    national: section(
+      "national",
+      "National model",
+      nationalTables(nationalAll),
+      nationalAll
+    ),
+    bank: section(
+      "bank",
+      "Bank balance sheet stress test",
+      bankTables(bankInterest, bankIslamic),
+      { interest: bankInterest, islamic: bankIslamic }
+    ),
+    wealth: section(
+      "wealth",
+      "Wealth distribution and zakat",
+      wealthTables(wealthInterest, wealthIslamic, housingSupport),
+      { interest: wealthInterest, islamic: wealthIslamic, housingSupport }
+    ),
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (cells) => cells.map(csvCell).join(",");
+
+/**
+ * Render one section as CSV. Parameters come first as "#" comment lines
+ * (pandas reads past them with `comment="#"`), then each table under a
+ * "# table:" line with `key (unit)` headers.
+ *
+ * @param {object} section One entry of buildExports.
+ * @returns {string}
+ */
+export function sectionToCsv(section) {
+  const lines = [`# ${section.title}`];
+  for (const p of section.parameters) {
+    lines.push(`# ${csvLine([p.name, p.value, p.unit])}`);
+  }
+  for (const t of section.tables) {
+    lines.push("", `# table: ${section.id}.${t.name}`);
+    lines.push(
+      csvLine(
+        t.columns.map((c) => (c.unit ? `${c.key} (${c.unit})` : c.key))
+      )
+    );
+    for (const row of t.rows) lines.push(csvLine(row));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * JSON document for one section, or for several when given an object of
+ * sections (the "export all" bundle).
+ *
+ * @param {object} sections One buildExports entry, or buildExports itself.
+ * @returns {string}
+ */
+export function toJson(sections) {
+  return JSON.stringify(
+    { exportedAt: new Date().toISOString(), ...sections },
+    null,
+    2
+  );
+}
+
+/**
+ * Offer text to the user as a file download.
+ *
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type MIME type, e.g. "text/csv".
+ */
+export function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(
+    new Blob([text], { type: `${type};charset=utf-8` })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
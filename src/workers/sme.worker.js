@@ -0,0 +1,22 @@
+import { calculateSmeMetrics } from "../engine/sme.js";
+import { calculateSmePortfolio } from "../engine/smePortfolio.js";
+import { simulateHouseholdPaths } from "../engine/householdPaths.js";
+
+const JOBS = {
+  business: calculateSmeMetrics,
+  portfolio: calculateSmePortfolio,
+  household: ({ runs, seed, onProgress, ...input }) =>
+    simulateHouseholdPaths(input, { paths: runs, seed, onProgress }),
+};
+
+// One job per worker. The main thread terminates the worker to cancel,
+// so there is no need to check for cancellation inside the loop.
+self.onmessage = (event) => {
+  const { id, job = "business", input } = event.data;
+  const result = JOBS[job]({
+    ...input,
+    onProgress: (done, total) =>
+      self.postMessage({ id, type: "progress", done, total }),
+  });
+  self.postMessage({ id, type: "result", result });
+};
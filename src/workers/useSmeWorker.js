@@ -0,0 +1,186 @@
+import { useEffect, useRef, useState } from "react";
+import { clamp } from "../engine/math.js";
+import {
+  calculateSmeMetrics,
+  DEFAULT_SME_RUNS,
+  MIN_SME_RUNS,
+  MAX_SME_RUNS,
+} from "../engine/sme.js";
+import {
+  calculateSmePortfolio,
+  DEFAULT_PORTFOLIO_RUNS,
+  MIN_PORTFOLIO_RUNS,
+  MAX_PORTFOLIO_RUNS,
+} from "../engine/smePortfolio.js";
+import {
+  simulateHouseholdPaths,
+  DEFAULT_HOUSEHOLD_PATHS,
+  MAX_HOUSEHOLD_PATHS,
+} from "../engine/householdPaths.js";
+
+// Calculation, run counts and the name of a run for each kind of job,
+// and whether it is light enough to run on the main thread. A portfolio run is thousands
+// of loans per book, so it only ever runs in the worker.
+const JOBS = {
+  business: {
+    run: calculateSmeMetrics,
+    runs: DEFAULT_SME_RUNS,
+    min: MIN_SME_RUNS,
+    max: MAX_SME_RUNS,
+    unit: "runs",
+    sync: true,
+  },
+  portfolio: {
+    run: calculateSmePortfolio,
+    runs: DEFAULT_PORTFOLIO_RUNS,
+    min: MIN_PORTFOLIO_RUNS,
+    max: MAX_PORTFOLIO_RUNS,
+    sync: false,
+  },
+  // household paths take their path count and seed as options
+  household: {
+    run: ({ runs, seed, ...input }) =>
+      simulateHouseholdPaths(input, { paths: runs, seed }),
+    runs: DEFAULT_HOUSEHOLD_PATHS,
+    min: 1,
+    max: MAX_HOUSEHOLD_PATHS,
+    unit: "paths",
+    sync: true,
+  },
+};
+
+/*
+ * Runs calculateSmeMetrics, calculateSmePortfolio when `job` is
+ * "portfolio", or simulateHouseholdPaths when it is "household" (with
+ * `runs` as the path count), in a Web Worker whenever `input` changes. A null input
+ * skips the run and gives a null result.
+ *
+ * For a business or a household the first render is computed
+ * synchronously with at most the default run count so the page has
+ * numbers immediately. After that the previous result stays on screen
+ * while a new run is in flight. A change of input, an unmount or cancel()
+ * terminates the running worker.
+ * Without Worker support (tests, old browsers), or when the worker fails,
+ * it falls back to a synchronous run capped at the default run count, so
+ * the page never freezes on a large request; `error` then says so, or
+ * carries the message if the calculation itself threw.
+ *
+ * A portfolio never runs on the main thread: the result is null until
+ * the worker answers, and without a working worker it stays null and
+ * `error` says why.
+ */
+export function useSmeWorker(input, job = "business") {
+  const { run, runs: defaultRuns, min, max, unit, sync } = JOBS[job];
+  // the run count the engine will actually use
+  const runsFor = (value) =>
+    clamp(Math.round(Number(value)) || defaultRuns, min, max);
+  const initialRuns = Math.min(
+    Number(input?.runs) || defaultRuns,
+    defaultRuns
+  );
+  const [result, setResult] = useState(() =>
+    input && sync ? run({ ...input, runs: initialRuns }) : null
+  );
+  // a job that waits for the worker counts as running from the start
+  const [progress, setProgress] = useState(() =>
+    input && !sync ? { done: 0, total: runsFor(input.runs) } : null
+  );
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const jobRef = useRef(0);
+  // input the current result already reflects, so mount (and the
+  // StrictMode remount) does not repeat the synchronous run
+  const doneInputRef = useRef(
+    sync && initialRuns === (Number(input?.runs) || defaultRuns)
+      ? input
+      : null
+  );
+
+  const stop = () => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+    setProgress(null);
+  };
+
+  const fallback = () => {
+    doneInputRef.current = input;
+    if (!sync) {
+      setResult(null);
+      setProgress(null);
+      setError(
+        "Background runs are unavailable, so the book was not simulated."
+      );
+      return;
+    }
+    const runs = Math.min(runsFor(input.runs), defaultRuns);
+    try {
+      setResult(run({ ...input, runs }));
+      setError(
+        runs < runsFor(input.runs)
+          ? `Background runs are unavailable, so only ${runs} ${unit} were simulated.`
+          : null
+      );
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    }
+  };
+
+  useEffect(() => {
+    if (doneInputRef.current === input) return undefined;
+
+    if (!input) {
+      doneInputRef.current = input;
+      setResult(null);
+      setError(null);
+      return undefined;
+    }
+
+    if (typeof Worker === "undefined") {
+      fallback();
+      return undefined;
+    }
+
+    const id = ++jobRef.current;
+    const worker = new Worker(
+      new URL("./sme.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    workerRef.current = worker;
+    setProgress({ done: 0, total: runsFor(input.runs) });
+
+    worker.onmessage = (event) => {
+      const msg = event.data;
+      if (msg.id !== jobRef.current) return;
+      if (msg.type === "progress") {
+        setProgress({ done: msg.done, total: msg.total });
+      } else if (msg.type === "result") {
+        doneInputRef.current = input;
+        setResult(msg.result);
+        setError(null);
+        stop();
+      }
+    };
+    worker.onerror = (event) => {
+      // keep the app usable if the worker fails to load or throws
+      event.preventDefault();
+      stop();
+      fallback();
+    };
+    worker.postMessage({ id, job, input });
+
+    return () => {
+      if (workerRef.current === worker) stop();
+      else worker.terminate();
+    };
+  }, [input, job]);
+
+  return {
+    result,
+    running: progress !== null,
+    progress,
+    error,
+    cancel: stop,
+  };
+}